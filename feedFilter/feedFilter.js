@@ -2,10 +2,52 @@
 let currentFile = null;
 let headers = [];
 let delimiter = ',';
+let inputEncoding = 'utf-8';
+let inputReader = 'delimited';
+let inputSheet = null;
+let inputWidths = null;
+let inputRecordsKey = null;
+let parseDialect = normalizeDialect();
+let parseSettingsTimer = null;
 let fileData = [];
 let presets = [];
 let editingPresetIndex = null;
-let debugMode = false; // Enable by typing "debug" in console
+let filterGroups = [];
+let filterMatchMode = 'all';
+let sortKeys = [];
+let summaryAggregates = [];
+let validationRules = [];
+let activeTask = null;
+let taskCancelled = false;
+let profileReport = null;
+let draggedColumnItem = null;
+let computedColumnCounter = 0;
+let previewRows = [];
+let previewColumnCount = 0;
+let transformColumnItem = null;
+let appendSources = [];
+let joinConfig = null;
+let compareConfig = null;
+let compareReport = null;
+let batchQueue = [];
+let batchCancelled = false;
+let rowIndex = null;
+let browserJob = null;
+let browserStart = 0;
+let browserRows = [];
+let browserSort = null;
+let browserHighlight = -1;
+let sampleFilledColumns = [];
+let lastClickedColumnItem = null;
+
+// Without streaming export every converted row is held in memory, so input size is capped
+const MAX_BUFFERED_FILE_SIZE = 700 * 1024 * 1024;
+
+// Height of a data browser row in pixels (matches .browser-table td)
+const BROWSER_ROW_HEIGHT = 30;
+
+// Files picked up from a multi-file or folder drop
+const SUPPORTED_FILE_PATTERN = /\.(csv|tsv|txt|tab|dat|xlsx|json|ndjson|jsonl|fwf|prn)$/i;
 
 // Enable debug mode from console
 window.enableDebug = function() {
@@ -17,11 +59,368 @@ window.enableDebug = function() {
 document.addEventListener('DOMContentLoaded', function() {
     // Load presets from localStorage
     loadPresets();
+    document.getElementById('presetAutoApply').checked = localStorage.getItem('csvConverterAutoApplyPreset') === 'true';
     
     // Set up drag and drop
     setupDragAndDrop();
+    
+    // Keep the column count and filter current as columns are checked, added and removed
+    const columnsGrid = document.getElementById('columnsGrid');
+    columnsGrid.addEventListener('click', handleColumnCheckboxClick);
+    columnsGrid.addEventListener('change', updateColumnCount);
+    new MutationObserver(filterColumnList).observe(columnsGrid, { childList: true });
+    
+    // Fill the export format pickers
+    ['exportFormat', 'batchFormat'].forEach(id => {
+        const formatSelect = document.getElementById(id);
+        Object.keys(EXPORT_FORMATS).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = EXPORT_FORMATS[key].label;
+            formatSelect.appendChild(option);
+        });
+    });
+    
+    // Fill the transform step picker
+    const transformSelect = document.getElementById('transformTypeSelect');
+    Object.keys(VALUE_TRANSFORMS).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = VALUE_TRANSFORMS[key].label;
+        transformSelect.appendChild(option);
+    });
+    
+    // Fill the validation rule set picker
+    const schemaSelect = document.getElementById('validationSchema');
+    Object.keys(VALIDATION_SCHEMAS).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = VALIDATION_SCHEMAS[key].label;
+        schemaSelect.appendChild(option);
+    });
+    
+    // Fill the file type picker
+    const readerSelect = document.getElementById('readerSelect');
+    Object.keys(INPUT_READERS).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = INPUT_READERS[key].label;
+        readerSelect.appendChild(option);
+    });
+    
+    // Fill the encoding pickers
+    fillSelect(document.getElementById('encodingSelect'), INPUT_ENCODINGS);
+    fillSelect(document.getElementById('outputEncoding'), OUTPUT_ENCODINGS);
+    fillSelect(document.getElementById('batchOutputEncoding'), OUTPUT_ENCODINGS);
+    
+    // Streaming export lifts the input size limit
+    if (supportsStreamingExport()) {
+        document.getElementById('sizeLimitNote').textContent = 'Upload files of any size';
+    }
 });
 
+// Make a column item reorderable by dragging its handle
+function enableColumnDrag(columnItem) {
+    const handle = columnItem.querySelector('.drag-handle');
+    
+    // Only the handle starts a drag, so the text inputs stay selectable
+    handle.onmousedown = function() {
+        columnItem.draggable = true;
+    };
+    handle.onmouseup = function() {
+        columnItem.draggable = false;
+    };
+    
+    columnItem.ondragstart = function(e) {
+        draggedColumnItem = columnItem;
+        columnItem.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', '');
+    };
+    
+    columnItem.ondragend = function() {
+        columnItem.draggable = false;
+        columnItem.classList.remove('dragging');
+        draggedColumnItem = null;
+    };
+    
+    columnItem.ondragover = function(e) {
+        if (!draggedColumnItem || draggedColumnItem === columnItem) return;
+        e.preventDefault();
+        
+        // The grid flows left to right, so drop after the item when past its horizontal middle
+        const rect = columnItem.getBoundingClientRect();
+        const after = e.clientX > rect.left + rect.width / 2;
+        columnItem.parentNode.insertBefore(draggedColumnItem, after ? columnItem.nextSibling : columnItem);
+    };
+}
+
+// Create a column item for an input column (index into the combined headers)
+function createSourceColumnItem(index, displayName, checked) {
+    const columnItem = document.createElement('div');
+    columnItem.className = 'column-item';
+    columnItem.dataset.index = index;
+    columnItem.innerHTML = `
+        <span class="drag-handle" title="Drag to reorder">⋮⋮</span>
+        <input type="checkbox" id="col_${index}" ${checked ? 'checked' : ''}>
+        <div class="column-fields">
+            <label for="col_${index}">${escapeHTML(displayName)}</label>
+            <input type="text" class="column-rename" placeholder="Output name" title="Header name in the exported file">
+        </div>
+        <button class="transform-btn" onclick="openTransformModal(this.closest('.column-item'))" title="Transform values">ƒx</button>
+    `;
+    columnItem.transforms = [];
+    enableColumnDrag(columnItem);
+    return columnItem;
+}
+
+// Create a computed column item built from a template like "{brand} - {title}"
+function createComputedColumnItem(name, template, transforms) {
+    const id = `computed_${computedColumnCounter++}`;
+    const columnItem = document.createElement('div');
+    columnItem.className = 'column-item computed-column';
+    columnItem.dataset.computed = 'true';
+    columnItem.innerHTML = `
+        <span class="drag-handle" title="Drag to reorder">⋮⋮</span>
+        <input type="checkbox" id="${id}" checked>
+        <div class="column-fields">
+            <input type="text" class="column-rename" placeholder="Column name" value="${escapeHTML(name)}">
+            <input type="text" class="column-template" placeholder="{brand} - {title}" value="${escapeHTML(template)}"
+                title="Use {column name} to insert a value. Text without placeholders is a constant.">
+        </div>
+        <button class="transform-btn" onclick="openTransformModal(this.closest('.column-item'))" title="Transform values">ƒx</button>
+        <button class="preset-btn preset-delete" onclick="this.closest('.column-item').remove()" title="Remove computed column">✕</button>
+    `;
+    columnItem.transforms = transforms || [];
+    updateTransformButton(columnItem);
+    enableColumnDrag(columnItem);
+    return columnItem;
+}
+
+// Add a new computed column to the end of the grid
+function addComputedColumn() {
+    const columnItem = createComputedColumnItem('New Column', '');
+    document.getElementById('columnsGrid').appendChild(columnItem);
+    columnItem.querySelector('.column-template').focus();
+}
+
+// Output column for a grid item, as { name, source } or { name, template }, plus any transforms
+function getItemColumn(item) {
+    const rename = item.querySelector('.column-rename').value.trim();
+    let column;
+    if (item.dataset.computed) {
+        column = { name: rename || 'Computed', template: item.querySelector('.column-template').value };
+    } else {
+        const index = parseInt(item.dataset.index, 10);
+        column = { name: rename || getCombinedHeaders()[index], source: index };
+    }
+    if (item.transforms.length > 0) {
+        column.transforms = item.transforms;
+    }
+    return column;
+}
+
+// Selected output columns in grid order
+function getOutputColumns() {
+    return Array.from(document.querySelectorAll('#columnsGrid .column-item'))
+        .filter(item => item.querySelector('input[type="checkbox"]').checked)
+        .map(getItemColumn);
+}
+
+// Draw the preview table; columns with transforms show each changed value before and after
+function renderPreviewTable() {
+    const previewTable = document.getElementById('previewTable');
+    previewTable.innerHTML = '';
+    
+    // Transform chain of each source column (a chain that doesn't compile yet is skipped)
+    const transforms = headers.map(() => null);
+    document.querySelectorAll('#columnsGrid .column-item[data-index]').forEach(item => {
+        try {
+            transforms[item.dataset.index] = compileTransformChain(item.transforms);
+        } catch (error) {
+            transforms[item.dataset.index] = null;
+        }
+    });
+    
+    // Add headers
+    const headerRow = document.createElement('tr');
+    headers.forEach((header, idx) => {
+        const th = document.createElement('th');
+        th.textContent = header || `(Column ${idx + 1})`;
+        if (transforms[idx]) th.textContent += ' ƒx';
+        headerRow.appendChild(th);
+    });
+    previewTable.appendChild(headerRow);
+    
+    const truncate = value => value.length > 50 ? value.substring(0, 50) + '...' : value;
+    
+    // Add data rows (max 5)
+    previewRows.forEach(values => {
+        const row = document.createElement('tr');
+        
+        // Ensure we display all columns
+        for (let j = 0; j < headers.length; j++) {
+            const td = document.createElement('td');
+            const value = values[j] || '';
+            const transformed = transforms[j] ? transforms[j](value) : value;
+            if (value.length > 50) td.title = value;
+            if (transformed !== value) {
+                td.innerHTML = `<span class="value-before">${escapeHTML(truncate(value))}</span><span class="value-after">${escapeHTML(truncate(transformed))}</span>`;
+            } else {
+                td.textContent = truncate(value);
+            }
+            // Highlight cells that are beyond expected columns
+            if (j >= previewColumnCount) {
+                td.style.backgroundColor = 'rgba(255, 0, 0, 0.1)';
+                td.title = 'Extra column detected';
+            }
+            row.appendChild(td);
+        }
+        previewTable.appendChild(row);
+    });
+}
+
+// Show how many transforms a column has on its ƒx button
+function updateTransformButton(item) {
+    const button = item.querySelector('.transform-btn');
+    const count = item.transforms.length;
+    button.textContent = count > 0 ? `ƒx ${count}` : 'ƒx';
+    button.classList.toggle('active', count > 0);
+}
+
+// Open the transformation editor for a column item
+function openTransformModal(item) {
+    transformColumnItem = item;
+    const name = item.dataset.computed
+        ? item.querySelector('.column-rename').value || 'Computed'
+        : getCombinedHeaders()[item.dataset.index] || `(Column ${parseInt(item.dataset.index, 10) + 1})`;
+    document.getElementById('transformModalHeader').textContent = `Transform Values: ${name}`;
+    renderTransformSteps();
+    document.getElementById('transformModal').style.display = 'block';
+}
+
+// Close the transformation editor
+function closeTransformModal() {
+    document.getElementById('transformModal').style.display = 'none';
+    transformColumnItem = null;
+}
+
+// Append a step of the type picked in the editor
+function addTransformStep() {
+    const type = document.getElementById('transformTypeSelect').value;
+    const step = { type };
+    VALUE_TRANSFORMS[type].options.forEach(option => {
+        step[option] = option === 'ignoreCase' ? false : option === 'order' ? 'dmy' : '';
+    });
+    transformColumnItem.transforms.push(step);
+    renderTransformSteps();
+}
+
+// Remove one step
+function removeTransformStep(index) {
+    transformColumnItem.transforms.splice(index, 1);
+    renderTransformSteps();
+}
+
+// Move a step up or down the chain
+function moveTransformStep(index, direction) {
+    const steps = transformColumnItem.transforms;
+    const target = index + direction;
+    if (target < 0 || target >= steps.length) return;
+    [steps[index], steps[target]] = [steps[target], steps[index]];
+    renderTransformSteps();
+}
+
+// Remove every step of the column
+function clearTransformSteps() {
+    transformColumnItem.transforms = [];
+    renderTransformSteps();
+}
+
+// Change a step setting (the list isn't redrawn so typing keeps focus)
+function updateTransformStep(index, property, value) {
+    transformColumnItem.transforms[index][property] = value;
+    refreshTransformPreview();
+}
+
+// Render the step list of the column being edited
+function renderTransformSteps() {
+    const container = document.getElementById('transformSteps');
+    const steps = transformColumnItem.transforms;
+    
+    if (steps.length === 0) {
+        container.innerHTML = '<div class="no-filters">No transforms - values are exported as they are</div>';
+    } else {
+        container.innerHTML = steps.map((step, index) => {
+            const transform = VALUE_TRANSFORMS[step.type];
+            const optionsHTML = transform.options.map(option => {
+                switch (option) {
+                    case 'find':
+                        return `<input type="text" class="filter-input" placeholder="Find (regex)" value="${escapeHTML(step.find)}"
+                            oninput="updateTransformStep(${index}, 'find', this.value)">`;
+                    case 'replace':
+                        return `<input type="text" class="filter-input" placeholder="Replace with ($1 for groups)" value="${escapeHTML(step.replace)}"
+                            oninput="updateTransformStep(${index}, 'replace', this.value)">`;
+                    case 'ignoreCase':
+                        return `<label><input type="checkbox" ${step.ignoreCase ? 'checked' : ''}
+                            onchange="updateTransformStep(${index}, 'ignoreCase', this.checked)"> Ignore case</label>`;
+                    case 'order':
+                        return `<select class="filter-select" onchange="updateTransformStep(${index}, 'order', this.value)">
+                            <option value="dmy" ${step.order === 'dmy' ? 'selected' : ''}>Day first (31/12/2024)</option>
+                            <option value="mdy" ${step.order === 'mdy' ? 'selected' : ''}>Month first (12/31/2024)</option>
+                        </select>`;
+                    default:
+                        return '';
+                }
+            }).join('');
+            
+            return `
+                <div class="transform-step">
+                    <span class="transform-step-label">${index + 1}. ${transform.label}</span>
+                    ${optionsHTML}
+                    <button class="preset-btn transform-move" onclick="moveTransformStep(${index}, -1)" title="Move up">▲</button>
+                    <button class="preset-btn transform-move" onclick="moveTransformStep(${index}, 1)" title="Move down">▼</button>
+                    <button class="preset-btn preset-delete" onclick="removeTransformStep(${index})">✕</button>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    refreshTransformPreview();
+}
+
+// Update the ƒx button, the preview table and the editor's before/after sample
+function refreshTransformPreview() {
+    const item = transformColumnItem;
+    const error = document.getElementById('transformError');
+    const sample = document.getElementById('transformSample');
+    
+    updateTransformButton(item);
+    renderPreviewTable();
+    
+    let project;
+    try {
+        const column = getItemColumn(item);
+        project = compileColumnProjection([column], getCombinedHeaders());
+        error.textContent = '';
+    } catch (e) {
+        error.textContent = e.message;
+        sample.innerHTML = '';
+        return;
+    }
+    
+    // Before/after for the preview rows (computed columns aren't in the preview table)
+    const original = compileColumnProjection([Object.assign(getItemColumn(item), { transforms: [] })], getCombinedHeaders());
+    sample.innerHTML = previewRows.map(values => {
+        const before = original(values)[0];
+        const after = project(values)[0];
+        return `<tr>
+            <td>${escapeHTML(before) || '<em>(empty)</em>'}</td>
+            <td>${after === before ? '<em>unchanged</em>' : `<span class="value-after">${escapeHTML(after)}</span>`}</td>
+        </tr>`;
+    }).join('');
+}
+
 // Set up drag and drop functionality
 function setupDragAndDrop() {
     const uploadArea = document.getElementById('uploadArea');
@@ -46,10 +445,11 @@ function setupDragAndDrop() {
             e.stopPropagation();
             this.classList.remove('dragover');
             
-            const files = e.dataTransfer.files;
-            if (files && files.length > 0) {
-                handleFile(files[0]);
-            }
+            getDroppedFiles(e.dataTransfer)
+                .then(files => {
+                    if (files.length > 0) handleFiles(files);
+                })
+                .catch(error => showError('Could not read the dropped files: ' + error.message));
             return false;
         };
     }
@@ -75,262 +475,41 @@ function formatFileSize(bytes) {
     return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
 }
 
-// Detect delimiter (comma or tab) with validation
-function detectDelimiter(text) {
-    // Get first few lines for analysis
-    const sampleLines = text.split(/\r?\n/).slice(0, 10).filter(line => line.trim());
-    
-    if (sampleLines.length === 0) return ',';
-    
-    // Count delimiters outside of quotes
-    const delimiterCounts = {
-        ',': [],
-        '\t': [],
-        '|': [],
-        ';': []
-    };
-    
-    sampleLines.forEach(line => {
-        let inQuotes = false;
-        const counts = {',': 0, '\t': 0, '|': 0, ';': 0};
-        
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            const nextChar = line[i + 1];
-            
-            if (char === '"') {
-                if (inQuotes && nextChar === '"') {
-                    i++; // Skip escaped quote
-                } else {
-                    inQuotes = !inQuotes;
-                }
-            } else if (!inQuotes && counts.hasOwnProperty(char)) {
-                counts[char]++;
-            }
-        }
-        
-        // Store counts for consistency check
-        Object.keys(counts).forEach(delim => {
-            delimiterCounts[delim].push(counts[delim]);
-        });
-    });
-    
-    // Find delimiter with most consistent count across lines
-    let bestDelimiter = ',';
-    let bestScore = -1;
-    
-    Object.keys(delimiterCounts).forEach(delim => {
-        const counts = delimiterCounts[delim];
-        if (counts.length === 0 || counts[0] === 0) return;
-        
-        // Calculate consistency score (prefer consistent counts)
-        const avgCount = counts.reduce((a, b) => a + b, 0) / counts.length;
-        const variance = counts.reduce((sum, count) => sum + Math.pow(count - avgCount, 2), 0) / counts.length;
-        const consistency = avgCount > 0 ? (1 / (1 + variance)) * avgCount : 0;
-        
-        if (consistency > bestScore) {
-            bestScore = consistency;
-            bestDelimiter = delim;
-        }
-    });
-    
-    if (debugMode) {
-        console.log('Delimiter detection:', delimiterCounts);
-        console.log('Selected delimiter:', bestDelimiter, 'with score:', bestScore);
-    }
-    
-    return bestDelimiter;
-}
-
-// Remove BOM (Byte Order Mark) if present
-function removeBOM(text) {
-    if (text.charCodeAt(0) === 0xFEFF) {
-        return text.slice(1);
-    }
-    return text;
-}
-
-// Parse CSV line with proper quote handling
-function parseCSVLine(line, delimiter) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        const nextChar = line[i + 1];
-        
-        if (char === '"') {
-            if (inQuotes && nextChar === '"') {
-                current += '"';
-                i++;
-            } else {
-                inQuotes = !inQuotes;
-            }
-        } else if (char === delimiter && !inQuotes) {
-            result.push(current.trim());
-            current = '';
-        } else {
-            current += char;
-        }
-    }
-    // Add the last field
-    result.push(current.trim());
-    
-    return result;
-}
-
-// More robust CSV/TSV parsing that handles different formats
-function parseCSVData(text, delimiter) {
-    const lines = [];
-    let currentLine = [];
-    let currentField = '';
-    let inQuotes = false;
-    let i = 0;
-    const MAX_FIELD_SIZE = 1000000; // 1MB max per field for safety
-    
-    // TSV files typically don't use quotes the same way as CSV
-    const isTSV = delimiter === '\t';
-    
-    while (i < text.length) {
-        const char = text[i];
-        const nextChar = text[i + 1];
-        
-        // Handle quotes differently for TSV vs CSV
-        if (!isTSV && char === '"') {
-            // CSV quote handling
-            if (inQuotes && nextChar === '"') {
-                // Escaped quote
-                currentField += '"';
-                i += 2;
-            } else {
-                // Toggle quote mode
-                inQuotes = !inQuotes;
-                i++;
-            }
-        } else if (isTSV && char === '"') {
-            // For TSV, quotes are usually literal characters, not field delimiters
-            // Only treat as quote delimiter if it's at field start/end
-            if (currentField === '' && nextChar !== delimiter && nextChar !== '\n' && nextChar !== '\r') {
-                // Starting quote
-                inQuotes = true;
-                i++;
-            } else if (inQuotes && (nextChar === delimiter || nextChar === '\n' || nextChar === '\r' || nextChar === undefined)) {
-                // Ending quote
-                inQuotes = false;
-                i++;
-            } else if (inQuotes && nextChar === '"') {
-                // Escaped quote in TSV
-                currentField += '"';
-                i += 2;
-            } else {
-                // Regular quote character in TSV
-                currentField += char;
-                i++;
-            }
-        } else if (char === delimiter && !inQuotes) {
-            // End of field
-            currentLine.push(currentField);
-            currentField = '';
-            i++;
-        } else if ((char === '\n' || char === '\r') && !inQuotes) {
-            // End of line (outside quotes)
-            if (char === '\r' && nextChar === '\n') {
-                i++; // Skip the \n in \r\n
-            }
-            currentLine.push(currentField);
-            
-            // Only add non-empty lines
-            if (currentLine.length > 0 && (currentLine.length > 1 || currentLine[0] !== '')) {
-                lines.push(currentLine);
-            }
-            currentLine = [];
-            currentField = '';
-            i++;
-        } else {
-            // Regular character
-            if (currentField.length < MAX_FIELD_SIZE) {
-                currentField += char;
-            }
-            i++;
-        }
-    }
-    
-    // Don't forget the last field and line
-    if (currentField !== '' || currentLine.length > 0) {
-        currentLine.push(currentField);
-    }
-    if (currentLine.length > 0 && (currentLine.length > 1 || currentLine[0] !== '')) {
-        lines.push(currentLine);
+// Handle file upload (keepSettings re-reads the same file with the chosen encoding and parse settings)
+async function handleFile(file, keepSettings) {
+    // Check file size (700 MB limit, unless the export can stream straight to disk)
+    if (!supportsStreamingExport() && file.size > MAX_BUFFERED_FILE_SIZE) {
+        showError('File size exceeds 700 MB limit. Use a browser that supports saving files directly (e.g. Chrome or Edge) to convert larger files.');
+        return;
     }
     
-    return lines;
-}
-
-// Simpler TSV-specific parser for more reliable results
-function parseTSVData(text) {
-    const lines = [];
-    const rawLines = text.split(/\r?\n/);
-    let maxFields = 0;
+    currentFile = file;
     
-    // First pass: determine the maximum number of fields
-    for (const line of rawLines) {
-        if (line === '') continue;
-        const fieldCount = line.split('\t').length;
-        maxFields = Math.max(maxFields, fieldCount);
+    if (!keepSettings) {
+        document.getElementById('encodingSelect').value = 'auto';
+        resetParseSettings();
     }
+    parseDialect = readParseDialect();
     
-    // Second pass: parse with consistent field count
-    for (const line of rawLines) {
-        // Skip completely empty lines
-        if (line === '') continue;
-        
-        // Split by tab
-        const fields = line.split('\t');
-        
-        // Process each field
-        const processedFields = fields.map(field => {
-            // Only remove quotes if they're actually used as delimiters
-            if (field && field.length >= 2 && field.startsWith('"') && field.endsWith('"')) {
-                // Remove quotes and unescape internal quotes
-                return field.slice(1, -1).replace(/""/g, '"');
-            }
-            // Return field as-is
-            return field || '';
-        });
-        
-        // Pad to consistent length if needed
-        while (processedFields.length < maxFields) {
-            processedFields.push('');
+    // Re-reading the file keeps the column setup, held like a preset so it can be matched to
+    // the new columns by header name
+    let keptSettings = null;
+    if (keepSettings && headers.length > 0) {
+        try {
+            keptSettings = createPreset('', getCurrentSettings(), getCombinedHeaders());
+        } catch (error) {
+            // Settings that can't be read as they stand (e.g. a half-typed split size) start over
         }
-        
-        lines.push(processedFields);
-    }
-    
-    return lines;
-}
-
-// Handle file upload
-async function handleFile(file) {
-    currentFile = file;
-    
-    // Check file size (700 MB limit)
-    if (file.size > 700 * 1024 * 1024) {
-        showError('File size exceeds 700 MB limit');
-        return;
     }
     
     // Show file info
     document.getElementById('fileName').textContent = file.name;
     document.getElementById('fileSize').textContent = formatFileSize(file.size);
-    const fileType = file.name.endsWith('.tsv') ? 'TSV' : 
-                    file.name.endsWith('.tab') ? 'TAB' : 
-                    file.name.endsWith('.txt') ? 'TXT' : 'CSV';
-    document.getElementById('fileType').textContent = fileType;
     document.getElementById('fileInfo').style.display = 'block';
+    document.getElementById('parseSettings').style.display = 'block';
     
     // Set default export name
-    const defaultName = file.name.replace(/\.(csv|tsv)$/i, '') + '_converted';
+    const defaultName = file.name.replace(/\.[^.]+$/, '') + '_converted';
     document.getElementById('exportNameInput').value = defaultName;
     document.getElementById('exportNameSection').style.display = 'block';
     
@@ -340,58 +519,79 @@ async function handleFile(file) {
         // Read first chunk for preview
         const chunkSize = 1024 * 1024; // 1MB chunk for preview
         const chunk = file.slice(0, Math.min(chunkSize, file.size));
-        let text = await chunk.text();
+        const bytes = new Uint8Array(await chunk.arrayBuffer());
         
-        // Remove BOM if present
-        text = removeBOM(text);
+        // Detect the encoding and file type unless the user picked them
+        const encodingSelect = document.getElementById('encodingSelect');
+        const detectedEncoding = detectEncoding(bytes);
+        inputEncoding = encodingSelect.value === 'auto' ? detectedEncoding : encodingSelect.value;
+        encodingSelect.options[0].textContent = `Auto-detect (${INPUT_ENCODINGS[detectedEncoding]})`;
         
-        // Detect delimiter
-        delimiter = detectDelimiter(text);
-        const delimiterDisplay = delimiter === '\t' ? 'Tab' : 
+        const readerSelect = document.getElementById('readerSelect');
+        const detectedReader = detectInputReader(file.name, bytes);
+        inputReader = readerSelect.value === 'auto' ? detectedReader : readerSelect.value;
+        readerSelect.options[0].textContent = `Auto-detect (${INPUT_READERS[detectedReader].label})`;
+        showReaderSettings(inputReader);
+        
+        // Read the start of the file with the reader the export uses; the delimiter, sheet,
+        // column widths and JSON records key are detected unless set in the parse settings
+        const delimiterSetting = readDelimiterSetting();
+        const widthsSetting = document.getElementById('widthsInput').value.trim();
+        const recordsKeySetting = document.getElementById('recordsKeyInput').value.trim();
+        const info = await sniffFile(file, parseDialect, {
+            reader: inputReader,
+            encoding: inputEncoding,
+            delimiter: delimiterSetting === 'auto' ? null : delimiterSetting,
+            sheet: document.getElementById('sheetSelect').value || null,
+            widths: widthsSetting ? parseFixedWidths(widthsSetting) : null,
+            recordsKey: recordsKeySetting || null
+        });
+        delimiter = info.delimiter || ',';
+        inputSheet = info.sheet || null;
+        inputWidths = info.widths || null;
+        inputRecordsKey = info.recordsKey || null;
+        renderSheetSelect(info.sheets, info.sheet);
+        document.getElementById('widthsInput').placeholder = inputWidths
+            ? `Guessed: ${inputWidths.join(' ')} (characters per column)`
+            : 'Characters per column, e.g. 10 25 8 (empty to guess)';
+        document.getElementById('recordsKeyInput').placeholder = inputRecordsKey
+            ? `Found: ${inputRecordsKey}`
+            : 'Key of the records array, e.g. products (empty to detect)';
+        
+        const delimiterDisplay = inputReader !== 'delimited' ? 'None' :
+                               delimiter === '\t' ? 'Tab' : 
                                delimiter === ',' ? 'Comma' :
                                delimiter === '|' ? 'Pipe' :
                                delimiter === ';' ? 'Semicolon' : 'Other';
-        document.getElementById('delimiter').textContent = delimiterDisplay;
+        document.getElementById('delimiter').textContent = delimiterDisplay + (inputReader === 'delimited' && delimiterSetting !== 'auto' ? ' (manual)' : '');
         
         // Update file type display and add conversion notice
-        const fileType = file.name.endsWith('.tsv') ? 'TSV' : 
-                        file.name.endsWith('.tab') ? 'TAB' : 
-                        file.name.endsWith('.txt') ? 'TXT' : 'CSV';
+        const fileType = getFileTypeLabel(file.name, inputReader, inputSheet);
+        
+        // Remove the notice left by an earlier file or parse settings
+        const existingNotice = document.querySelector('.conversion-notice');
+        if (existingNotice) existingNotice.remove();
+        document.getElementById('fileType').textContent = fileType;
         
         // Show conversion info in file type field
-        if (delimiter !== ',') {
+        if (inputReader !== 'delimited' || delimiter !== ',') {
             document.getElementById('fileType').textContent = fileType + ' → CSV (will convert)';
             
             // Add conversion notice
-            const existingNotice = document.querySelector('.conversion-notice');
-            if (existingNotice) existingNotice.remove();
-            
+            const source = inputReader === 'delimited' ? `${delimiterDisplay}-delimited file` : `${INPUT_READERS[inputReader].label} file`;
             const notice = document.createElement('div');
             notice.className = 'conversion-notice';
             notice.innerHTML = `
                 <span>🔄</span>
-                <span><strong>Format Conversion:</strong> This ${delimiterDisplay}-delimited file will be automatically converted to standard CSV format (comma-delimited) when you export it, exactly like Excel does!</span>
+                <span><strong>Format Conversion:</strong> This ${escapeHTML(source)} will be automatically converted to standard CSV format (comma-delimited) when you export it, exactly like Excel does!</span>
             `;
             document.getElementById('fileInfo').appendChild(notice);
         }
         
-        // Parse preview data using the appropriate parser
-        let parsedLines;
-        if (delimiter === '\t') {
-            // Use TSV-specific parser for tab-delimited files
-            parsedLines = parseTSVData(text);
-        } else {
-            // Use general CSV parser for other delimiters
-            parsedLines = parseCSVData(text, delimiter);
-        }
-        
-        if (parsedLines.length === 0) {
-            showError('No data found in file');
-            return;
-        }
-        
-        // First line is headers
-        headers = parsedLines[0];
+        // The first line holds the column names (generated ones when the file has none)
+        const parsedLines = [info.headers].concat(info.rows);
+        const firstDataRow = 1;
+        headers = info.headers.slice();
         
         // Ensure all rows have the same number of columns as headers
         const numColumns = headers.length;
@@ -401,7 +601,7 @@ async function handleFile(file) {
         let maxColumns = numColumns;
         let rowsWithIssues = [];
         
-        for (let i = 1; i < Math.min(20, parsedLines.length); i++) {
+        for (let i = firstDataRow; i < Math.min(20, parsedLines.length); i++) {
             if (parsedLines[i].length !== numColumns) {
                 hasInconsistentColumns = true;
                 rowsWithIssues.push(`Row ${i + 1}: ${parsedLines[i].length} columns (expected ${numColumns})`);
@@ -410,17 +610,14 @@ async function handleFile(file) {
         }
         
         if (hasInconsistentColumns) {
-            console.warn('Column alignment issues detected:', rowsWithIssues);
-            showStatus(`⚠️ Warning: Column count mismatch detected. Some rows have ${maxColumns} columns instead of ${numColumns}. This often happens when data contains tab characters. Check the console for details.`);
+            const more = rowsWithIssues.length > 3 ? ` and ${rowsWithIssues.length - 3} more` : '';
+            showStatus(`⚠️ Warning: Column count mismatch detected. Some rows have ${maxColumns} columns instead of ${numColumns}. This often happens when data contains tab characters. ${rowsWithIssues.slice(0, 3).join('; ')}${more}.`);
             setTimeout(hideStatus, 7000);
         }
         
         // If we have more columns in data than headers, add placeholder headers
         if (maxColumns > numColumns && delimiter === '\t') {
-            console.warn(`⚠️ TSV File Issue: Found ${maxColumns - numColumns} extra columns in some rows.`);
-            console.warn('This usually means your data contains tab characters that should be escaped or quoted.');
-            console.warn('The extra columns will be shown but may contain split data.');
-            
+            // Tabs inside unquoted values split them; the extra columns are shown but may hold split data
             for (let i = numColumns; i < maxColumns; i++) {
                 headers.push(`⚠️ Extra_${i + 1}`);
             }
@@ -431,74 +628,14 @@ async function handleFile(file) {
             }
         }
         
-        // Show preview table
-        const previewTable = document.getElementById('previewTable');
-        previewTable.innerHTML = '';
+        // Keep the first data rows for the preview table (drawn once the column grid exists)
+        previewRows = parsedLines.slice(firstDataRow, firstDataRow + 5);
+        previewColumnCount = numColumns;
         
-        // Update headers to use maxColumns if needed
-        const displayHeaders = headers;
-        
-        // Add headers
-        const headerRow = document.createElement('tr');
-        displayHeaders.forEach((header, idx) => {
-            const th = document.createElement('th');
-            th.textContent = header || `(Column ${idx + 1})`;
-            headerRow.appendChild(th);
-        });
-        previewTable.appendChild(headerRow);
-        
-        // Add data rows (max 5)
-        for (let i = 1; i < Math.min(6, parsedLines.length); i++) {
-            const row = document.createElement('tr');
-            const values = parsedLines[i];
-            
-            // Ensure we display all columns
-            for (let j = 0; j < displayHeaders.length; j++) {
-                const td = document.createElement('td');
-                const value = values[j] || '';
-                td.textContent = value.length > 50 ? value.substring(0, 50) + '...' : value;
-                // Highlight cells that are beyond expected columns
-                if (j >= numColumns) {
-                    td.style.backgroundColor = 'rgba(255, 0, 0, 0.1)';
-                    td.title = 'Extra column detected';
-                }
-                row.appendChild(td);
-            }
-            previewTable.appendChild(row);
-        }
-        
-        // Log diagnostic info for debugging
-        console.log('📊 File Parsing Diagnostics:');
-        console.log('----------------------------');
-        console.log('Delimiter:', delimiter === '\t' ? 'TAB' : delimiter === ',' ? 'COMMA' : delimiter);
-        console.log('Parser used:', delimiter === '\t' ? 'TSV Parser' : 'CSV Parser');
-        console.log('Total rows found:', parsedLines.length);
-        console.log('Number of headers:', headers.length);
-        console.log('Headers:', headers);
-        console.log('First 5 rows column counts:', parsedLines.slice(0, 5).map((row, i) => `Row ${i + 1}: ${row.length} columns`));
-        
-        if (hasInconsistentColumns) {
-            console.warn('⚠️ COLUMN MISMATCH DETECTED');
-            console.log('Expected columns:', numColumns);
-            console.log('Issues found:', rowsWithIssues);
-        }
-        
-        // Show sample data for debugging
-        if (parsedLines.length > 1) {
-            console.log('\nSample data (first row):');
-            console.table(parsedLines[1].slice(0, 10).map((val, i) => ({
-                'Column Index': i,
-                'Header': headers[i] || '(no header)',
-                'Value': val ? (val.length > 50 ? val.substring(0, 50) + '...' : val) : '(empty)'
-            })));
-        }
-        
-        console.log('\n💡 Troubleshooting tips:');
-        console.log('- If columns are misaligned, check for tabs or delimiters within data fields');
-        console.log('- If extra rows appear, check for newlines within data fields');
-        console.log('- For TSV files: Ensure fields with tabs are properly quoted');
-        console.log('- Run window.enableDebug() for more detailed logging during export');
-        console.log('- Check the preview table above - cells with red background indicate extra columns');
+        // Columns with a value anywhere in the sample, for "Select Non-Empty"
+        const sampleRows = parsedLines.slice(firstDataRow);
+        sampleFilledColumns = headers.map((header, index) =>
+            sampleRows.some(row => (row[index] || '').trim() !== ''));
         
         document.getElementById('previewSection').style.display = 'block';
         
@@ -507,17 +644,9 @@ async function handleFile(file) {
         columnsGrid.innerHTML = '';
         
         headers.forEach((header, index) => {
-            const columnItem = document.createElement('div');
-            columnItem.className = 'column-item';
-            
             // Mark extra columns that were added
             const isExtraColumn = index >= numColumns;
-            const displayName = header || `(Column ${index + 1})`;
-            
-            columnItem.innerHTML = `
-                <input type="checkbox" id="col_${index}" ${isExtraColumn ? '' : 'checked'}>
-                <label for="col_${index}">${displayName}${isExtraColumn ? ' ⚠️' : ''}</label>
-            `;
+            const columnItem = createSourceColumnItem(index, (header || `(Column ${index + 1})`) + (isExtraColumn ? ' ⚠️' : ''), !isExtraColumn);
             
             if (isExtraColumn) {
                 columnItem.style.backgroundColor = 'rgba(255, 165, 0, 0.1)';
@@ -527,529 +656,2507 @@ async function handleFile(file) {
             columnsGrid.appendChild(columnItem);
         });
         
+        // A new file starts without appended files or a join; re-parsing the same file keeps them
+        if (!keepSettings) {
+            appendSources = [];
+            joinConfig = null;
+            compareConfig = null;
+        } else if (compareConfig) {
+            // The older file follows the new parse settings too
+            try {
+                Object.assign(compareConfig, await sniffCompareFile(compareConfig.file));
+            } catch (error) {
+                showError(`Could not read ${compareConfig.file.name}: ${error.message}`);
+                compareConfig = null;
+            }
+            if (compareConfig && compareConfig.key >= headers.length) compareConfig.key = 0;
+            if (compareConfig && compareConfig.oldKey >= compareConfig.headers.length) compareConfig.oldKey = 0;
+        }
+        compareReport = null;
+        refreshCombineSection();
+        renderCompareSection();
+        
+        renderPreviewTable();
+        
         document.getElementById('columnSelector').style.display = 'block';
         document.getElementById('actionButtons').style.display = 'flex';
         
-        // Update export button text based on file type
-        const exportBtn = document.getElementById('exportBtn');
-        if (delimiter === '\t' || delimiter === '|' || delimiter === ';') {
-            exportBtn.textContent = 'Convert & Export as CSV';
-        } else {
-            exportBtn.textContent = 'Export as CSV';
+        // Column indexes changed, so start with a clean set of row filters, dedupe and sort keys
+        clearFilters();
+        renderDedupeColumns();
+        sortKeys = [];
+        renderSortKeys();
+        clearSummary();
+        if (!keepSettings) setValidationSettings(null);
+        renderValidationReport(null);
+        renderPresetMissing(null, []);
+        
+        // Any earlier profile report and row index belong to the previous file or settings
+        profileReport = null;
+        resetDataBrowser();
+        document.getElementById('profileSection').style.display = 'none';
+        document.getElementById('filterSection').style.display = 'block';
+        document.getElementById('dedupeSection').style.display = 'block';
+        document.getElementById('sortSection').style.display = 'block';
+        document.getElementById('validationSection').style.display = 'block';
+        document.getElementById('summarySection').style.display = 'block';
+        document.getElementById('compareSection').style.display = 'block';
+        document.getElementById('combineSection').style.display = 'block';
+        
+        // Split columns index into this file's headers
+        if (!keepSettings) {
+            document.getElementById('splitMode').value = '';
+        }
+        updateSplitOptions();
+        
+        // Put the kept column setup back, unless none of its columns are left (e.g. the header
+        // row was switched off and every column got a generated name)
+        if (keptSettings) {
+            const resolved = resolvePreset(keptSettings, getCombinedHeaders());
+            if (resolved.columns.length > 0 || keptSettings.columns.length === 0) {
+                applyResolvedPreset(resolved);
+            }
         }
         
-        // Display presets
+        // Update export button text based on file type
+        updateExportButton();
+        
+        // Display presets with how well each one fits this file
         displayPresets();
         
         hideStatus();
         hideError();
         
+        // A newly loaded file gets the suggested preset when the user turned that on
+        const suggestion = getPresetSuggestion();
+        if (!keepSettings && suggestion && suggestion.best !== -1 && document.getElementById('presetAutoApply').checked) {
+            applyPreset(suggestion.best);
+        }
+        
     } catch (error) {
         console.error('Error details:', error);
-        showError('Error reading file: ' + error.message + '. Please check if the file is a valid CSV/TSV format.');
+        showError('Error reading file: ' + error.message + '. Please check the file and the parse settings.');
     }
 }
 
-// Select all columns
-function selectAll() {
-    document.querySelectorAll('#columnsGrid input[type="checkbox"]').forEach(cb => {
-        cb.checked = true;
-    });
+// Show the input that goes with the chosen split mode
+function updateSplitOptions() {
+    const mode = document.getElementById('splitMode').value;
+    const valueInput = document.getElementById('splitValue');
+    const columnSelect = document.getElementById('splitColumn');
+    
+    valueInput.style.display = mode === 'rows' || mode === 'bytes' ? 'block' : 'none';
+    columnSelect.style.display = mode === 'column' ? 'block' : 'none';
+    if (mode === 'rows') {
+        valueInput.placeholder = 'Rows per file';
+        valueInput.value = valueInput.dataset.rows || '50000';
+    } else if (mode === 'bytes') {
+        valueInput.placeholder = 'MB per file';
+        valueInput.value = valueInput.dataset.bytes || '100';
+    }
+    valueInput.dataset.mode = mode;
+    
+    if (mode === 'column') {
+        const selected = columnSelect.value;
+        columnSelect.innerHTML = getCombinedHeaders().map((header, index) =>
+            `<option value="${index}">${escapeHTML(header || `(Column ${index + 1})`)}</option>`
+        ).join('');
+        if (selected !== '' && columnSelect.options[selected]) columnSelect.value = selected;
+    }
 }
 
-// Deselect all columns
-function deselectAll() {
-    document.querySelectorAll('#columnsGrid input[type="checkbox"]').forEach(cb => {
-        cb.checked = false;
-    });
+// Remember the number typed for the current split mode
+function rememberSplitValue() {
+    const valueInput = document.getElementById('splitValue');
+    if (valueInput.dataset.mode) {
+        valueInput.dataset[valueInput.dataset.mode] = valueInput.value;
+    }
 }
 
-// Load presets from localStorage
-function loadPresets() {
-    const saved = localStorage.getItem('csvConverterPresets');
-    if (saved) {
-        try {
-            presets = JSON.parse(saved);
-        } catch (e) {
-            presets = [];
-        }
+// Split settings for the export job, or null for a single output file
+function getSplitSettings() {
+    const mode = document.getElementById('splitMode').value;
+    if (!mode) return null;
+    if (mode === 'column') {
+        return { mode, column: parseInt(document.getElementById('splitColumn').value, 10) };
     }
+    
+    const value = parseFloat(document.getElementById('splitValue').value);
+    if (!(value > 0)) {
+        throw new Error(mode === 'rows' ? 'Enter how many rows each file may have' : 'Enter the maximum size of each file in MB');
+    }
+    if (mode === 'rows') return { mode, maxRows: Math.floor(value) };
+    const split = { mode, maxBytes: Math.floor(value * 1024 * 1024) };
+    checkSplitSettings(split);
+    return split;
 }
 
-// Save presets to localStorage
-function savePresetsToStorage() {
-    localStorage.setItem('csvConverterPresets', JSON.stringify(presets));
+// Append options to a select from a { value: label } map
+function fillSelect(select, options) {
+    Object.keys(options).forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = options[value];
+        select.appendChild(option);
+    });
 }
 
-// Display presets in the UI
-function displayPresets() {
-    const presetList = document.getElementById('presetList');
+// Delimiter chosen in the parse settings ('auto' to detect it)
+function readDelimiterSetting() {
+    const choice = document.getElementById('delimiterSelect').value;
+    if (choice !== 'custom') return choice;
     
-    if (presets.length === 0) {
-        presetList.innerHTML = '<div class="no-presets">No saved presets yet</div>';
-        return;
-    }
-    
-    presetList.innerHTML = '';
-    
-    presets.forEach((preset, index) => {
-        const presetItem = document.createElement('div');
-        presetItem.className = 'preset-item';
-        presetItem.innerHTML = `
-            <span class="preset-name" title="${preset.headers.join(', ')}">${preset.name}</span>
-            <div class="preset-actions">
-                <button class="preset-btn preset-apply" onclick="applyPreset(${index})">Apply</button>
-                <button class="preset-btn preset-edit" onclick="editPreset(${index})">Edit</button>
-                <button class="preset-btn preset-delete" onclick="deletePreset(${index})">Delete</button>
-            </div>
-        `;
-        presetList.appendChild(presetItem);
-    });
+    // Custom delimiters may be several characters; "\t" stands for a tab
+    const custom = document.getElementById('customDelimiterInput').value.replace(/\\t/g, '\t');
+    return custom || 'auto';
 }
 
-// Open save preset modal
-function openSavePresetModal() {
-    const selectedHeaders = [];
-    document.querySelectorAll('#columnsGrid input[type="checkbox"]').forEach((cb, index) => {
-        if (cb.checked) {
-            selectedHeaders.push(headers[index]);
-        }
+// Quote, escape, header and skip settings from the parse settings panel
+function readParseDialect() {
+    const quote = document.getElementById('quoteCharInput').value;
+    const escape = document.getElementById('escapeCharInput').value;
+    return normalizeDialect({
+        quote,
+        escape: escape || quote,
+        hasHeader: document.getElementById('hasHeaderInput').checked,
+        skipLines: Math.max(0, parseInt(document.getElementById('skipLinesInput').value, 10) || 0),
+        commentPrefixes: document.getElementById('commentPrefixInput').value.split(/\s+/).filter(Boolean)
     });
-    
-    if (selectedHeaders.length === 0) {
-        showError('Please select at least one column to save as preset');
+}
+
+// Put the parse settings panel back to its defaults
+function resetParseSettings() {
+    document.getElementById('delimiterSelect').value = 'auto';
+    document.getElementById('customDelimiterInput').value = '';
+    document.getElementById('customDelimiterInput').style.display = 'none';
+    document.getElementById('quoteCharInput').value = DEFAULT_DIALECT.quote;
+    document.getElementById('escapeCharInput').value = DEFAULT_DIALECT.escape;
+    document.getElementById('hasHeaderInput').checked = DEFAULT_DIALECT.hasHeader;
+    document.getElementById('skipLinesInput').value = DEFAULT_DIALECT.skipLines;
+    document.getElementById('commentPrefixInput').value = '';
+    document.getElementById('readerSelect').value = 'auto';
+    document.getElementById('sheetSelect').innerHTML = '';
+    document.getElementById('widthsInput').value = '';
+    document.getElementById('recordsKeyInput').value = '';
+}
+
+// Show only the parse settings that apply to a file type
+function showReaderSettings(reader) {
+    document.querySelectorAll('#parseSettings [data-readers]').forEach(element => {
+        element.style.display = element.dataset.readers.split(' ').includes(reader) ? '' : 'none';
+    });
+}
+
+// List the sheets of a workbook in the sheet picker, with the one being read selected
+function renderSheetSelect(sheets, selected) {
+    const sheetSelect = document.getElementById('sheetSelect');
+    sheetSelect.innerHTML = (sheets || []).map(sheet =>
+        `<option value="${escapeHTML(sheet)}">${escapeHTML(sheet)}</option>`
+    ).join('');
+    if (selected) sheetSelect.value = selected;
+}
+
+// Short name of a file's type for the file info panel
+function getFileTypeLabel(fileName, reader, sheet) {
+    if (reader === 'xlsx') return `XLSX (${sheet})`;
+    if (reader === 'json') return /\.(ndjson|jsonl)$/i.test(fileName) ? 'NDJSON' : 'JSON';
+    if (reader === 'fixedWidth') return 'Fixed width';
+    return fileName.endsWith('.tsv') ? 'TSV' : 
+           fileName.endsWith('.tab') ? 'TAB' : 
+           fileName.endsWith('.txt') ? 'TXT' : 'CSV';
+}
+
+// Re-render the preview when a parse setting changes (debounced while typing)
+function onParseSettingChange(debounce) {
+    const isCustom = document.getElementById('delimiterSelect').value === 'custom';
+    document.getElementById('customDelimiterInput').style.display = isCustom ? 'block' : 'none';
+    
+    clearTimeout(parseSettingsTimer);
+    if (!currentFile) return;
+    parseSettingsTimer = setTimeout(() => handleFile(currentFile, true), debounce ? 400 : 0);
+}
+
+// Re-read the current file with a different input encoding
+function changeInputEncoding() {
+    if (currentFile) {
+        handleFile(currentFile, true);
+    }
+}
+
+// Update the export button for the current file and chosen format
+function updateExportButton() {
+    const formatKey = document.getElementById('exportFormat').value;
+    const format = EXPORT_FORMATS[formatKey] || EXPORT_FORMATS.csv;
+    
+    // XLSX is always written as UTF-8 inside the workbook
+    document.getElementById('outputEncoding').disabled = formatKey === 'xlsx';
+    const exportBtn = document.getElementById('exportBtn');
+    if (inputReader !== 'delimited' || delimiter === '\t' || delimiter === '|' || delimiter === ';') {
+        exportBtn.textContent = 'Convert & Export as ' + format.label;
+    } else {
+        exportBtn.textContent = 'Export as ' + format.label;
+    }
+}
+
+// Select all columns the column filter shows
+function selectAll() {
+    getVisibleColumnItems().forEach(item => {
+        item.querySelector('input[type="checkbox"]').checked = true;
+    });
+    updateColumnCount();
+}
+
+// Deselect all columns the column filter shows
+function deselectAll() {
+    getVisibleColumnItems().forEach(item => {
+        item.querySelector('input[type="checkbox"]').checked = false;
+    });
+    updateColumnCount();
+}
+
+// Flip the selection of the columns the column filter shows
+function invertSelection() {
+    getVisibleColumnItems().forEach(item => {
+        const checkbox = item.querySelector('input[type="checkbox"]');
+        checkbox.checked = !checkbox.checked;
+    });
+    updateColumnCount();
+}
+
+// Select the file's columns that have a value in the sampled rows and clear the empty ones
+function selectNonEmptyColumns() {
+    getVisibleColumnItems().forEach(item => {
+        const index = parseInt(item.dataset.index, 10);
+        // Computed and joined columns aren't in the sample
+        if (item.dataset.computed || index >= headers.length) return;
+        item.querySelector('input[type="checkbox"]').checked = !!sampleFilledColumns[index];
+    });
+    updateColumnCount();
+}
+
+// Select the shown columns whose name matches a regular expression (ignoring case);
+// the others keep their selection
+function selectColumnsByRegex() {
+    const source = document.getElementById('columnRegexInput').value;
+    if (!source) return;
+    
+    let pattern;
+    try {
+        pattern = new RegExp(source, 'i');
+    } catch (error) {
+        showError('Invalid regular expression: ' + error.message);
+        return;
+    }
+    hideError();
+    
+    let matched = 0;
+    getVisibleColumnItems().forEach(item => {
+        if (pattern.test(getColumnItemName(item))) {
+            item.querySelector('input[type="checkbox"]').checked = true;
+            matched++;
+        }
+    });
+    updateColumnCount();
+    showStatus(`Selected ${matched} matching column${matched === 1 ? '' : 's'}`);
+    setTimeout(hideStatus, 2000);
+}
+
+// Name of a grid item's column: the input header, or the name of a computed column
+function getColumnItemName(item) {
+    if (item.dataset.computed) {
+        return item.querySelector('.column-rename').value;
+    }
+    const index = parseInt(item.dataset.index, 10);
+    return getCombinedHeaders()[index] || `(Column ${index + 1})`;
+}
+
+// Column items not hidden by the column filter, in grid order
+function getVisibleColumnItems() {
+    return Array.from(document.querySelectorAll('#columnsGrid .column-item'))
+        .filter(item => item.style.display !== 'none');
+}
+
+// Show only the columns whose name or output name contains the filter text
+function filterColumnList() {
+    const query = document.getElementById('columnFilterInput').value.trim().toLowerCase();
+    document.querySelectorAll('#columnsGrid .column-item').forEach(item => {
+        const text = (getColumnItemName(item) + ' ' + item.querySelector('.column-rename').value).toLowerCase();
+        item.style.display = !query || text.includes(query) ? '' : 'none';
+    });
+    updateColumnCount();
+}
+
+// Shift-click on a checkbox gives every shown column between it and the last one clicked the same state
+function handleColumnCheckboxClick(e) {
+    if (!e.target.matches('input[type="checkbox"]')) return;
+    const item = e.target.closest('.column-item');
+    
+    if (e.shiftKey && lastClickedColumnItem && lastClickedColumnItem !== item) {
+        const items = getVisibleColumnItems();
+        const from = items.indexOf(lastClickedColumnItem);
+        const to = items.indexOf(item);
+        if (from !== -1 && to !== -1) {
+            items.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(other => {
+                other.querySelector('input[type="checkbox"]').checked = e.target.checked;
+            });
+        }
+    }
+    lastClickedColumnItem = item;
+    updateColumnCount();
+}
+
+// Show how many columns are selected (and how many the filter shows)
+function updateColumnCount() {
+    const items = Array.from(document.querySelectorAll('#columnsGrid .column-item'));
+    const selected = items.filter(item => item.querySelector('input[type="checkbox"]').checked).length;
+    const shown = items.filter(item => item.style.display !== 'none').length;
+    document.getElementById('columnCount').textContent = `${selected} of ${items.length} columns selected` +
+        (shown < items.length ? ` (${shown} shown)` : '');
+}
+
+// Load presets from localStorage, bringing presets saved by earlier versions up to date
+function loadPresets() {
+    const saved = localStorage.getItem('csvConverterPresets');
+    if (saved) {
+        try {
+            presets = JSON.parse(saved).map(preset => {
+                try {
+                    return migratePreset(preset);
+                } catch (e) {
+                    console.warn('Skipping saved preset:', e.message);
+                    return null;
+                }
+            }).filter(Boolean);
+        } catch (e) {
+            presets = [];
+        }
+    }
+}
+
+// Save presets to localStorage
+function savePresetsToStorage() {
+    localStorage.setItem('csvConverterPresets', JSON.stringify(presets));
+}
+
+// Remember whether the suggested preset is applied when a file is loaded
+function setPresetAutoApply(enabled) {
+    localStorage.setItem('csvConverterAutoApplyPreset', enabled ? 'true' : 'false');
+}
+
+// Scores of the saved presets against the loaded file, or null when no file is loaded
+function getPresetSuggestion() {
+    if (!currentFile || headers.length === 0) return null;
+    return suggestPreset(presets, getCombinedHeaders(), currentFile.name);
+}
+
+// Display presets in the UI, with the match against the loaded file and the best one highlighted
+function displayPresets() {
+    const presetList = document.getElementById('presetList');
+    fillBatchPresets();
+    
+    if (presets.length === 0) {
+        presetList.innerHTML = '<div class="no-presets">No saved presets yet</div>';
+        return;
+    }
+    
+    presetList.innerHTML = '';
+    const suggestion = getPresetSuggestion();
+    
+    presets.forEach((preset, index) => {
+        const presetItem = document.createElement('div');
+        presetItem.className = 'preset-item';
+        
+        let matchInfo = '';
+        if (suggestion) {
+            const match = suggestion.scores[index];
+            if (index === suggestion.best) presetItem.classList.add('preset-suggested');
+            matchInfo = `
+                <div class="preset-match">
+                    ${index === suggestion.best ? '<span class="preset-badge">Suggested</span>' : ''}
+                    ${Math.round(match.score * 100)}% match (${match.matched} of ${match.total} columns${match.nameMatches ? ', file name matches' : ''})
+                    ${match.missing.length > 0 ? `<div class="preset-match-missing">Missing: ${escapeHTML(match.missing.join(', '))}</div>` : ''}
+                </div>
+            `;
+        }
+        
+        presetItem.innerHTML = `
+            <div class="preset-info">
+                <span class="preset-name" title="${escapeHTML(preset.columns.map(column => column.name).join(', '))}">${escapeHTML(preset.name)}</span>
+                ${matchInfo}
+            </div>
+            <div class="preset-actions">
+                <button class="preset-btn preset-apply" onclick="applyPreset(${index})">Apply</button>
+                <button class="preset-btn preset-edit" onclick="editPreset(${index})">Edit</button>
+                <button class="preset-btn preset-export" onclick="exportPreset(${index})">Export</button>
+                <button class="preset-btn preset-delete" onclick="deletePreset(${index})">Delete</button>
+            </div>
+        `;
+        presetList.appendChild(presetItem);
+    });
+}
+
+// Open save preset modal
+function openSavePresetModal() {
+    if (getOutputColumns().length === 0) {
+        showError('Please select at least one column to save as preset');
+        return;
+    }
+    
+    document.getElementById('modalHeader').textContent = 'Save Preset';
+    document.getElementById('presetNameInput').value = '';
+    document.getElementById('presetPatternInput').value = fileNamePattern(currentFile.name);
+    editingPresetIndex = null;
+    document.getElementById('presetModal').style.display = 'block';
+}
+
+// Edit existing preset
+function editPreset(index) {
+    const preset = presets[index];
+    document.getElementById('modalHeader').textContent = 'Edit Preset';
+    document.getElementById('presetNameInput').value = preset.name;
+    document.getElementById('presetPatternInput').value = preset.filePattern || '';
+    editingPresetIndex = index;
+    
+    // Apply the preset selection first
+    applyPreset(index);
+    
+    document.getElementById('presetModal').style.display = 'block';
+}
+
+// Close preset modal
+function closePresetModal() {
+    document.getElementById('presetModal').style.display = 'none';
+    editingPresetIndex = null;
+}
+
+// Everything a preset stores, read from the current page settings
+function getCurrentSettings() {
+    return {
+        columns: getOutputColumns(),
+        filterGroups,
+        filterMatchMode,
+        dedupe: getDedupeSettings(),
+        sort: getSortSettings(),
+        validation: getValidationSettings(),
+        format: document.getElementById('exportFormat').value,
+        outputEncoding: document.getElementById('outputEncoding').value,
+        split: getSplitSettings()
+    };
+}
+
+// Save preset
+function savePreset() {
+    const name = document.getElementById('presetNameInput').value.trim();
+    
+    if (!name) {
+        alert('Please enter a preset name');
+        return;
+    }
+    
+    let settings;
+    try {
+        settings = getCurrentSettings();
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+    settings.filePattern = document.getElementById('presetPatternInput').value.trim();
+    
+    if (editingPresetIndex !== null) {
+        // Edit existing preset
+        presets[editingPresetIndex] = createPreset(name, settings, getCombinedHeaders(), presets[editingPresetIndex]);
+    } else {
+        // Add new preset
+        presets.push(createPreset(name, settings, getCombinedHeaders()));
+    }
+    
+    savePresetsToStorage();
+    displayPresets();
+    closePresetModal();
+    showStatus('Preset saved successfully!');
+    setTimeout(hideStatus, 2000);
+}
+
+// Apply preset
+function applyPreset(index) {
+    const preset = presets[index];
+    const resolved = resolvePreset(preset, getCombinedHeaders());
+    applyResolvedPreset(resolved);
+    
+    renderPresetMissing(index, resolved.missing);
+    if (resolved.missing.length > 0) {
+        showStatus(`Applied preset: ${preset.name} (${resolved.missing.length} column(s) not found)`);
+    } else {
+        showStatus(`Applied preset: ${preset.name}`);
+        setTimeout(hideStatus, 2000);
+    }
+}
+
+// Set the column grid, filters, dedupe and sort keys, validation, output and split settings
+// from a preset resolved against the loaded file's headers
+function applyResolvedPreset(resolved) {
+    const columnsGrid = document.getElementById('columnsGrid');
+    
+    // First, drop computed columns and clear selections and renames
+    columnsGrid.querySelectorAll('.computed-column').forEach(item => item.remove());
+    const sourceItems = Array.from(columnsGrid.querySelectorAll('.column-item'))
+        .sort((a, b) => a.dataset.index - b.dataset.index);
+    sourceItems.forEach(item => {
+        item.querySelector('input[type="checkbox"]').checked = false;
+        item.querySelector('.column-rename').value = '';
+        item.transforms = [];
+        updateTransformButton(item);
+    });
+    
+    // Then select the preset's columns, collecting them in preset order
+    const allHeaders = getCombinedHeaders();
+    const orderedItems = resolved.columns.map(column => {
+        if (column.template !== undefined) {
+            return createComputedColumnItem(column.name, column.template, column.transforms);
+        }
+        
+        const item = sourceItems[column.source];
+        item.querySelector('input[type="checkbox"]').checked = true;
+        if (column.name !== allHeaders[column.source]) {
+            item.querySelector('.column-rename').value = column.name;
+        }
+        item.transforms = column.transforms;
+        updateTransformButton(item);
+        return item;
+    });
+    
+    // Preset columns go first, the remaining columns keep their source order
+    orderedItems.concat(sourceItems.filter(item => !orderedItems.includes(item)))
+        .forEach(item => columnsGrid.appendChild(item));
+    renderPreviewTable();
+    
+    // Filters and dedupe keys only offer the file's own columns
+    filterGroups = resolved.filterGroups
+        .map(group => ({ mode: group.mode, rules: group.rules.filter(rule => rule.column < headers.length) }))
+        .filter(group => group.rules.length > 0);
+    filterMatchMode = resolved.filterMatchMode;
+    document.getElementById('filterMatchMode').value = filterMatchMode;
+    renderFilters();
+    
+    const dedupeColumns = resolved.dedupe ? resolved.dedupe.columns : [];
+    document.getElementById('dedupeKeep').value = resolved.dedupe ? resolved.dedupe.keep : 'first';
+    document.querySelectorAll('#dedupeColumns input').forEach(input => {
+        input.checked = dedupeColumns.includes(parseInt(input.value, 10));
+    });
+    
+    sortKeys = resolved.sort ? resolved.sort.keys.filter(key => key.column < headers.length) : [];
+    renderSortKeys();
+    setValidationSettings(resolved.validation);
+    
+    // Output format and encoding stay as they are when the preset doesn't set them
+    if (resolved.format && EXPORT_FORMATS[resolved.format]) {
+        document.getElementById('exportFormat').value = resolved.format;
+    }
+    if (resolved.outputEncoding && OUTPUT_ENCODINGS[resolved.outputEncoding]) {
+        document.getElementById('outputEncoding').value = resolved.outputEncoding;
+    }
+    updateExportButton();
+    
+    const split = resolved.split;
+    const valueInput = document.getElementById('splitValue');
+    document.getElementById('splitMode').value = split ? split.mode : '';
+    if (split && split.mode === 'rows') valueInput.dataset.rows = split.maxRows;
+    if (split && split.mode === 'bytes') valueInput.dataset.bytes = split.maxBytes / (1024 * 1024);
+    updateSplitOptions();
+    if (split && split.mode === 'column') document.getElementById('splitColumn').value = split.column;
+}
+
+// List the preset columns this file doesn't have, each with a choice of header to map it to
+function renderPresetMissing(presetIndex, missing) {
+    const panel = document.getElementById('presetMissing');
+    if (missing.length === 0) {
+        panel.style.display = 'none';
+        panel.innerHTML = '';
+        return;
+    }
+    
+    const headerOptions = headers.map((header, index) =>
+        `<option value="${index}">${escapeHTML(header || `(Column ${index + 1})`)}</option>`
+    ).join('');
+    panel.innerHTML = `<strong>Not found in this file:</strong>` + missing.map(header => `
+        <div class="preset-missing-row">
+            <span>${escapeHTML(header)}</span>
+            <select data-header="${escapeHTML(header)}" onchange="mapMissingColumn(${presetIndex}, this.dataset.header, this.value)">
+                <option value="">Leave out</option>
+                ${headerOptions}
+            </select>
+        </div>
+    `).join('');
+    panel.style.display = 'block';
+}
+
+// Map a missing preset column to one of this file's headers and apply the preset again.
+// The header is remembered as an alias, so files with either name match from now on.
+function mapMissingColumn(presetIndex, header, value) {
+    if (value === '') return;
+    const preset = presets[presetIndex];
+    const target = headers[parseInt(value, 10)];
+    
+    const column = preset.columns.find(column => column.header === header);
+    if (column) {
+        if (!column.aliases.includes(target)) column.aliases.push(target);
+    } else {
+        // Only referenced by a filter, the dedupe or sort keys or the split - point those at the new header
+        preset.filters.groups.forEach(group => group.rules.forEach(rule => {
+            if (rule.column === header) rule.column = target;
+        }));
+        if (preset.dedupe) {
+            preset.dedupe.columns = preset.dedupe.columns.map(name => name === header ? target : name);
+        }
+        if (preset.sort) {
+            preset.sort.keys.forEach(key => {
+                if (key.column === header) key.column = target;
+            });
+        }
+        if (preset.split && preset.split.column === header) preset.split.column = target;
+    }
+    
+    savePresetsToStorage();
+    applyPreset(presetIndex);
+}
+
+// Download one preset as a JSON file
+function exportPreset(index) {
+    const preset = presets[index];
+    const blob = new Blob([serializePresets([preset])], { type: 'application/json' });
+    downloadBlob(blob, preset.name.replace(/[\\/:*?"<>|]+/g, '_') + '.json');
+}
+
+// Download all presets as one JSON file
+function exportPresets() {
+    if (presets.length === 0) {
+        showError('There are no presets to export');
+        return;
+    }
+    downloadBlob(new Blob([serializePresets(presets)], { type: 'application/json' }), 'presets.json');
+}
+
+// Add presets from a JSON file; a preset with the same name as an existing one replaces it
+async function importPresets(file) {
+    document.getElementById('presetImportInput').value = '';
+    
+    let imported;
+    try {
+        imported = parsePresetFile(await file.text());
+    } catch (error) {
+        showError(`Could not import ${file.name}: ${error.message}`);
+        return;
+    }
+    
+    let replaced = 0;
+    imported.forEach(preset => {
+        const existing = presets.findIndex(other => other.name === preset.name);
+        if (existing !== -1) {
+            presets[existing] = preset;
+            replaced++;
+        } else {
+            presets.push(preset);
+        }
+    });
+    
+    savePresetsToStorage();
+    displayPresets();
+    showStatus(`Imported ${imported.length} preset(s)` + (replaced > 0 ? `, ${replaced} replaced existing presets` : ''));
+    setTimeout(hideStatus, 3000);
+}
+
+// Delete preset
+function deletePreset(index) {
+    if (confirm(`Are you sure you want to delete the preset "${presets[index].name}"?`)) {
+        presets.splice(index, 1);
+        savePresetsToStorage();
+        displayPresets();
+        showStatus('Preset deleted');
+        setTimeout(hideStatus, 2000);
+    }
+}
+
+// Operators available in the row filter builder
+const FILTER_OPERATORS = [
+    { value: 'equals', label: 'equals', needsValue: true },
+    { value: 'notEquals', label: 'does not equal', needsValue: true },
+    { value: 'contains', label: 'contains', needsValue: true },
+    { value: 'notContains', label: 'does not contain', needsValue: true },
+    { value: 'regex', label: 'matches regex', needsValue: true },
+    { value: 'greaterThan', label: 'greater than', needsValue: true },
+    { value: 'lessThan', label: 'less than', needsValue: true },
+    { value: 'empty', label: 'is empty', needsValue: false },
+    { value: 'notEmpty', label: 'is not empty', needsValue: false },
+    { value: 'inList', label: 'in list (comma separated)', needsValue: true }
+];
+
+// Add a new filter group with one empty rule
+function addFilterGroup() {
+    filterGroups.push({ mode: 'all', rules: [] });
+    addFilterRule(filterGroups.length - 1);
+}
+
+// Remove a filter group
+function removeFilterGroup(groupIndex) {
+    filterGroups.splice(groupIndex, 1);
+    renderFilters();
+}
+
+// Add a rule to a filter group
+function addFilterRule(groupIndex) {
+    filterGroups[groupIndex].rules.push({ column: 0, operator: 'equals', value: '' });
+    renderFilters();
+}
+
+// Remove a rule from a filter group (drops the group once it is empty)
+function removeFilterRule(groupIndex, ruleIndex) {
+    const group = filterGroups[groupIndex];
+    group.rules.splice(ruleIndex, 1);
+    if (group.rules.length === 0) {
+        filterGroups.splice(groupIndex, 1);
+    }
+    renderFilters();
+}
+
+// Update a single property of a rule
+function updateFilterRule(groupIndex, ruleIndex, property, value) {
+    const rule = filterGroups[groupIndex].rules[ruleIndex];
+    rule[property] = property === 'column' ? parseInt(value, 10) : value;
+    
+    // The value input is only shown for operators that need one
+    if (property === 'operator') {
+        renderFilters();
+    }
+}
+
+// Set how rules inside a group are combined
+function setFilterGroupMode(groupIndex, mode) {
+    filterGroups[groupIndex].mode = mode;
+}
+
+// Set how groups are combined
+function setFilterMatchMode(mode) {
+    filterMatchMode = mode;
+}
+
+// Remove all filters
+function clearFilters() {
+    filterGroups = [];
+    filterMatchMode = 'all';
+    document.getElementById('filterMatchMode').value = 'all';
+    renderFilters();
+}
+
+// List the input columns as dedupe key choices
+function renderDedupeColumns() {
+    document.getElementById('dedupeKeep').value = 'first';
+    document.getElementById('dedupeColumns').innerHTML = headers.map((header, index) => `
+        <label class="dedupe-column">
+            <input type="checkbox" value="${index}">
+            ${escapeHTML(header || `(Column ${index + 1})`)}
+        </label>
+    `).join('');
+}
+
+// Dedupe settings for the export job, or null when no key column is checked
+function getDedupeSettings() {
+    const columns = Array.from(document.querySelectorAll('#dedupeColumns input:checked'))
+        .map(input => parseInt(input.value, 10));
+    if (columns.length === 0) return null;
+    return { columns, keep: document.getElementById('dedupeKeep').value };
+}
+
+// Draw the sort keys, each a column, direction and comparison type
+function renderSortKeys() {
+    const container = document.getElementById('sortKeys');
+    if (sortKeys.length === 0) {
+        container.innerHTML = '<div class="no-filters">No sort keys - rows keep their file order</div>';
+        return;
+    }
+    
+    const columnOptions = headers.map((header, index) =>
+        `<option value="${index}">${escapeHTML(header || `(Column ${index + 1})`)}</option>`
+    ).join('');
+    const typeOptions = Object.keys(SORT_TYPES).map(type =>
+        `<option value="${type}">${SORT_TYPES[type].label}</option>`
+    ).join('');
+    
+    container.innerHTML = sortKeys.map((key, index) => `
+        <div class="sort-key">
+            <span class="sort-key-position">${index === 0 ? 'Sort by' : 'then by'}</span>
+            <select class="filter-select" data-value="${key.column}" onchange="updateSortKey(${index}, 'column', this.value)">${columnOptions}</select>
+            <select class="filter-select" data-value="${key.order}" onchange="updateSortKey(${index}, 'order', this.value)">
+                <option value="asc">Ascending</option>
+                <option value="desc">Descending</option>
+            </select>
+            <select class="filter-select" data-value="${key.type}" onchange="updateSortKey(${index}, 'type', this.value)">${typeOptions}</select>
+            <button class="preset-btn preset-delete" onclick="removeSortKey(${index})">✕</button>
+        </div>
+    `).join('');
+    
+    // Restore select values (options are built from the same template for every key)
+    container.querySelectorAll('select[data-value]').forEach(select => {
+        select.value = select.dataset.value;
+    });
+}
+
+// Add a sort key on the first column not sorted by yet
+function addSortKey() {
+    const used = sortKeys.map(key => key.column);
+    const column = headers.findIndex((header, index) => !used.includes(index));
+    sortKeys.push({ column: Math.max(0, column), order: 'asc', type: 'string' });
+    renderSortKeys();
+}
+
+// Remove a sort key
+function removeSortKey(index) {
+    sortKeys.splice(index, 1);
+    renderSortKeys();
+}
+
+// Update a single property of a sort key
+function updateSortKey(index, property, value) {
+    sortKeys[index][property] = property === 'column' ? parseInt(value, 10) : value;
+}
+
+// Sort settings for the export job, or null to keep the file order
+function getSortSettings() {
+    if (sortKeys.length === 0) return null;
+    return { keys: sortKeys.map(key => Object.assign({}, key)) };
+}
+
+// Placeholder shown in a validation rule's setting box, by rule
+const VALIDATION_RULE_HINTS = {
+    length: 'e.g. 150 or 5-150',
+    regex: 'regular expression',
+    enum: 'values separated by commas'
+};
+
+// Draw the custom validation rules, each an output column, a rule and its setting
+function renderValidationRules() {
+    document.getElementById('validationColumnNames').innerHTML = getOutputColumns()
+        .map(column => `<option value="${escapeHTML(column.name)}"></option>`).join('');
+    
+    const container = document.getElementById('validationRules');
+    if (validationRules.length === 0) {
+        container.innerHTML = '<div class="no-filters">No custom rules</div>';
+        return;
+    }
+    
+    const ruleOptions = Object.keys(VALIDATION_RULES).map(rule =>
+        `<option value="${rule}">${VALIDATION_RULES[rule].label}</option>`
+    ).join('');
+    const settingInput = (rule, index) => {
+        const choices = rule.rule === 'type' ? VALIDATION_TYPES : rule.rule === 'checksum' ? VALIDATION_CHECKSUMS : null;
+        if (choices) {
+            const options = Object.keys(choices).map(key => `<option value="${key}">${escapeHTML(choices[key].label)}</option>`).join('');
+            return `<select class="filter-select" data-value="${escapeHTML(rule.value)}" onchange="updateValidationRule(${index}, 'value', this.value)">${options}</select>`;
+        }
+        if (!VALIDATION_RULE_HINTS[rule.rule]) return '';
+        return `<input type="text" class="filter-input" value="${escapeHTML(rule.value)}" placeholder="${VALIDATION_RULE_HINTS[rule.rule]}" oninput="updateValidationRule(${index}, 'value', this.value)">`;
+    };
+    
+    container.innerHTML = validationRules.map((rule, index) => `
+        <div class="validation-rule">
+            <input type="text" class="filter-input" list="validationColumnNames" value="${escapeHTML(rule.column)}" placeholder="output column" oninput="updateValidationRule(${index}, 'column', this.value)">
+            <select class="filter-select" data-value="${rule.rule}" onchange="updateValidationRule(${index}, 'rule', this.value)">${ruleOptions}</select>
+            ${settingInput(rule, index)}
+            <button class="preset-btn preset-delete" onclick="removeValidationRule(${index})">✕</button>
+        </div>
+    `).join('');
+    
+    container.querySelectorAll('select[data-value]').forEach(select => {
+        select.value = select.dataset.value;
+    });
+}
+
+// Add a custom validation rule on the first output column
+function addValidationRule() {
+    const columns = getOutputColumns();
+    validationRules.push({ column: columns.length > 0 ? columns[0].name : '', rule: 'required', value: '' });
+    renderValidationRules();
+}
+
+// Remove a custom validation rule
+function removeValidationRule(index) {
+    validationRules.splice(index, 1);
+    renderValidationRules();
+}
+
+// Update a custom validation rule; a new rule starts from its default setting
+function updateValidationRule(index, property, value) {
+    const rule = validationRules[index];
+    rule[property] = value;
+    if (property === 'rule') {
+        rule.value = value === 'type' ? 'number' : value === 'checksum' ? 'gtin' : '';
+        renderValidationRules();
+    }
+}
+
+// Validation settings for the export job, or null when there is nothing to check
+function getValidationSettings() {
+    const schema = document.getElementById('validationSchema').value || null;
+    const rules = validationRules.filter(rule => rule.column.trim() !== '').map(rule => Object.assign({}, rule));
+    if (!schema && rules.length === 0) return null;
+    return { schema, rules, rejectedFile: document.getElementById('validationRejected').checked };
+}
+
+// Show the rule settings of a saved preset, or no validation
+function setValidationSettings(validation) {
+    document.getElementById('validationSchema').value = validation && validation.schema ? validation.schema : '';
+    document.getElementById('validationRejected').checked = validation ? validation.rejectedFile : true;
+    validationRules = validation ? validation.rules.map(rule => Object.assign({}, rule)) : [];
+    renderValidationRules();
+}
+
+// Show how the exported rows fared against the validation rules
+function renderValidationReport(report) {
+    const section = document.getElementById('validationReportSection');
+    if (!report) {
+        section.style.display = 'none';
+        return;
+    }
+    
+    document.getElementById('validationSummary').innerHTML =
+        `${report.checked.toLocaleString()} rows checked, ${report.rejected.toLocaleString()} rejected.`;
+    
+    document.getElementById('validationTable').innerHTML = `
+        <tr><th>Column</th><th>Rule</th><th>Setting</th><th>Rows failing</th></tr>
+        ${report.rules.map(rule => `
+            <tr>
+                <td>${escapeHTML(rule.column)}</td>
+                <td>${VALIDATION_RULES[rule.rule].label}</td>
+                <td>${escapeHTML(rule.value)}</td>
+                <td>${rule.failures > 0 ? '❌ ' : '✅ '}${rule.failures.toLocaleString()}</td>
+            </tr>
+        `).join('')}
+    `;
+    section.style.display = 'block';
+}
+
+// Reset the summary to no group-by columns and a row count
+function clearSummary() {
+    document.getElementById('summaryGroupColumns').innerHTML = headers.map((header, index) => `
+        <label class="dedupe-column">
+            <input type="checkbox" value="${index}">
+            ${escapeHTML(header || `(Column ${index + 1})`)}
+        </label>
+    `).join('');
+    summaryAggregates = [{ type: 'count', column: 0 }];
+    renderSummaryAggregates();
+}
+
+// Draw the summary aggregations; a row count has no column to pick
+function renderSummaryAggregates() {
+    const container = document.getElementById('summaryAggregates');
+    if (summaryAggregates.length === 0) {
+        container.innerHTML = '<div class="no-filters">No aggregations - add one to export a summary</div>';
+        return;
+    }
+    
+    const columnOptions = headers.map((header, index) =>
+        `<option value="${index}">${escapeHTML(header || `(Column ${index + 1})`)}</option>`
+    ).join('');
+    const typeOptions = Object.keys(SUMMARY_AGGREGATES).map(type =>
+        `<option value="${type}">${SUMMARY_AGGREGATES[type].label}</option>`
+    ).join('');
+    
+    container.innerHTML = summaryAggregates.map((aggregate, index) => `
+        <div class="summary-aggregate">
+            <select class="filter-select" data-value="${aggregate.type}" onchange="updateSummaryAggregate(${index}, 'type', this.value)">${typeOptions}</select>
+            ${SUMMARY_AGGREGATES[aggregate.type].column ? `
+                <span>of</span>
+                <select class="filter-select" data-value="${aggregate.column}" onchange="updateSummaryAggregate(${index}, 'column', this.value)">${columnOptions}</select>
+            ` : '<span>rows</span>'}
+            <button class="preset-btn preset-delete" onclick="removeSummaryAggregate(${index})">✕</button>
+        </div>
+    `).join('');
+    
+    container.querySelectorAll('select[data-value]').forEach(select => {
+        select.value = select.dataset.value;
+    });
+}
+
+// Add an aggregation, summing the first column until another is picked
+function addSummaryAggregate() {
+    summaryAggregates.push({ type: 'sum', column: 0 });
+    renderSummaryAggregates();
+}
+
+// Remove an aggregation
+function removeSummaryAggregate(index) {
+    summaryAggregates.splice(index, 1);
+    renderSummaryAggregates();
+}
+
+// Update a single property of an aggregation; a new type may show or hide the column
+function updateSummaryAggregate(index, property, value) {
+    summaryAggregates[index][property] = property === 'column' ? parseInt(value, 10) : value;
+    if (property === 'type') renderSummaryAggregates();
+}
+
+// Summary settings for the summary job
+function getSummarySettings() {
+    const groupBy = Array.from(document.querySelectorAll('#summaryGroupColumns input:checked'))
+        .map(input => parseInt(input.value, 10));
+    return { groupBy, aggregates: summaryAggregates.map(aggregate => Object.assign({}, aggregate)) };
+}
+
+// Headers of the rows being exported: the file's own, then any joined lookup columns
+function getCombinedHeaders() {
+    return getJobHeaders({ headers, join: joinConfig });
+}
+
+// Add files to stack below the current one
+async function addAppendFiles(fileList) {
+    hideError();
+    for (const file of Array.from(fileList)) {
+        try {
+            const info = await sniffFile(file, parseDialect);
+            appendSources.push(Object.assign(createSourceJob(info, parseDialect), {
+                file,
+                mapping: matchAppendHeaders(headers, info.headers)
+            }));
+        } catch (error) {
+            showError(`Could not read ${file.name}: ${error.message}`);
+        }
+    }
+    document.getElementById('appendInput').value = '';
+    renderAppendList();
+}
+
+// Remove an appended file
+function removeAppendFile(index) {
+    appendSources.splice(index, 1);
+    renderAppendList();
+}
+
+// Choose which column of an appended file fills a main column (-1 leaves it empty)
+function setAppendMapping(sourceIndex, headerIndex, value) {
+    appendSources[sourceIndex].mapping[headerIndex] = parseInt(value, 10);
+    renderAppendList();
+}
+
+// Render the appended files with their column mapping
+function renderAppendList() {
+    const container = document.getElementById('appendList');
+    
+    if (appendSources.length === 0) {
+        container.innerHTML = '<div class="no-filters">No appended files</div>';
+        return;
+    }
+    
+    container.innerHTML = appendSources.map((source, sourceIndex) => {
+        const matched = source.mapping.filter(index => index !== -1).length;
+        const rows = headers.map((header, headerIndex) => {
+            const options = [`<option value="-1">(leave empty)</option>`].concat(source.headers.map((other, otherIndex) =>
+                `<option value="${otherIndex}" ${source.mapping[headerIndex] === otherIndex ? 'selected' : ''}>${escapeHTML(other || `(Column ${otherIndex + 1})`)}</option>`
+            )).join('');
+            return `
+                <div class="combine-mapping ${source.mapping[headerIndex] === -1 ? 'unmatched' : ''}">
+                    <span>${escapeHTML(header || `(Column ${headerIndex + 1})`)}</span>
+                    <select class="filter-select" onchange="setAppendMapping(${sourceIndex}, ${headerIndex}, this.value)">${options}</select>
+                </div>
+            `;
+        }).join('');
+        
+        return `
+            <div class="combine-item">
+                <div class="preset-item">
+                    <span class="preset-name">${escapeHTML(source.file.name)} (${formatFileSize(source.file.size)}) -
+                        ${matched} of ${headers.length} columns matched</span>
+                    <button class="preset-btn preset-delete" onclick="removeAppendFile(${sourceIndex})">Remove</button>
+                </div>
+                <details ${matched < headers.length ? 'open' : ''}>
+                    <summary>Column mapping</summary>
+                    ${rows}
+                </details>
+            </div>
+        `;
+    }).join('');
+}
+
+// Load a lookup file to join, guessing the key from a column name both files share
+async function setLookupFile(file) {
+    hideError();
+    try {
+        const info = await sniffFile(file);
+        const normalize = header => header.trim().toLowerCase();
+        let lookupKey = info.headers.findIndex(header => headers.some(main => normalize(main) === normalize(header)));
+        let key = lookupKey === -1 ? 0 : headers.findIndex(main => normalize(main) === normalize(info.headers[lookupKey]));
+        if (lookupKey === -1) lookupKey = 0;
+        
+        joinConfig = Object.assign(createSourceJob(info), {
+            file,
+            key,
+            lookupKey,
+            columns: info.headers.map((header, index) => index).filter(index => index !== lookupKey),
+            type: 'left'
+        });
+    } catch (error) {
+        showError(`Could not read ${file.name}: ${error.message}`);
+    }
+    document.getElementById('lookupInput').value = '';
+    refreshCombineSection();
+}
+
+// Stop joining the lookup file
+function removeLookupFile() {
+    joinConfig = null;
+    refreshCombineSection();
+}
+
+// Change a join setting (key, lookupKey or type)
+function updateJoin(property, value) {
+    joinConfig[property] = property === 'type' ? value : parseInt(value, 10);
+    refreshCombineSection();
+}
+
+// Add or remove a lookup column from the joined columns
+function toggleJoinColumn(index, checked) {
+    const columns = joinConfig.columns.filter(column => column !== index);
+    if (checked) columns.push(index);
+    joinConfig.columns = columns.sort((a, b) => a - b);
+    refreshCombineSection();
+}
+
+// Render the join settings
+function renderJoinSettings() {
+    const container = document.getElementById('joinSettings');
+    
+    if (!joinConfig) {
+        container.innerHTML = '<div class="no-filters">No lookup file</div>';
+        return;
+    }
+    
+    const columnOptions = (list, selected) => list.map((header, index) =>
+        `<option value="${index}" ${index === selected ? 'selected' : ''}>${escapeHTML(header || `(Column ${index + 1})`)}</option>`
+    ).join('');
+    const lookupColumns = joinConfig.headers.map((header, index) => `
+        <label class="dedupe-column">
+            <input type="checkbox" ${joinConfig.columns.includes(index) ? 'checked' : ''} onchange="toggleJoinColumn(${index}, this.checked)">
+            ${escapeHTML(header || `(Column ${index + 1})`)}
+        </label>
+    `).join('');
+    
+    container.innerHTML = `
+        <div class="preset-item">
+            <span class="preset-name">${escapeHTML(joinConfig.file.name)} (${formatFileSize(joinConfig.file.size)})</span>
+            <button class="preset-btn preset-delete" onclick="removeLookupFile()">Remove</button>
+        </div>
+        <div class="filter-header combine-join-keys">
+            <span>
+                <select class="filter-select" onchange="updateJoin('type', this.value)">
+                    <option value="left" ${joinConfig.type === 'left' ? 'selected' : ''}>Left join (keep every row)</option>
+                    <option value="inner" ${joinConfig.type === 'inner' ? 'selected' : ''}>Inner join (only rows with a match)</option>
+                </select>
+                where
+                <select class="filter-select" onchange="updateJoin('key', this.value)">${columnOptions(headers, joinConfig.key)}</select>
+                equals lookup column
+                <select class="filter-select" onchange="updateJoin('lookupKey', this.value)">${columnOptions(joinConfig.headers, joinConfig.lookupKey)}</select>
+            </span>
+        </div>
+        <p class="section-hint">Keys match ignoring case and surrounding spaces. Columns to add:</p>
+        <div class="dedupe-columns">${lookupColumns}</div>
+    `;
+}
+
+// Re-render the combine section and put the joined columns in the column grid
+function refreshCombineSection() {
+    // The file may have been re-parsed with other headers
+    appendSources.forEach(source => {
+        if (source.mapping.length !== headers.length) {
+            source.mapping = matchAppendHeaders(headers, source.headers);
+        }
+    });
+    if (joinConfig && joinConfig.key >= headers.length) {
+        joinConfig.key = 0;
+    }
+    
+    renderAppendList();
+    renderJoinSettings();
+    
+    // Joined columns follow the file's own columns; keep the ones still joined where they are
+    const columnsGrid = document.getElementById('columnsGrid');
+    const allHeaders = getCombinedHeaders();
+    const existing = {};
+    columnsGrid.querySelectorAll('.join-column').forEach(item => {
+        existing[item.dataset.lookupColumn] = item;
+        item.remove();
+    });
+    (joinConfig ? joinConfig.columns : []).forEach((lookupColumn, position) => {
+        const index = headers.length + position;
+        let item = existing[lookupColumn];
+        if (item) {
+            item.dataset.index = index;
+        } else {
+            item = createSourceColumnItem(index, `🔗 ${allHeaders[index]}`, true);
+            item.classList.add('join-column');
+            item.dataset.lookupColumn = lookupColumn;
+        }
+        columnsGrid.appendChild(item);
+    });
+    updateSplitOptions();
+}
+
+// Escape text for use inside innerHTML
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Render the filter builder
+function renderFilters() {
+    const container = document.getElementById('filterGroups');
+    
+    if (filterGroups.length === 0) {
+        container.innerHTML = '<div class="no-filters">No filters - all rows will be exported</div>';
+        return;
+    }
+    
+    container.innerHTML = '';
+    
+    filterGroups.forEach((group, groupIndex) => {
+        const groupEl = document.createElement('div');
+        groupEl.className = 'filter-group';
+        
+        const columnOptions = headers.map((header, index) =>
+            `<option value="${index}">${escapeHTML(header || `(Column ${index + 1})`)}</option>`
+        ).join('');
+        const operatorOptions = FILTER_OPERATORS.map(op =>
+            `<option value="${op.value}">${op.label}</option>`
+        ).join('');
+        
+        const rulesHTML = group.rules.map((rule, ruleIndex) => {
+            const operator = FILTER_OPERATORS.find(op => op.value === rule.operator);
+            return `
+                <div class="filter-rule">
+                    <select class="filter-select" data-value="${rule.column}" onchange="updateFilterRule(${groupIndex}, ${ruleIndex}, 'column', this.value)">${columnOptions}</select>
+                    <select class="filter-select" data-value="${rule.operator}" onchange="updateFilterRule(${groupIndex}, ${ruleIndex}, 'operator', this.value)">${operatorOptions}</select>
+                    <input type="text" class="filter-input" value="${escapeHTML(rule.value)}" placeholder="Value"
+                        style="${operator && operator.needsValue ? '' : 'visibility: hidden;'}"
+                        oninput="updateFilterRule(${groupIndex}, ${ruleIndex}, 'value', this.value)">
+                    <button class="preset-btn preset-delete" onclick="removeFilterRule(${groupIndex}, ${ruleIndex})">✕</button>
+                </div>
+            `;
+        }).join('');
+        
+        groupEl.innerHTML = `
+            <div class="filter-group-header">
+                <span>Match
+                    <select class="filter-select" data-value="${group.mode}" onchange="setFilterGroupMode(${groupIndex}, this.value)">
+                        <option value="all">all</option>
+                        <option value="any">any</option>
+                    </select>
+                    of these rules</span>
+                <div class="preset-actions">
+                    <button class="preset-btn preset-apply" onclick="addFilterRule(${groupIndex})">Add Rule</button>
+                    <button class="preset-btn preset-delete" onclick="removeFilterGroup(${groupIndex})">Remove Group</button>
+                </div>
+            </div>
+            ${rulesHTML}
+        `;
+        
+        // Restore select values (options are built from the same template for every rule)
+        groupEl.querySelectorAll('select[data-value]').forEach(select => {
+            select.value = select.dataset.value;
+        });
+        
+        container.appendChild(groupEl);
+    });
+}
+
+// Export file
+async function exportFile() {
+    const columns = getOutputColumns();
+    
+    if (columns.length === 0) {
+        showError('Please select at least one column');
+        return;
+    }
+    
+    // Compile filters, templates and validation rules up front so invalid rules are reported before reading the file
+    const validation = getValidationSettings();
+    try {
+        compileRowFilter(filterGroups, filterMatchMode);
+        compileColumnProjection(columns, getCombinedHeaders());
+        if (validation) compileValidator(validation, columns.map(column => column.name));
+    } catch (error) {
+        showError(error.message);
+        return;
+    }
+    
+    const formatKey = document.getElementById('exportFormat').value;
+    const format = EXPORT_FORMATS[formatKey];
+    
+    let split;
+    try {
+        split = getSplitSettings();
+    } catch (error) {
+        showError(error.message);
+        return;
+    }
+    
+    // Get custom filename
+    let exportFileName = document.getElementById('exportNameInput').value.trim();
+    if (!exportFileName) {
+        exportFileName = currentFile.name.replace(/\.(csv|tsv)$/i, '') + '_converted';
+    }
+    // Ensure the extension matches the chosen format
+    if (!exportFileName.toLowerCase().endsWith(format.extension)) {
+        exportFileName += format.extension;
+    }
+    const title = exportFileName.slice(0, -format.extension.length);
+    
+    // Pick the output target before any async work so the save dialog keeps the click's user activation
+    let output;
+    try {
+        output = split
+            ? await openExportOutput(title + '.zip', 'application/zip')
+            : await openExportOutput(exportFileName, format.mimeType);
+    } catch (error) {
+        if (error.name === 'AbortError') return; // User closed the save dialog
+        showError('Could not open the output file: ' + error.message);
+        return;
+    }
+    
+    showProgress(0);
+    showStatus('Processing file...');
+    setTaskRunning(true);
+    
+    if (debugMode) {
+        console.log('🚀 Starting export process');
+        console.log('Output columns:', columns);
+        console.log('Format:', formatKey);
+        console.log('File size:', currentFile.size, 'bytes');
+        console.log('Delimiter:', delimiter);
+        console.log('Row filters:', filterGroups);
+        console.log('Dedupe:', getDedupeSettings());
+        console.log('Sort:', getSortSettings());
+        console.log('Validation:', validation);
+        console.log('Appended files:', appendSources.map(source => source.file.name));
+        console.log('Join:', joinConfig);
+        console.log('Split:', split);
+        console.log('Streaming to disk:', output.streaming);
+    }
+    
+    try {
+        const job = Object.assign(getSourceJob(), {
+            columns,
+            filterGroups,
+            filterMatchMode,
+            appendFiles: appendSources,
+            join: joinConfig,
+            dedupe: getDedupeSettings(),
+            sort: getSortSettings(),
+            validation,
+            format: formatKey,
+            outputEncoding: document.getElementById('outputEncoding').value,
+            split,
+            title
+        });
+        
+        const { totalProcessed, filteredOut, duplicatesRemoved, unmatched, parts, validation: validationReport } = await runWorkerTask({ type: 'export', file: currentFile, job }, {
+            onData: data => output.write(data),
+            onProgress: info => {
+                showProgress(info.percent);
+                showStatus(info.rows === 0 && job.dedupe && job.dedupe.keep === 'last'
+                    ? 'Finding duplicates...'
+                    : `Processing file... ${info.rows.toLocaleString()} rows converted`);
+            }
+        });
+        
+        // Finish the file on disk, or download the buffered Blob
+        await output.close();
+        
+        // The rejected rows come back as a CSV Blob next to the clean export
+        renderValidationReport(validationReport);
+        if (validationReport && validationReport.rejectedRows && validationReport.rejected > 0) {
+            downloadBlob(validationReport.rejectedRows, title + '_rejected.csv');
+        }
+        
+        // Show appropriate success message
+        const conversionNote = (delimiter !== ',' || formatKey !== 'csv') ? ` File converted to ${format.label} format.` : '';
+        const filterNote = filteredOut > 0 ? ` ${filteredOut} rows removed by filters.` : '';
+        const dedupeNote = job.dedupe ? ` ${duplicatesRemoved} duplicate rows removed.` : '';
+        const joinNote = !job.join ? '' : job.join.type === 'inner'
+            ? ` ${unmatched} rows without a lookup match removed.`
+            : ` ${unmatched} rows had no lookup match.`;
+        
+        const validationNote = validationReport ? ` ${validationReport.rejected} rows rejected by validation.` : '';
+        const sortNote = job.sort ? ` Sorted by ${job.sort.keys.map(key => headers[key.column]).join(', ')}.` : '';
+        const splitNote = split ? ` Split into ${parts} files (ZIP).` : '';
+        
+        showStatus(`✅ Export completed! Processed ${totalProcessed} data rows.${filterNote}${dedupeNote}${joinNote}${validationNote}${sortNote}${conversionNote}${splitNote}`);
+        
+        if (debugMode) {
+            console.log('Export complete. Total rows exported:', totalProcessed);
+        }
+        
+        setTimeout(hideStatus, 4000);
+        
+    } catch (error) {
+        await output.abort();
+        
+        if (taskCancelled) {
+            showStatus('Export cancelled');
+            setTimeout(hideStatus, 2000);
+        } else {
+            console.error('Export error details:', error);
+            showError('Error exporting file: ' + error.message + '. The file may be too complex or corrupted.');
+        }
+    } finally {
+        setTaskRunning(false);
+        hideProgress();
+    }
+}
+
+// Export the group-by summary as a small CSV, through the same save flow as the export
+async function exportSummary() {
+    const summary = getSummarySettings();
+    if (summary.aggregates.length === 0) {
+        showError('Please add at least one aggregation');
+        return;
+    }
+    
+    try {
+        compileRowFilter(filterGroups, filterMatchMode);
+    } catch (error) {
+        showError(error.message);
+        return;
+    }
+    
+    let exportFileName = document.getElementById('exportNameInput').value.trim().replace(/\.[^.]*$/, '');
+    if (!exportFileName) {
+        exportFileName = currentFile.name.replace(/\.[^.]*$/, '');
+    }
+    exportFileName += '_summary.csv';
+    
+    let output;
+    try {
+        output = await openExportOutput(exportFileName, EXPORT_FORMATS.csv.mimeType);
+    } catch (error) {
+        if (error.name === 'AbortError') return; // User closed the save dialog
+        showError('Could not open the output file: ' + error.message);
+        return;
+    }
+    
+    showProgress(0);
+    showStatus('Summarizing file...');
+    setTaskRunning(true);
+    
+    if (debugMode) {
+        console.log('📊 Starting summary');
+        console.log('Summary:', summary);
+        console.log('Row filters:', filterGroups);
+    }
+    
+    try {
+        const job = Object.assign(getSourceJob(), {
+            filterGroups,
+            filterMatchMode,
+            appendFiles: appendSources,
+            join: joinConfig,
+            summary,
+            format: 'csv',
+            outputEncoding: document.getElementById('outputEncoding').value
+        });
+        
+        const { totalProcessed, filteredOut, groups } = await runWorkerTask({ type: 'summary', file: currentFile, job }, {
+            onData: data => output.write(data),
+            onProgress: info => {
+                showProgress(info.percent);
+                showStatus(`Summarizing file... ${info.rows.toLocaleString()} rows in ${info.groups.toLocaleString()} groups`);
+            }
+        });
+        
+        await output.close();
+        
+        const filterNote = filteredOut > 0 ? ` ${filteredOut} rows removed by filters.` : '';
+        showStatus(`✅ Summary exported! ${totalProcessed} data rows in ${groups} groups.${filterNote}`);
+        setTimeout(hideStatus, 4000);
+        
+    } catch (error) {
+        await output.abort();
+        
+        if (taskCancelled) {
+            showStatus('Summary cancelled');
+            setTimeout(hideStatus, 2000);
+        } else {
+            console.error('Summary error details:', error);
+            showError('Error summarizing file: ' + error.message);
+        }
+    } finally {
+        setTaskRunning(false);
+        hideProgress();
+    }
+}
+
+// Source job for the older file, read with the parse settings of the loaded one so both
+// versions split into the same rows and columns
+async function sniffCompareFile(file) {
+    const delimiterSetting = readDelimiterSetting();
+    const info = await sniffFile(file, parseDialect, {
+        delimiter: delimiterSetting === 'auto' ? null : delimiterSetting
+    });
+    return createSourceJob(info, parseDialect);
+}
+
+// Load an older copy of the file to compare with, matching the key by column name
+async function setCompareFile(file) {
+    hideError();
+    try {
+        const source = await sniffCompareFile(file);
+        const mapping = matchAppendHeaders(headers, source.headers);
+        const key = Math.max(0, mapping.findIndex(index => index !== -1));
+        compareConfig = Object.assign(source, {
+            file,
+            key,
+            oldKey: Math.max(0, mapping[key])
+        });
+    } catch (error) {
+        showError(`Could not read ${file.name}: ${error.message}`);
+    }
+    document.getElementById('compareInput').value = '';
+    compareReport = null;
+    renderCompareSection();
+}
+
+// Stop comparing with the older file
+function removeCompareFile() {
+    compareConfig = null;
+    compareReport = null;
+    renderCompareSection();
+}
+
+// Change a key of the comparison; counts from the old keys no longer apply
+function updateCompare(property, value) {
+    compareConfig[property] = parseInt(value, 10);
+    compareReport = null;
+    renderCompareSection();
+}
+
+// Render the comparison settings and the last comparison's counts
+function renderCompareSection() {
+    const settings = document.getElementById('compareSettings');
+    const reportEl = document.getElementById('compareReport');
+    
+    if (!compareConfig) {
+        settings.innerHTML = '<div class="no-filters">No older file</div>';
+        reportEl.innerHTML = '';
+        return;
+    }
+    
+    const columnOptions = (list, selected) => list.map((header, index) =>
+        `<option value="${index}" ${index === selected ? 'selected' : ''}>${escapeHTML(header || `(Column ${index + 1})`)}</option>`
+    ).join('');
+    
+    settings.innerHTML = `
+        <div class="preset-item">
+            <span class="preset-name">${escapeHTML(compareConfig.file.name)} (${formatFileSize(compareConfig.file.size)})</span>
+            <button class="preset-btn preset-delete" onclick="removeCompareFile()">Remove</button>
+        </div>
+        <div class="filter-header combine-join-keys">
+            <span>
+                Match rows where
+                <select class="filter-select" onchange="updateCompare('key', this.value)">${columnOptions(headers, compareConfig.key)}</select>
+                equals older column
+                <select class="filter-select" onchange="updateCompare('oldKey', this.value)">${columnOptions(compareConfig.headers, compareConfig.oldKey)}</select>
+            </span>
+            <button class="select-btn compare-action" onclick="compareFiles()">Compare</button>
+        </div>
+    `;
+    
+    if (!compareReport) {
+        reportEl.innerHTML = '';
+        return;
+    }
+    
+    const report = compareReport;
+    const counts = Object.keys(COMPARE_CATEGORIES).map(category => `
+        <div class="compare-count">
+            <strong>${report[category].toLocaleString()}</strong>
+            ${COMPARE_CATEGORIES[category]}
+            <button class="select-btn compare-action" onclick="exportCompareCategory('${category}')" ${report[category] === 0 ? 'disabled' : ''}>Export CSV</button>
+        </div>
+    `).join('') + `
+        <div class="compare-count">
+            <strong>${report.unchanged.toLocaleString()}</strong>
+            Unchanged
+        </div>
+    `;
+    
+    const notes = [];
+    if (report.emptyKeys > 0) notes.push(`${report.emptyKeys.toLocaleString()} rows with an empty key left out.`);
+    if (report.duplicateKeys > 0) notes.push(`${report.duplicateKeys.toLocaleString()} rows with a repeated key left out.`);
+    if (report.addedColumns.length > 0) notes.push(`New columns (not compared): ${report.addedColumns.map(escapeHTML).join(', ')}.`);
+    if (report.removedColumns.length > 0) notes.push(`Dropped columns (not compared): ${report.removedColumns.map(escapeHTML).join(', ')}.`);
+    
+    const rows = report.columns.map(column => `
+        <tr>
+            <td>${escapeHTML(column.name || '(unnamed)')}</td>
+            <td>${column.changed.toLocaleString()}</td>
+        </tr>
+    `).join('');
+    
+    reportEl.innerHTML = `
+        <div class="compare-counts">${counts}</div>
+        <p class="profile-summary">${report.oldRows.toLocaleString()} rows before, ${report.newRows.toLocaleString()} now. ${notes.join(' ')}</p>
+        <div class="preview-table">
+            <table class="profile-table">
+                <tr><th>Column</th><th>Rows changed</th></tr>
+                ${rows}
+            </table>
+        </div>
+    `;
+}
+
+// Comparison job for the loaded file; output is null to only count, or a category to export
+function getCompareJob(output) {
+    return Object.assign(getSourceJob(), {
+        compare: Object.assign({}, compareConfig, { output }),
+        format: 'csv',
+        outputEncoding: document.getElementById('outputEncoding').value
+    });
+}
+
+// Compare the file with the older one and show the counts
+async function compareFiles() {
+    setTaskRunning(true);
+    showProgress(0);
+    showStatus('Comparing files...');
+    
+    try {
+        compareReport = await runWorkerTask({ type: 'compare', file: currentFile, job: getCompareJob(null) }, {
+            onProgress: info => {
+                showProgress(info.percent);
+                showStatus(`Comparing files... ${info.rows.toLocaleString()} rows read`);
+            }
+        });
+        if (debugMode) {
+            console.log('Comparison:', compareReport);
+        }
+        renderCompareSection();
+        hideStatus();
+    } catch (error) {
+        if (taskCancelled) {
+            showStatus('Comparison cancelled');
+            setTimeout(hideStatus, 2000);
+        } else {
+            console.error('Comparison error details:', error);
+            showError('Error comparing files: ' + error.message);
+        }
+    } finally {
+        setTaskRunning(false);
+        hideProgress();
+    }
+}
+
+// Export the added, removed or changed rows of the comparison as CSV
+async function exportCompareCategory(category) {
+    const baseName = currentFile.name.replace(/\.[^.]*$/, '');
+    let output;
+    try {
+        output = await openExportOutput(`${baseName}_${category}.csv`, EXPORT_FORMATS.csv.mimeType);
+    } catch (error) {
+        if (error.name === 'AbortError') return; // User closed the save dialog
+        showError('Could not open the output file: ' + error.message);
         return;
     }
     
-    document.getElementById('modalHeader').textContent = 'Save Preset';
-    document.getElementById('presetNameInput').value = '';
-    editingPresetIndex = null;
-    document.getElementById('presetModal').style.display = 'block';
+    setTaskRunning(true);
+    showProgress(0);
+    showStatus(`Exporting ${COMPARE_CATEGORIES[category].toLowerCase()} rows...`);
+    
+    try {
+        const result = await runWorkerTask({ type: 'compare', file: currentFile, job: getCompareJob(category) }, {
+            onData: data => output.write(data),
+            onProgress: info => showProgress(info.percent)
+        });
+        await output.close();
+        showStatus(`✅ Exported ${result[category].toLocaleString()} ${COMPARE_CATEGORIES[category].toLowerCase()} rows.`);
+        setTimeout(hideStatus, 4000);
+    } catch (error) {
+        await output.abort();
+        
+        if (taskCancelled) {
+            showStatus('Export cancelled');
+            setTimeout(hideStatus, 2000);
+        } else {
+            console.error('Comparison export error details:', error);
+            showError('Error exporting rows: ' + error.message);
+        }
+    } finally {
+        setTaskRunning(false);
+        hideProgress();
+    }
+}
+
+// Whether converted rows can be streamed straight to a user-chosen file (File System Access API)
+function supportsStreamingExport() {
+    return typeof window.showSaveFilePicker === 'function';
+}
+
+// Open the export target: a file on disk when supported, otherwise an in-memory Blob download
+async function openExportOutput(fileName, mimeType) {
+    if (supportsStreamingExport()) {
+        const extension = fileName.includes('.') ? fileName.slice(fileName.lastIndexOf('.')) : '';
+        const handle = await window.showSaveFilePicker({
+            suggestedName: fileName,
+            types: extension ? [{ description: 'Export file', accept: { [mimeType]: [extension] } }] : undefined
+        });
+        const writable = await handle.createWritable();
+        
+        return {
+            streaming: true,
+            write: data => writable.write(data),
+            close: () => writable.close(),
+            abort: () => writable.abort().catch(() => {})
+        };
+    }
+    
+    let outputParts = [];
+    
+    return {
+        streaming: false,
+        write(data) {
+            outputParts.push(data);
+        },
+        close() {
+            downloadBlob(new Blob(outputParts, { type: mimeType }), fileName);
+            outputParts = [];
+        },
+        abort() {
+            outputParts = [];
+        }
+    };
 }
 
-// Edit existing preset
-function editPreset(index) {
-    const preset = presets[index];
-    document.getElementById('modalHeader').textContent = 'Edit Preset';
-    document.getElementById('presetNameInput').value = preset.name;
-    editingPresetIndex = index;
+// Trigger a browser download for a Blob
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Run a pipeline task ({ type, file, job }) in a background worker. Output is handed to
+// handlers.onData one chunk at a time; the worker waits for each chunk to be written before
+// reading the next one. Resolves with the task's result.
+function runWorkerTask(message, handlers) {
+    taskCancelled = false;
     
-    // Apply the preset selection first
-    applyPreset(index);
+    let worker;
+    try {
+        worker = new Worker('feedFilterWorker.js');
+    } catch (error) {
+        // Workers are blocked for pages opened from file:// - fall back to the main thread
+        console.warn('Worker unavailable, processing on the main thread:', error.message);
+        return runTaskOnMainThread(message, handlers);
+    }
     
-    document.getElementById('presetModal').style.display = 'block';
+    return new Promise((resolve, reject) => {
+        const finish = () => {
+            worker.terminate();
+            activeTask = null;
+        };
+        
+        const fail = error => {
+            finish();
+            reject(error);
+        };
+        
+        activeTask = {
+            cancel() {
+                fail(new Error('Cancelled'));
+            }
+        };
+        
+        worker.onmessage = function(e) {
+            const reply = e.data;
+            if (reply.type === 'data') {
+                Promise.resolve(handlers.onData(reply.data))
+                    .then(() => worker.postMessage({ type: 'ack' }))
+                    .catch(fail);
+            } else if (reply.type === 'progress') {
+                handlers.onProgress(reply);
+            } else if (reply.type === 'done') {
+                finish();
+                resolve(reply.result);
+            } else if (reply.type === 'error') {
+                fail(new Error(reply.message));
+            }
+        };
+        
+        worker.onerror = function(e) {
+            e.preventDefault();
+            fail(new Error(e.message || 'Worker failed to start'));
+        };
+        
+        worker.postMessage({ ...message, debug: debugMode });
+    });
 }
 
-// Close preset modal
-function closePresetModal() {
-    document.getElementById('presetModal').style.display = 'none';
-    editingPresetIndex = null;
+// Same pipeline as the worker, used when workers can't be created
+async function runTaskOnMainThread(message, handlers) {
+    activeTask = { cancel() {} };
+    
+    const checkCancelled = () => {
+        if (taskCancelled) throw new Error('Cancelled');
+    };
+    
+    try {
+        return await runTask(message, {
+            write(data) {
+                checkCancelled();
+                return handlers.onData ? handlers.onData(data) : undefined;
+            },
+            progress(info) {
+                checkCancelled();
+                handlers.onProgress(info);
+            }
+        });
+    } finally {
+        activeTask = null;
+    }
 }
 
-// Save preset
-function savePreset() {
-    const name = document.getElementById('presetNameInput').value.trim();
+// Cancel the running export or profile
+function cancelTask() {
+    taskCancelled = true;
+    if (activeTask) {
+        activeTask.cancel();
+    }
+}
+
+// Disable the action buttons and show Cancel while a task runs
+function setTaskRunning(running) {
+    document.getElementById('exportBtn').disabled = running;
+    document.getElementById('summaryBtn').disabled = running;
+    document.getElementById('profileBtn').disabled = running;
+    document.querySelectorAll('.compare-action').forEach(button => {
+        button.disabled = running;
+    });
+    document.getElementById('cancelBtn').style.display = running ? 'inline-block' : 'none';
+}
+
+// Profile the whole file and show the data-quality report
+async function profileCurrentFile() {
+    setTaskRunning(true);
+    showProgress(0);
+    showStatus('Profiling file...');
+    hideError();
     
-    if (!name) {
-        alert('Please enter a preset name');
-        return;
+    try {
+        const job = Object.assign(getSourceJob(), { fileName: currentFile.name });
+        profileReport = await runWorkerTask({ type: 'profile', file: currentFile, job }, {
+            onProgress: info => {
+                showProgress(info.percent);
+                showStatus(`Profiling file... ${info.rows.toLocaleString()} rows read`);
+            }
+        });
+        
+        renderProfileReport(profileReport);
+        hideStatus();
+    } catch (error) {
+        if (taskCancelled) {
+            showStatus('Profiling cancelled');
+            setTimeout(hideStatus, 2000);
+        } else {
+            console.error('Profile error details:', error);
+            showError('Error profiling file: ' + error.message);
+        }
+    } finally {
+        setTaskRunning(false);
+        hideProgress();
+    }
+}
+
+// Render the profile report panel
+function renderProfileReport(report) {
+    const formatValue = value => value === null || value === undefined ? '' : escapeHTML(String(value));
+    
+    document.getElementById('profileSummary').innerHTML = `
+        <strong>${report.rows.toLocaleString()}</strong> data rows •
+        <strong>${report.columns.length}</strong> columns •
+        <strong>${report.raggedRows.count.toLocaleString()}</strong> rows with a field count other than ${report.expectedFields}
+    `;
+    
+    const rows = report.columns.map(column => `
+        <tr>
+            <td>${escapeHTML(column.name)}</td>
+            <td><span class="profile-type profile-type-${column.type}">${column.type}</span></td>
+            <td>${column.empty.toLocaleString()}</td>
+            <td>${column.distinctExact ? '' : '~'}${column.distinct.toLocaleString()}</td>
+            <td>${formatValue(column.min)}</td>
+            <td>${formatValue(column.max)}</td>
+            <td title="${formatValue(column.longestValue)}">${column.longestLength}</td>
+            <td>${column.samples.map(escapeHTML).join('<br>')}</td>
+        </tr>
+    `).join('');
+    
+    document.getElementById('profileTable').innerHTML = `
+        <tr>
+            <th>Column</th><th>Type</th><th>Empty</th><th>Distinct</th>
+            <th>Min</th><th>Max</th><th>Longest</th><th>Samples</th>
+        </tr>
+        ${rows}
+    `;
+    
+    const ragged = report.raggedRows;
+    const raggedEl = document.getElementById('profileRagged');
+    if (ragged.count === 0) {
+        raggedEl.innerHTML = '✅ Every row has the same number of fields as the header.';
+    } else {
+        const shown = ragged.examples.slice(0, 50)
+            .map(example => `Row ${example.row}: ${example.fields} fields`).join(', ');
+        const more = ragged.count > 50 ? ` and ${(ragged.count - 50).toLocaleString()} more (see JSON report)` : '';
+        raggedEl.innerHTML = `⚠️ <strong>Rows with unexpected field counts:</strong> ${shown}${more}`;
     }
     
-    const selectedHeaders = [];
-    document.querySelectorAll('#columnsGrid input[type="checkbox"]').forEach((cb, index) => {
-        if (cb.checked) {
-            selectedHeaders.push(headers[index]);
+    document.getElementById('profileSection').style.display = 'block';
+}
+
+// Download the last profile report as JSON
+function downloadProfileReport() {
+    if (!profileReport) return;
+    const blob = new Blob([JSON.stringify(profileReport, null, 2)], { type: 'application/json' });
+    const baseName = currentFile.name.replace(/\.[^.]+$/, '');
+    downloadBlob(blob, baseName + '_profile.json');
+}
+// Parse settings of the loaded file, as every task that reads it needs them
+function getSourceJob() {
+    return {
+        headers,
+        delimiter,
+        dialect: parseDialect,
+        encoding: inputEncoding,
+        reader: inputReader,
+        sheet: inputSheet,
+        widths: inputWidths,
+        recordsKey: inputRecordsKey
+    };
+}
+
+// Index every row of the file (once per file and parse settings) and open the data browser
+async function openDataBrowser() {
+    if (!rowIndex) {
+        const job = getSourceJob();
+        browserJob = job;
+        setTaskRunning(true);
+        showProgress(0);
+        showStatus('Indexing rows...');
+        hideError();
+        
+        try {
+            const index = await runWorkerTask({ type: 'index', file: currentFile, job }, {
+                onProgress: info => {
+                    showProgress(info.percent);
+                    showStatus(`Indexing rows... ${info.rows.toLocaleString()} rows read`);
+                }
+            });
+            // A different file or parse settings may have been loaded in the meantime
+            if (browserJob !== job) return;
+            rowIndex = index;
+            hideStatus();
+        } catch (error) {
+            if (taskCancelled) {
+                showStatus('Indexing cancelled');
+                setTimeout(hideStatus, 2000);
+            } else {
+                console.error('Index error details:', error);
+                showError('Error indexing file: ' + error.message);
+            }
+            return;
+        } finally {
+            setTaskRunning(false);
+            hideProgress();
         }
-    });
+    }
     
-    if (editingPresetIndex !== null) {
-        // Edit existing preset
-        presets[editingPresetIndex] = { name, headers: selectedHeaders };
+    document.getElementById('dataBrowser').style.display = 'block';
+    document.getElementById('browseBtn').style.display = 'none';
+    await showBrowserWindow(0);
+}
+
+// Read a window of ROW_INDEX_INTERVAL rows starting at a row and show it in the data browser.
+// highlight is a row number (0-based) to scroll to and mark.
+async function showBrowserWindow(start, highlight) {
+    if (!rowIndex) return;
+    const lastStart = Math.max(0, Math.floor((rowIndex.rowCount - 1) / ROW_INDEX_INTERVAL) * ROW_INDEX_INTERVAL);
+    start = Math.min(Math.max(0, start), lastStart);
+    
+    const job = browserJob;
+    let rows;
+    try {
+        rows = await readRowWindow(currentFile, job, rowIndex, start, ROW_INDEX_INTERVAL);
+    } catch (error) {
+        showError('Error reading rows: ' + error.message);
+        return;
+    }
+    if (job !== browserJob) return;
+    
+    browserStart = start;
+    browserRows = rows.map((values, i) => ({ number: start + i, values }));
+    browserSort = null;
+    browserHighlight = highlight === undefined ? -1 : highlight;
+    
+    document.getElementById('browserInfo').textContent = rows.length === 0
+        ? 'No rows'
+        : `Rows ${(start + 1).toLocaleString()}–${(start + rows.length).toLocaleString()} of ${rowIndex.rowCount.toLocaleString()}`;
+    document.getElementById('browserCellDetail').style.display = 'none';
+    renderBrowserHead();
+    
+    const grid = document.getElementById('browserGrid');
+    grid.scrollTop = browserHighlight >= 0
+        ? Math.max(0, (browserHighlight - start) * BROWSER_ROW_HEIGHT - grid.clientHeight / 2)
+        : 0;
+    renderBrowserRows();
+}
+
+// Column headers of the data browser, with the sort direction on the sorted column
+function renderBrowserHead() {
+    document.getElementById('browserHead').innerHTML = '<tr><th>#</th>' + headers.map((header, index) => {
+        const arrow = browserSort && browserSort.column === index ? (browserSort.descending ? ' ▼' : ' ▲') : '';
+        return `<th onclick="sortBrowserWindow(${index})">${escapeHTML(header || `(Column ${index + 1})`)}${arrow}</th>`;
+    }).join('') + '</tr>';
+}
+
+// Draw only the rows scrolled into view; spacer rows stand in for the others
+function renderBrowserRows() {
+    const grid = document.getElementById('browserGrid');
+    const first = Math.max(0, Math.floor(grid.scrollTop / BROWSER_ROW_HEIGHT) - 10);
+    const last = Math.min(browserRows.length, first + Math.ceil(grid.clientHeight / BROWSER_ROW_HEIGHT) + 20);
+    const spacer = height => height > 0 ? `<tr style="height: ${height}px;"><td colspan="${headers.length + 1}"></td></tr>` : '';
+    
+    let html = spacer(first * BROWSER_ROW_HEIGHT);
+    for (let position = first; position < last; position++) {
+        const row = browserRows[position];
+        // Long values are cut for the cell and its tooltip; clicking shows all of it
+        const cells = row.values.map((value, column) => `
+            <td title="${escapeHTML(value.length > 1000 ? value.slice(0, 1000) + '…' : value)}" onclick="showCellValue(${position}, ${column})">${escapeHTML(value.slice(0, 200))}</td>`).join('');
+        html += `<tr${row.number === browserHighlight ? ' class="row-highlight"' : ''}><td class="row-number">${(row.number + 1).toLocaleString()}</td>${cells}</tr>`;
+    }
+    html += spacer((browserRows.length - last) * BROWSER_ROW_HEIGHT);
+    
+    document.getElementById('browserBody').innerHTML = html;
+}
+
+// Show the full value of a data browser cell below the grid
+function showCellValue(position, column) {
+    const row = browserRows[position];
+    const value = row.values[column];
+    const detail = document.getElementById('browserCellDetail');
+    detail.innerHTML = `
+        <strong>Row ${(row.number + 1).toLocaleString()} · ${escapeHTML(headers[column] || `(Column ${column + 1})`)}</strong>
+        (${value.length.toLocaleString()} characters)
+        <pre>${escapeHTML(value)}</pre>
+    `;
+    detail.style.display = 'block';
+}
+
+// Sort the rows of the current window by a column: ascending, then descending, then file order
+function sortBrowserWindow(column) {
+    if (!browserSort || browserSort.column !== column) {
+        browserSort = { column, descending: false };
+    } else if (!browserSort.descending) {
+        browserSort.descending = true;
     } else {
-        // Add new preset
-        presets.push({ name, headers: selectedHeaders });
+        browserSort = null;
     }
     
-    savePresetsToStorage();
-    displayPresets();
-    closePresetModal();
-    showStatus('Preset saved successfully!');
-    setTimeout(hideStatus, 2000);
+    if (browserSort) {
+        const direction = browserSort.descending ? -1 : 1;
+        browserRows.sort((a, b) => direction * a.values[column].localeCompare(b.values[column], undefined, { numeric: true }));
+    } else {
+        browserRows.sort((a, b) => a.number - b.number);
+    }
+    renderBrowserHead();
+    renderBrowserRows();
 }
 
-// Apply preset
-function applyPreset(index) {
-    const preset = presets[index];
+// Show the window holding a row (0-based), with that row highlighted
+function showRow(row) {
+    showBrowserWindow(Math.floor(row / ROW_INDEX_INTERVAL) * ROW_INDEX_INTERVAL, row);
+}
+
+// Jump to the row number typed in the data browser
+function jumpToRow() {
+    const number = parseInt(document.getElementById('browserRowInput').value, 10);
+    if (!(number >= 1 && number <= rowIndex.rowCount)) {
+        showError(`Enter a row number between 1 and ${rowIndex.rowCount.toLocaleString()}`);
+        return;
+    }
+    hideError();
+    showRow(number - 1);
+}
+
+// Search every row of the file in the worker and list the matching row numbers
+async function searchCurrentFile() {
+    const query = document.getElementById('browserSearchInput').value.trim();
+    if (!query || !rowIndex) return;
     
-    // First, deselect all
-    document.querySelectorAll('#columnsGrid input[type="checkbox"]').forEach(cb => {
-        cb.checked = false;
-    });
+    const results = document.getElementById('browserResults');
+    const searchBtn = document.getElementById('browserSearchBtn');
+    const job = browserJob;
+    setTaskRunning(true);
+    searchBtn.disabled = true;
+    showProgress(0);
     
-    // Then select matching headers
-    preset.headers.forEach(presetHeader => {
-        headers.forEach((header, headerIndex) => {
-            if (header === presetHeader) {
-                const checkbox = document.getElementById(`col_${headerIndex}`);
-                if (checkbox) {
-                    checkbox.checked = true;
-                }
+    try {
+        const found = await runWorkerTask({ type: 'search', file: currentFile, job: Object.assign({ query }, job) }, {
+            onProgress: info => {
+                showProgress(info.percent);
+                results.textContent = `Searching... ${info.rows.toLocaleString()} rows`;
             }
         });
-    });
-    
-    showStatus(`Applied preset: ${preset.name}`);
-    setTimeout(hideStatus, 2000);
+        if (job !== browserJob) return;
+        
+        if (found.total === 0) {
+            results.textContent = `No rows contain "${query}"`;
+        } else {
+            const shown = found.total > found.matches.length ? ` (showing the first ${found.matches.length.toLocaleString()})` : '';
+            results.innerHTML = `${found.total.toLocaleString()} row(s) contain "${escapeHTML(query)}"${shown}:<br>` +
+                found.matches.map(row => `<button onclick="showRow(${row})">${(row + 1).toLocaleString()}</button>`).join('');
+        }
+    } catch (error) {
+        results.textContent = taskCancelled ? 'Search cancelled' : 'Search failed: ' + error.message;
+    } finally {
+        setTaskRunning(false);
+        searchBtn.disabled = false;
+        hideProgress();
+    }
 }
 
-// Delete preset
-function deletePreset(index) {
-    if (confirm(`Are you sure you want to delete the preset "${presets[index].name}"?`)) {
-        presets.splice(index, 1);
-        savePresetsToStorage();
-        displayPresets();
-        showStatus('Preset deleted');
-        setTimeout(hideStatus, 2000);
-    }
+// Close the data browser; its row index belongs to the file and parse settings it was built for
+function resetDataBrowser() {
+    rowIndex = null;
+    browserJob = null;
+    browserRows = [];
+    browserSort = null;
+    document.getElementById('dataBrowser').style.display = 'none';
+    document.getElementById('browseBtn').style.display = '';
+    document.getElementById('browserResults').textContent = '';
+    document.getElementById('browserCellDetail').style.display = 'none';
 }
 
-// Export file
-async function exportFile() {
-    const selectedColumns = [];
-    document.querySelectorAll('#columnsGrid input[type="checkbox"]').forEach((cb, index) => {
-        if (cb.checked) {
-            selectedColumns.push(index);
+
+// Collect the files of a drop, walking into dropped folders
+async function getDroppedFiles(dataTransfer) {
+    // Entries have to be taken before the first await, while the drop data is still readable
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+        .filter(Boolean);
+    if (entries.length === 0) return Array.from(dataTransfer.files);
+    
+    const files = [];
+    const walk = async entry => {
+        if (entry.isFile) {
+            files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+        } else if (entry.isDirectory) {
+            // readEntries returns the folder in batches until it returns an empty one
+            const reader = entry.createReader();
+            let children;
+            do {
+                children = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of children) {
+                    await walk(child);
+                }
+            } while (children.length > 0);
         }
-    });
+    };
+    for (const entry of entries) {
+        await walk(entry);
+    }
+    return files;
+}
+
+// Open one file for editing, or several (or a folder) as a batch
+function handleFiles(fileList) {
+    if (activeTask) {
+        showError('Wait for the running task to finish or cancel it first');
+        return;
+    }
     
-    if (selectedColumns.length === 0) {
-        showError('Please select at least one column');
+    let files = Array.from(fileList);
+    if (files.length > 1) {
+        files = files.filter(file => SUPPORTED_FILE_PATTERN.test(file.name));
+    }
+    if (files.length === 0) {
+        showError('No supported files found');
         return;
     }
     
-    // Get custom filename
-    let exportFileName = document.getElementById('exportNameInput').value.trim();
-    if (!exportFileName) {
-        exportFileName = currentFile.name.replace(/\.(csv|tsv)$/i, '') + '_converted';
+    hideError();
+    clearBatch();
+    if (files.length === 1) {
+        handleFile(files[0]);
+        return;
+    }
+    
+    resetFile();
+    batchQueue = files.map(file => ({ file, status: 'queued', percent: 0, message: 'Waiting' }));
+    fillBatchPresets();
+    renderBatchQueue();
+    document.getElementById('batchSection').style.display = 'block';
+}
+
+// List the saved presets in the batch preset picker
+function fillBatchPresets() {
+    const select = document.getElementById('batchPreset');
+    const selected = select.value;
+    select.innerHTML = presets.length === 0
+        ? '<option value="">No saved presets</option>'
+        : presets.map((preset, index) => `<option value="${index}">${escapeHTML(preset.name)}</option>`).join('');
+    if (selected && presets[selected]) select.value = selected;
+}
+
+// Render the batch queue with each file's progress and result
+function renderBatchQueue() {
+    document.getElementById('batchQueue').innerHTML = batchQueue.map(entry => {
+        const name = entry.file.webkitRelativePath || entry.file.name;
+        return `
+            <div class="batch-item ${entry.status}">
+                <span class="batch-item-name" title="${escapeHTML(name)}">${escapeHTML(name)}</span>
+                <span class="batch-item-size">${formatFileSize(entry.file.size)}</span>
+                <div class="batch-item-bar"><div class="batch-item-fill" style="width: ${entry.percent}%"></div></div>
+                <span class="batch-item-status">${escapeHTML(entry.message)}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+// Pick a file name that isn't used yet in this batch
+function uniqueFileName(baseName, extension, usedNames) {
+    let name = baseName + extension;
+    for (let i = 2; usedNames.has(name.toLowerCase()); i++) {
+        name = `${baseName} (${i})${extension}`;
     }
-    // Ensure .csv extension
-    if (!exportFileName.endsWith('.csv')) {
-        exportFileName += '.csv';
+    usedNames.add(name.toLowerCase());
+    return name;
+}
+
+// Open where batch results go: one streamed ZIP, a chosen folder, or one download per file.
+// openFile(name, mimeType) returns a { write, close, abort } target for one converted file.
+async function openBatchOutput(mode) {
+    if (mode === 'zip') {
+        const output = await openExportOutput(`feedFilter_batch_${new Date().toISOString().slice(0, 10)}.zip`, 'application/zip');
+        const zip = createZipWriter();
+        return {
+            async openFile(name) {
+                await output.write(zip.begin(name));
+                return {
+                    write: data => output.write(zip.write(data)),
+                    close: () => output.write(zip.end()),
+                    // The entry's bytes are already in the stream, so it can only be closed
+                    abort: () => output.write(zip.end())
+                };
+            },
+            async close() {
+                await output.write(zip.finish());
+                await output.close();
+            },
+            abort: () => output.abort()
+        };
     }
     
-    showProgress(0);
-    showStatus('Processing file...');
-    document.getElementById('exportBtn').disabled = true;
+    // Write straight into a folder when the browser can, so big files aren't held in memory
+    if (typeof window.showDirectoryPicker === 'function') {
+        const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+        return {
+            async openFile(name) {
+                const handle = await directory.getFileHandle(name, { create: true });
+                const writable = await handle.createWritable();
+                return {
+                    write: data => writable.write(data),
+                    close: () => writable.close(),
+                    abort: () => writable.abort().catch(() => {})
+                };
+            },
+            close() {},
+            abort() {}
+        };
+    }
     
-    if (debugMode) {
-        console.log('🚀 Starting export process');
-        console.log('Selected columns:', selectedColumns);
-        console.log('File size:', currentFile.size, 'bytes');
-        console.log('Delimiter:', delimiter);
+    return {
+        async openFile(name, mimeType) {
+            let parts = [];
+            return {
+                write(data) {
+                    parts.push(data);
+                },
+                close() {
+                    downloadBlob(new Blob(parts, { type: mimeType }), name);
+                    parts = [];
+                },
+                abort() {
+                    parts = [];
+                }
+            };
+        },
+        close() {},
+        abort() {}
+    };
+}
+
+// Convert every queued file with the chosen preset
+async function runBatch() {
+    const preset = presets[document.getElementById('batchPreset').value];
+    if (!preset) {
+        showError('Save a preset first - batch conversion applies a preset to every file');
+        return;
     }
     
+    const formatKey = document.getElementById('batchFormat').value;
+    const format = EXPORT_FORMATS[formatKey];
+    const outputEncoding = document.getElementById('batchOutputEncoding').value;
+    const mode = document.getElementById('batchOutputMode').value;
+    
+    // Pick the output before any other async work so the dialog keeps the click's user activation
+    let output;
     try {
-        const CHUNK_SIZE = 5 * 1024 * 1024; // 5MB chunks for safer processing
-        let offset = 0;
-        let outputParts = [];
-        let remainder = '';
-        let isFirstChunk = true;
-        let totalProcessed = 0;
-        
-        // Add selected headers
-        const selectedHeaders = selectedColumns.map(i => headers[i]);
-        outputParts.push(formatCSVLine(selectedHeaders) + '\n');
-        
-        // For TSV files, use simpler line-based processing
-        if (delimiter === '\t') {
-            if (debugMode) console.log('Using TSV-specific processing');
-            
-            let lineCount = 0;
-            let skippedLines = 0;
-            
-            // Process TSV files line by line for better accuracy
-            while (offset < currentFile.size) {
-                const chunk = currentFile.slice(offset, Math.min(offset + CHUNK_SIZE, currentFile.size));
-                let text = await chunk.text();
-                
-                // Remove BOM from first chunk
-                if (offset === 0) {
-                    text = removeBOM(text);
-                }
-                
-                // Combine with remainder
-                const fullText = remainder + text;
-                
-                // Find last complete line (look for last newline)
-                let lastNewline = -1;
-                if (offset + CHUNK_SIZE >= currentFile.size) {
-                    // This is the last chunk, process everything
-                    lastNewline = fullText.length;
-                } else {
-                    // Find the last newline to ensure complete lines
-                    lastNewline = fullText.lastIndexOf('\n');
-                    if (lastNewline === -1) {
-                        // No newline found, might be a very long line
-                        console.warn('Warning: Very long line detected, might cause issues');
-                        lastNewline = fullText.length;
-                    }
-                }
-                
-                // Process complete lines only
-                const toProcess = fullText.substring(0, lastNewline);
-                remainder = lastNewline < fullText.length ? fullText.substring(lastNewline + 1) : '';
-                
-                // Split into lines
-                const lines = toProcess.split(/\r?\n/);
-                
-                if (debugMode && isFirstChunk) {
-                    console.log(`Processing ${lines.length} lines in first chunk`);
-                }
-                
-                for (let i = (isFirstChunk ? 1 : 0); i < lines.length; i++) {
-                    const line = lines[i];
-                    lineCount++;
-                    
-                    // Skip empty lines
-                    if (line === '') {
-                        skippedLines++;
-                        continue;
-                    }
-                    
-                    // Split by tab - preserve all fields including empty ones
-                    const values = line.split('\t');
-                    
-                    // Validate field count
-                    if (debugMode && values.length !== headers.length && totalProcessed < 10) {
-                        console.warn(`Row ${lineCount} has ${values.length} fields, expected ${headers.length}`);
-                        console.log('Row data:', values.slice(0, 5).map(v => v.substring(0, 20)));
-                    }
-                    
-                    // Handle quoted fields if present
-                    const processedValues = values.map(field => {
-                        if (field && field.length >= 2 && field.startsWith('"') && field.endsWith('"')) {
-                            return field.slice(1, -1).replace(/""/g, '"');
-                        }
-                        return field || '';
-                    });
-                    
-                    // Ensure we have the right number of values (don't add extra columns)
-                    const paddedValues = [];
-                    const maxFields = Math.min(processedValues.length, headers.length);
-                    for (let j = 0; j < headers.length; j++) {
-                        if (j < maxFields) {
-                            paddedValues[j] = processedValues[j];
-                        } else {
-                            paddedValues[j] = '';
-                        }
-                    }
-                    
-                    // Get selected values
-                    const selectedValues = selectedColumns.map(idx => paddedValues[idx] || '');
-                    
-                    // Add the row (including rows with empty values to maintain structure)
-                    outputParts.push(formatCSVLine(selectedValues) + '\n');
-                    totalProcessed++;
-                    
-                    if (debugMode && totalProcessed % 1000 === 0) {
-                        console.log(`Processed ${totalProcessed} rows...`);
-                    }
-                }
-                
-                isFirstChunk = false;
-                offset += CHUNK_SIZE;
-                
-                // Update progress
-                const progress = Math.min(100, Math.round((offset / currentFile.size) * 100));
-                showProgress(progress);
+        output = await openBatchOutput(mode);
+    } catch (error) {
+        if (error.name === 'AbortError') return; // User closed the dialog
+        showError('Could not open the output: ' + error.message);
+        return;
+    }
+    
+    hideError();
+    batchCancelled = false;
+    setBatchRunning(true);
+    
+    const usedNames = new Set();
+    let converted = 0;
+    let failed = 0;
+    batchQueue.forEach(entry => Object.assign(entry, { status: 'queued', percent: 0, message: 'Waiting' }));
+    renderBatchQueue();
+    
+    for (let position = 0; position < batchQueue.length; position++) {
+        const entry = batchQueue[position];
+        if (batchCancelled) {
+            Object.assign(entry, { status: 'cancelled', message: 'Cancelled' });
+            continue;
+        }
+        
+        Object.assign(entry, { status: 'running', message: 'Reading headers...' });
+        renderBatchQueue();
+        showStatus(`Converting file ${position + 1} of ${batchQueue.length}...`);
+        
+        let target = null;
+        try {
+            // Every file gets its own type, encoding, delimiter and column positions
+            const info = await sniffFile(entry.file);
+            const resolved = resolvePreset(preset, info.headers);
+            if (resolved.missing.length > 0) {
+                throw new Error(`Missing columns: ${resolved.missing.join(', ')}`);
             }
+            compileRowFilter(resolved.filterGroups, resolved.filterMatchMode);
+            compileColumnProjection(resolved.columns, info.headers);
             
-            // Process remainder if any
-            if (remainder && remainder.trim()) {
-                if (debugMode) console.log('Processing remainder:', remainder.length, 'chars');
-                
-                const values = remainder.split('\t');
-                const processedValues = values.map(field => {
-                    if (field && field.length >= 2 && field.startsWith('"') && field.endsWith('"')) {
-                        return field.slice(1, -1).replace(/""/g, '"');
-                    }
-                    return field || '';
-                });
-                
-                const paddedValues = [];
-                for (let j = 0; j < headers.length; j++) {
-                    paddedValues[j] = j < processedValues.length ? processedValues[j] : '';
-                }
-                
-                const selectedValues = selectedColumns.map(idx => paddedValues[idx] || '');
-                outputParts.push(formatCSVLine(selectedValues) + '\n');
-                totalProcessed++;
-            }
+            const baseName = entry.file.name.replace(/\.[^.]*$/, '') + '_converted';
+            const fileName = uniqueFileName(baseName, format.extension, usedNames);
+            const job = Object.assign(createSourceJob(info), {
+                columns: resolved.columns,
+                filterGroups: resolved.filterGroups,
+                filterMatchMode: resolved.filterMatchMode,
+                dedupe: resolved.dedupe,
+                sort: resolved.sort,
+                validation: resolved.validation,
+                format: formatKey,
+                outputEncoding,
+                title: baseName
+            });
             
-            if (debugMode) {
-                console.log('TSV Export Summary:');
-                console.log('- Total lines seen:', lineCount);
-                console.log('- Empty lines skipped:', skippedLines);
-                console.log('- Rows exported:', totalProcessed);
-            }
-        } else {
-            // Original CSV processing for non-TSV files
-            while (offset < currentFile.size) {
-                const chunk = currentFile.slice(offset, Math.min(offset + CHUNK_SIZE, currentFile.size));
-                let text = await chunk.text();
-                
-                // Remove BOM from first chunk
-                if (offset === 0) {
-                    text = removeBOM(text);
-                }
-                
-                // Combine with remainder from previous chunk
-                const fullText = remainder + text;
-                
-                // Find the last complete line in this chunk
-                let lastCompleteLineEnd = fullText.length;
-                let inQuotes = false;
-                
-                // If this isn't the last chunk, find a safe breaking point
-                if (offset + CHUNK_SIZE < currentFile.size) {
-                    // Scan backwards to find a line break that's not inside quotes
-                    for (let i = fullText.length - 1; i >= fullText.length - 1000 && i >= 0; i--) {
-                        if (fullText[i] === '"') {
-                            // Count quotes before this position
-                            let quoteCount = 0;
-                            for (let j = 0; j < i; j++) {
-                                if (fullText[j] === '"') {
-                                    if (j + 1 < fullText.length && fullText[j + 1] === '"') {
-                                        j++; // Skip escaped quote
-                                    } else {
-                                        quoteCount++;
-                                    }
-                                }
-                            }
-                            inQuotes = (quoteCount % 2) === 1;
-                        }
-                        
-                        if ((fullText[i] === '\n' || fullText[i] === '\r') && !inQuotes) {
-                            lastCompleteLineEnd = i + 1;
-                            if (fullText[i] === '\r' && i + 1 < fullText.length && fullText[i + 1] === '\n') {
-                                lastCompleteLineEnd = i + 2;
-                            }
-                            break;
-                        }
-                    }
+            target = await output.openFile(fileName, format.mimeType);
+            const result = await runWorkerTask({ type: 'export', file: entry.file, job }, {
+                onData: data => target.write(data),
+                onProgress: progress => {
+                    entry.percent = progress.percent;
+                    entry.message = `${progress.rows.toLocaleString()} rows converted`;
+                    renderBatchQueue();
                 }
-                
-                // Process the complete portion
-                const toProcess = fullText.substring(0, lastCompleteLineEnd);
-                remainder = fullText.substring(lastCompleteLineEnd);
-                
-                // Parse the chunk
-                const parsedLines = parseCSVData(toProcess, delimiter);
-                
-                // Process each line
-                for (let i = (isFirstChunk ? 1 : 0); i < parsedLines.length; i++) {
-                    const values = parsedLines[i];
-                    if (values && values.length > 0) {
-                        const paddedValues = [];
-                        for (let j = 0; j < headers.length; j++) {
-                            paddedValues[j] = values[j] || '';
-                        }
-                        
-                        const selectedValues = selectedColumns.map(idx => paddedValues[idx] || '');
-                        
-                        if (selectedValues.some(v => v !== '')) {
-                            outputParts.push(formatCSVLine(selectedValues) + '\n');
-                            totalProcessed++;
-                        }
-                    }
+            });
+            await target.close();
+            target = null;
+            
+            // Rows failing validation go to a rejected-rows file next to the converted one
+            let rejectedNote = '';
+            if (result.validation) {
+                rejectedNote = `, ${result.validation.rejected.toLocaleString()} rejected`;
+                if (result.validation.rejectedRows && result.validation.rejected > 0) {
+                    target = await output.openFile(uniqueFileName(baseName + '_rejected', '.csv', usedNames), 'text/csv');
+                    await target.write(new Uint8Array(await result.validation.rejectedRows.arrayBuffer()));
+                    await target.close();
                 }
-                
-                isFirstChunk = false;
-                offset += CHUNK_SIZE;
-                
-                // Update progress
-                const progress = Math.min(100, Math.round((offset / currentFile.size) * 100));
-                showProgress(progress);
             }
             
-            // Process any remaining text
-            if (remainder.trim()) {
-                const parsedLines = parseCSVData(remainder, delimiter);
-                for (let i = 0; i < parsedLines.length; i++) {
-                    const values = parsedLines[i];
-                    if (values && values.length > 0) {
-                        const paddedValues = [];
-                        for (let j = 0; j < headers.length; j++) {
-                            paddedValues[j] = values[j] || '';
-                        }
-                        
-                        const selectedValues = selectedColumns.map(idx => paddedValues[idx] || '');
-                        
-                        if (selectedValues.some(v => v !== '')) {
-                            outputParts.push(formatCSVLine(selectedValues) + '\n');
-                            totalProcessed++;
-                        }
-                    }
-                }
+            converted++;
+            Object.assign(entry, {
+                status: 'done',
+                percent: 100,
+                message: `✅ ${result.totalProcessed.toLocaleString()} rows → ${fileName}${rejectedNote}`
+            });
+        } catch (error) {
+            if (target) await target.abort();
+            if (batchCancelled) {
+                Object.assign(entry, { status: 'cancelled', message: 'Cancelled' });
+            } else {
+                console.error(`Batch error for ${entry.file.name}:`, error);
+                failed++;
+                const partialNote = target && mode === 'zip' ? ' (the ZIP holds an incomplete copy)' : '';
+                Object.assign(entry, { status: 'error', message: `❌ ${error.message}${partialNote}` });
             }
         }
-        
-        // Create and download file
-        const blob = new Blob(outputParts, { type: 'text/csv' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = exportFileName;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        // Show appropriate success message
-        const conversionNote = (delimiter !== ',') ? ' File converted from TSV to CSV format.' : '';
-        const originalLineEstimate = Math.round(currentFile.size / 100); // Rough estimate
-        
-        showStatus(`✅ Export completed! Processed ${totalProcessed} data rows.${conversionNote}`);
-        
-        if (debugMode) {
-            console.log('Export complete. Total rows exported:', totalProcessed);
+        renderBatchQueue();
+    }
+    
+    try {
+        if (batchCancelled) {
+            await output.abort();
+            showStatus('Batch cancelled');
+        } else {
+            await output.close();
+            showStatus(`✅ Batch completed! ${converted} files converted${failed > 0 ? `, ${failed} failed` : ''}.`);
         }
-        
         setTimeout(hideStatus, 4000);
-        
     } catch (error) {
-        console.error('Export error details:', error);
-        showError('Error exporting file: ' + error.message + '. The file may be too complex or corrupted.');
+        showError('Could not finish the batch output: ' + error.message);
     } finally {
-        document.getElementById('exportBtn').disabled = false;
-        hideProgress();
+        setBatchRunning(false);
     }
 }
 
-// Format CSV line for export
-function formatCSVLine(values) {
-    return values.map(value => {
-        if (value == null || value === undefined) return '';
-        
-        // Convert to string
-        value = String(value);
-        
-        // Check if the value needs to be quoted
-        const needsQuotes = value.includes(',') || 
-                          value.includes('"') || 
-                          value.includes('\n') || 
-                          value.includes('\r') ||
-                          value.startsWith(' ') ||
-                          value.endsWith(' ');
-        
-        if (needsQuotes) {
-            // Escape quotes by doubling them
-            const escaped = value.replace(/"/g, '""');
-            return `"${escaped}"`;
-        }
-        
-        return value;
-    }).join(',');
+// Stop the batch after cancelling the file being converted
+function cancelBatch() {
+    batchCancelled = true;
+    cancelTask();
+}
+
+// Disable the batch controls and show Cancel while a batch runs
+function setBatchRunning(running) {
+    document.getElementById('batchStartBtn').disabled = running;
+    document.getElementById('batchClearBtn').disabled = running;
+    document.querySelectorAll('.batch-options select').forEach(select => {
+        select.disabled = running;
+    });
+    document.getElementById('batchCancelBtn').style.display = running ? 'inline-block' : 'none';
+}
+
+// Empty the batch queue and hide it
+function clearBatch() {
+    batchQueue = [];
+    document.getElementById('batchQueue').innerHTML = '';
+    document.getElementById('batchSection').style.display = 'none';
+    document.getElementById('fileInput').value = '';
+    document.getElementById('folderInput').value = '';
 }
 
 // Reset file and UI
@@ -1057,6 +3164,11 @@ function resetFile() {
     currentFile = null;
     headers = [];
     delimiter = ',';
+    inputEncoding = 'utf-8';
+    inputReader = 'delimited';
+    inputSheet = null;
+    inputWidths = null;
+    inputRecordsKey = null;
     fileData = [];
     
     const fileInput = document.getElementById('fileInput');
@@ -1070,13 +3182,34 @@ function resetFile() {
     document.getElementById('fileType').textContent = '';
     
     document.getElementById('fileInfo').style.display = 'none';
+    document.getElementById('parseSettings').style.display = 'none';
+    resetParseSettings();
+    parseDialect = normalizeDialect();
     document.getElementById('exportNameSection').style.display = 'none';
     document.getElementById('previewSection').style.display = 'none';
     document.getElementById('columnSelector').style.display = 'none';
     document.getElementById('actionButtons').style.display = 'none';
+    document.getElementById('filterSection').style.display = 'none';
+    document.getElementById('dedupeSection').style.display = 'none';
+    document.getElementById('sortSection').style.display = 'none';
+    document.getElementById('validationSection').style.display = 'none';
+    document.getElementById('validationReportSection').style.display = 'none';
+    document.getElementById('summarySection').style.display = 'none';
+    document.getElementById('compareSection').style.display = 'none';
+    document.getElementById('combineSection').style.display = 'none';
+    document.getElementById('profileSection').style.display = 'none';
+    appendSources = [];
+    joinConfig = null;
+    compareConfig = null;
+    compareReport = null;
+    profileReport = null;
+    resetDataBrowser();
+    previewRows = [];
+    clearFilters();
+    renderPresetMissing(null, []);
     
     // Reset export button text
-    document.getElementById('exportBtn').textContent = 'Export as CSV';
+    updateExportButton();
     
     hideStatus();
     hideError();
@@ -1120,4 +3253,7 @@ window.onclick = function(event) {
     if (event.target == modal) {
         closePresetModal();
     }
+    if (event.target == document.getElementById('transformModal')) {
+        closeTransformModal();
+    }
 }
\ No newline at end of file
@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+// Command line for the conversion core, for nightly jobs and other scripts:
+//
+//   feedfilter input.tsv --preset presets.json --out out.csv
+//
+// (installed with "npm install -g ." in this folder, or run as node feedFilterCli.js).
+// Runs the same export as the page (feedFilterCore.js) and streams the file through fs,
+// so input size isn't limited by memory. Needs Node 20 or later (fs.openAsBlob).
+
+const fs = require('fs');
+const path = require('path');
+const engine = require('./feedFilterCore.js');
+
+const USAGE = `Usage: feedfilter <input> [options]
+
+Options:
+  --preset <file>           Presets JSON exported from the page (or a single preset)
+  --name <preset name>      Preset to use; without it a file with one preset uses that one,
+                            otherwise the preset that best matches the input is picked
+  --out <file>              Output file (default: <input>_converted with the format's extension)
+  --format <format>         Output format: ${Object.keys(engine.EXPORT_FORMATS).join(', ')}
+  --output-encoding <name>  Output encoding: ${Object.keys(engine.OUTPUT_ENCODINGS).join(', ')}
+  --encoding <name>         Input encoding instead of detecting it: ${Object.keys(engine.INPUT_ENCODINGS).join(', ')}
+  --delimiter <text>        Input delimiter instead of detecting it ("tab" or \\t for a tab)
+  --no-header               The first row is data; columns are named Column 1, Column 2, ...
+  --skip-lines <count>      Lines to drop before the header (default: 0)
+  --quote <char>            Quote character (default: "; "none" turns quoting off)
+  --escape <char>           Escape for a quote inside quotes (default: the quote, doubled)
+  --comment <prefixes>      Ignore lines starting with any of these, separated by spaces
+  --reader <type>           Input type instead of going by the file: ${Object.keys(engine.INPUT_READERS).join(', ')}
+  --sheet <name>            Sheet of an XLSX workbook to read (default: the first)
+  --widths <list>           Column widths of a fixed-width file, e.g. "10,25,8" (default: guessed)
+  --records-key <key>       Key of the array of records in a JSON object (default: detected)
+  --schema <name>           Validate the output against a built-in rule set: ${Object.keys(engine.VALIDATION_SCHEMAS).join(', ')}
+                            (on top of the preset's own rules); failing rows are left out
+  --rejected <file>         Write the rows failing validation to this CSV, with the reasons
+  --allow-missing           Convert even when the input lacks some of the preset's columns
+  --quiet                   Only print errors
+  --help                    Show this help
+
+Without a preset every column is exported as it is.`;
+
+// Options that take a value, and flags
+const VALUE_OPTIONS = ['preset', 'name', 'out', 'format', 'output-encoding', 'encoding', 'delimiter', 'reader', 'sheet', 'widths', 'records-key', 'schema', 'rejected',
+    'skip-lines', 'quote', 'escape', 'comment'];
+const FLAG_OPTIONS = ['no-header', 'allow-missing', 'quiet', 'help'];
+
+// Thrown for mistakes on the command line (exit code 2)
+class UsageError extends Error {}
+
+// Parse the command line into { input, options }
+function parseArguments(args) {
+    const options = {};
+    const positional = [];
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        
+        const name = arg.slice(2);
+        if (FLAG_OPTIONS.includes(name)) {
+            options[name] = true;
+        } else if (VALUE_OPTIONS.includes(name)) {
+            if (i + 1 >= args.length) throw new UsageError(`${arg} needs a value`);
+            options[name] = args[++i];
+        } else {
+            throw new UsageError(`Unknown option: ${arg}`);
+        }
+    }
+    
+    if (options.help) return { options };
+    if (positional.length !== 1) throw new UsageError('Give exactly one input file');
+    return { input: positional[0], options };
+}
+
+// Parse settings from the command line, as the page's parse settings panel sets them
+function readDialect(options) {
+    const skipLines = options['skip-lines'] === undefined ? 0 : Number(options['skip-lines']);
+    if (!Number.isInteger(skipLines) || skipLines < 0) throw new UsageError('--skip-lines needs a whole number of lines');
+    
+    let quote = options.quote === undefined ? engine.DEFAULT_DIALECT.quote : options.quote;
+    if (quote === 'none') quote = '';
+    const escape = options.escape === undefined ? quote : options.escape;
+    if (quote.length > 1 || escape.length > 1) throw new UsageError('--quote and --escape take a single character');
+    
+    return engine.normalizeDialect({
+        quote,
+        escape: escape || quote,
+        hasHeader: !options['no-header'],
+        skipLines,
+        commentPrefixes: (options.comment || '').split(/\s+/).filter(Boolean)
+    });
+}
+
+// Pick the preset to run: by name, the only one in the file, or the best match for the headers
+function choosePreset(presets, options, headers, fileName) {
+    if (options.name) {
+        const preset = presets.find(preset => preset.name === options.name);
+        if (!preset) throw new UsageError(`No preset named "${options.name}" in ${options.preset}`);
+        return preset;
+    }
+    if (presets.length === 1) return presets[0];
+    
+    const { best } = engine.suggestPreset(presets, headers, fileName);
+    if (best === -1) {
+        throw new UsageError(`No preset in ${options.preset} matches the input; choose one with --name (${presets.map(preset => preset.name).join(', ')})`);
+    }
+    return presets[best];
+}
+
+// Export settings for the input: from the preset, or every column unchanged
+function getExportSettings(options, headers, fileName) {
+    if (!options.preset) {
+        return {
+            columns: headers.map((header, index) => ({ name: header, source: index })),
+            missing: []
+        };
+    }
+    
+    const presets = engine.parsePresetFile(fs.readFileSync(options.preset, 'utf8'));
+    if (presets.length === 0) throw new UsageError(`${options.preset} holds no presets`);
+    const preset = choosePreset(presets, options, headers, fileName);
+    return Object.assign({ preset }, engine.resolvePreset(preset, headers));
+}
+
+// Output file that write() streams to, waiting whenever the stream's buffer is full
+function createFileSink(fileName) {
+    const stream = fs.createWriteStream(fileName);
+    let failure = null;
+    stream.on('error', error => {
+        failure = error;
+    });
+    
+    return {
+        write(data) {
+            if (failure) throw failure;
+            if (stream.write(data)) return undefined;
+            return new Promise((resolve, reject) => {
+                stream.once('drain', resolve);
+                stream.once('error', reject);
+            });
+        },
+        close() {
+            return new Promise((resolve, reject) => {
+                if (failure) return reject(failure);
+                stream.end(error => error ? reject(error) : resolve());
+            });
+        },
+        // Drop the partial output of a failed run
+        abort() {
+            stream.destroy();
+            fs.rmSync(fileName, { force: true });
+        }
+    };
+}
+
+// Convert the input file as the command line describes
+async function main(args) {
+    const { input, options } = parseArguments(args);
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    const log = options.quiet ? () => {} : message => console.error(message);
+    
+    if (!fs.existsSync(input)) throw new UsageError(`Input file not found: ${input}`);
+    // A named File, so the type of the input can be told from its extension
+    const fileName = path.basename(input);
+    const file = new File([await fs.openAsBlob(input)], fileName);
+    
+    // Type, encoding, delimiter and headers come from the start of the file unless given
+    const dialect = readDialect(options);
+    if (options.encoding && !engine.INPUT_ENCODINGS[options.encoding]) {
+        throw new UsageError(`Unknown input encoding: ${options.encoding}`);
+    }
+    if (options.reader && !engine.INPUT_READERS[options.reader]) {
+        throw new UsageError(`Unknown input type: ${options.reader}`);
+    }
+    let delimiter = options.delimiter;
+    if (delimiter === 'tab' || delimiter === '\\t') delimiter = '\t';
+    let widths = null;
+    if (options.widths) {
+        try {
+            widths = engine.parseFixedWidths(options.widths);
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+    const info = await engine.sniffFile(file, dialect, {
+        reader: options.reader,
+        encoding: options.encoding,
+        delimiter,
+        sheet: options.sheet,
+        widths,
+        recordsKey: options['records-key']
+    });
+    if (info.sheet) log(`Sheet: ${info.sheet}`);
+    if (info.recordsKey) log(`Records: ${info.recordsKey}`);
+    
+    const settings = getExportSettings(options, info.headers, fileName);
+    if (settings.preset) log(`Preset: ${settings.preset.name}`);
+    if (settings.missing.length > 0) {
+        const message = `Input is missing preset columns: ${settings.missing.join(', ')}`;
+        if (!options['allow-missing']) throw new UsageError(message + ' (use --allow-missing to convert anyway)');
+        log('Warning: ' + message);
+    }
+    
+    const format = options.format || settings.format || 'csv';
+    if (!engine.EXPORT_FORMATS[format]) throw new UsageError(`Unknown format: ${format}`);
+    const outputEncoding = options['output-encoding'] || settings.outputEncoding || 'utf-8';
+    if (!engine.OUTPUT_ENCODINGS[outputEncoding]) throw new UsageError(`Unknown output encoding: ${outputEncoding}`);
+    
+    let validation = settings.validation || null;
+    if (options.schema) {
+        if (!engine.VALIDATION_SCHEMAS[options.schema]) throw new UsageError(`Unknown rule set: ${options.schema}`);
+        validation = Object.assign({ rules: [] }, validation, { schema: options.schema });
+    }
+    if (options.rejected) {
+        if (!validation) throw new UsageError('--rejected needs validation rules (--schema or a preset with rules)');
+        validation = Object.assign({}, validation, { rejectedFile: true });
+    } else if (validation) {
+        validation = Object.assign({}, validation, { rejectedFile: false });
+    }
+    
+    const split = settings.split || null;
+    const extension = split ? '.zip' : engine.EXPORT_FORMATS[format].extension;
+    const baseName = fileName.replace(/\.[^.]*$/, '') + '_converted';
+    const outputName = options.out || path.join(path.dirname(input), baseName + extension);
+    
+    const job = Object.assign(engine.createSourceJob(info, dialect), {
+        columns: settings.columns,
+        filterGroups: settings.filterGroups || [],
+        filterMatchMode: settings.filterMatchMode || 'all',
+        dedupe: settings.dedupe || null,
+        sort: settings.sort || null,
+        validation,
+        format,
+        outputEncoding,
+        split,
+        title: path.basename(outputName).replace(/\.[^.]*$/, '')
+    });
+    
+    // Report problems in filters and templates before reading the file
+    engine.compileRowFilter(job.filterGroups, job.filterMatchMode);
+    engine.compileColumnProjection(job.columns, info.headers);
+    engine.checkSplitSettings(split);
+    if (validation) engine.compileValidator(validation, job.columns.map(column => column.name));
+    
+    const sink = createFileSink(outputName);
+    const showProgress = !options.quiet && process.stderr.isTTY;
+    let result;
+    try {
+        result = await engine.runExport(file, job, {
+            write: data => sink.write(data),
+            progress(progress) {
+                if (showProgress) {
+                    process.stderr.write(`\rConverting... ${progress.percent}% (${progress.rows.toLocaleString()} rows)`);
+                }
+            }
+        });
+        await sink.close();
+        if (result.validation && result.validation.rejectedRows) {
+            fs.writeFileSync(options.rejected, Buffer.from(await result.validation.rejectedRows.arrayBuffer()));
+        }
+    } catch (error) {
+        sink.abort();
+        throw error;
+    } finally {
+        if (showProgress) process.stderr.write('\n');
+    }
+    
+    const notes = [];
+    if (result.filteredOut > 0) notes.push(`${result.filteredOut.toLocaleString()} filtered out`);
+    if (result.duplicatesRemoved > 0) notes.push(`${result.duplicatesRemoved.toLocaleString()} duplicates removed`);
+    if (result.validation) notes.push(`${result.validation.rejected.toLocaleString()} rejected by validation`);
+    if (result.parts > 1) notes.push(`${result.parts.toLocaleString()} parts`);
+    log(`Wrote ${result.totalProcessed.toLocaleString()} rows to ${outputName}` + (notes.length > 0 ? ` (${notes.join(', ')})` : ''));
+    if (options.rejected) log(`Wrote the rejected rows to ${options.rejected}`);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(`Error: ${error.message}`);
+        if (error instanceof UsageError) console.error('Run with --help for usage.');
+        process.exitCode = error instanceof UsageError ? 2 : 1;
+    });
+}
+
+module.exports = { main, parseArguments };
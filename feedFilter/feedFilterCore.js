@@ -0,0 +1,3846 @@
+// Shared conversion core used by the page (feedFilter.js), the export worker
+// (feedFilterWorker.js) and the command line (feedFilterCli.js). Nothing in this file may
+// touch the DOM: files are Blobs and output goes through the write callback of runTask.
+
+let debugMode = false; // Enable with window.enableDebug() on the page
+
+// Detect delimiter (comma or tab) with validation
+function detectDelimiter(text) {
+    // Get first few lines for analysis
+    const sampleLines = text.split(/\r?\n/).slice(0, 10).filter(line => line.trim());
+    
+    if (sampleLines.length === 0) return ',';
+    
+    // Count delimiters outside of quotes
+    const delimiterCounts = {
+        ',': [],
+        '\t': [],
+        '|': [],
+        ';': []
+    };
+    
+    sampleLines.forEach(line => {
+        let inQuotes = false;
+        const counts = {',': 0, '\t': 0, '|': 0, ';': 0};
+        
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            const nextChar = line[i + 1];
+            
+            if (char === '"') {
+                if (inQuotes && nextChar === '"') {
+                    i++; // Skip escaped quote
+                } else {
+                    inQuotes = !inQuotes;
+                }
+            } else if (!inQuotes && counts.hasOwnProperty(char)) {
+                counts[char]++;
+            }
+        }
+        
+        // Store counts for consistency check
+        Object.keys(counts).forEach(delim => {
+            delimiterCounts[delim].push(counts[delim]);
+        });
+    });
+    
+    // Find delimiter with most consistent count across lines
+    let bestDelimiter = ',';
+    let bestScore = -1;
+    
+    Object.keys(delimiterCounts).forEach(delim => {
+        const counts = delimiterCounts[delim];
+        if (counts.length === 0 || counts[0] === 0) return;
+        
+        // Calculate consistency score (prefer consistent counts)
+        const avgCount = counts.reduce((a, b) => a + b, 0) / counts.length;
+        const variance = counts.reduce((sum, count) => sum + Math.pow(count - avgCount, 2), 0) / counts.length;
+        const consistency = avgCount > 0 ? (1 / (1 + variance)) * avgCount : 0;
+        
+        if (consistency > bestScore) {
+            bestScore = consistency;
+            bestDelimiter = delim;
+        }
+    });
+    
+    if (debugMode) {
+        console.log('Delimiter detection:', delimiterCounts);
+        console.log('Selected delimiter:', bestDelimiter, 'with score:', bestScore);
+    }
+    
+    return bestDelimiter;
+}
+
+// Remove BOM (Byte Order Mark) if present
+function removeBOM(text) {
+    if (text.charCodeAt(0) === 0xFEFF) {
+        return text.slice(1);
+    }
+    return text;
+}
+
+// Input encodings that can be chosen manually (value: label)
+const INPUT_ENCODINGS = {
+    'utf-8': 'UTF-8',
+    'utf-16le': 'UTF-16 LE',
+    'utf-16be': 'UTF-16 BE',
+    'windows-1252': 'Windows-1252',
+    'iso-8859-1': 'ISO-8859-1 (Latin-1)'
+};
+
+// Output encodings for text formats (value: label)
+const OUTPUT_ENCODINGS = {
+    'utf-8': 'UTF-8',
+    'utf-8-bom': 'UTF-8 with BOM (Excel)',
+    'utf-16le': 'UTF-16 LE',
+    'windows-1252': 'Windows-1252'
+};
+
+// Windows-1252 characters in the 0x80-0x9F range (undefined bytes are left out)
+const WINDOWS_1252_HIGH = {
+    0x80: 0x20AC, 0x82: 0x201A, 0x83: 0x0192, 0x84: 0x201E, 0x85: 0x2026, 0x86: 0x2020,
+    0x87: 0x2021, 0x88: 0x02C6, 0x89: 0x2030, 0x8A: 0x0160, 0x8B: 0x2039, 0x8C: 0x0152,
+    0x8E: 0x017D, 0x91: 0x2018, 0x92: 0x2019, 0x93: 0x201C, 0x94: 0x201D, 0x95: 0x2022,
+    0x96: 0x2013, 0x97: 0x2014, 0x98: 0x02DC, 0x99: 0x2122, 0x9A: 0x0161, 0x9B: 0x203A,
+    0x9C: 0x0153, 0x9E: 0x017E, 0x9F: 0x0178
+};
+
+// Guess the encoding of a file from the bytes at its start (BOM first, then heuristics)
+function detectEncoding(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+    
+    // UTF-16 text without a BOM has a zero byte in every other position for ASCII characters
+    const sample = bytes.subarray(0, Math.min(bytes.length, 64 * 1024));
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < sample.length; i++) {
+        if (sample[i] === 0) {
+            if (i % 2 === 0) evenZeros++;
+            else oddZeros++;
+        }
+    }
+    const pairs = sample.length / 2;
+    if (pairs > 0 && oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) return 'utf-16le';
+    if (pairs > 0 && evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) return 'utf-16be';
+    
+    // Anything that isn't valid UTF-8 is most likely an Excel export in Windows-1252
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+        return 'utf-8';
+    } catch (e) {
+        return 'windows-1252';
+    }
+}
+
+// Create a streaming decoder for an input encoding. decode(bytes, { stream }) keeps partial
+// characters between calls, so chunk boundaries can fall anywhere.
+function createTextDecoder(encoding) {
+    // Single-byte encodings are mapped by hand: browsers decode latin1 as Windows-1252 and
+    // Node decodes Windows-1252 as latin1, so neither label can be trusted to TextDecoder
+    if (encoding === 'iso-8859-1' || encoding === 'windows-1252') {
+        const table = new Uint16Array(256);
+        for (let i = 0; i < 256; i++) {
+            table[i] = encoding === 'windows-1252' && WINDOWS_1252_HIGH[i] ? WINDOWS_1252_HIGH[i] : i;
+        }
+        return {
+            decode(bytes) {
+                const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+                let text = '';
+                for (let i = 0; i < view.length; i += 8192) {
+                    text += String.fromCharCode.apply(null, Uint16Array.from(view.subarray(i, i + 8192), byte => table[byte]));
+                }
+                return text;
+            }
+        };
+    }
+    return new TextDecoder(encoding || 'utf-8');
+}
+
+// Create an encoder for export output. It returns text unchanged for plain UTF-8 (the Blob or
+// file stream encodes it) and bytes otherwise; binary data passes through.
+function createOutputEncoder(encoding) {
+    let first = true;
+    
+    // Byte order mark in front of the first piece of output
+    const withBOM = (bom, bytes) => {
+        if (!first) return bytes;
+        first = false;
+        return concatBytes([new Uint8Array(bom), bytes]);
+    };
+    
+    switch (encoding || 'utf-8') {
+        case 'utf-8':
+            return data => data;
+        case 'utf-8-bom': {
+            const encoder = new TextEncoder();
+            return data => typeof data === 'string' ? withBOM([0xEF, 0xBB, 0xBF], encoder.encode(data)) : data;
+        }
+        case 'utf-16le':
+            return data => {
+                if (typeof data !== 'string') return data;
+                const bytes = new Uint8Array(data.length * 2);
+                for (let i = 0; i < data.length; i++) {
+                    const code = data.charCodeAt(i);
+                    bytes[i * 2] = code & 0xFF;
+                    bytes[i * 2 + 1] = code >> 8;
+                }
+                return withBOM([0xFF, 0xFE], bytes);
+            };
+        case 'windows-1252': {
+            const reverse = {};
+            Object.keys(WINDOWS_1252_HIGH).forEach(byte => {
+                reverse[WINDOWS_1252_HIGH[byte]] = parseInt(byte, 10);
+            });
+            return data => {
+                if (typeof data !== 'string') return data;
+                const bytes = new Uint8Array(data.length);
+                let length = 0;
+                for (let i = 0; i < data.length; i++) {
+                    const code = data.charCodeAt(i);
+                    if (code < 0x80 || (code >= 0xA0 && code <= 0xFF)) {
+                        bytes[length++] = code;
+                    } else if (reverse[code] !== undefined) {
+                        bytes[length++] = reverse[code];
+                    } else {
+                        // Not representable - skip the low half of a surrogate pair and write '?'
+                        if (code >= 0xD800 && code <= 0xDBFF) i++;
+                        bytes[length++] = 0x3F;
+                    }
+                }
+                return bytes.subarray(0, length);
+            };
+        }
+        default:
+            throw new Error(`Unknown output encoding: ${encoding}`);
+    }
+}
+
+// Default parse settings; the page's "Parse settings" panel overrides them
+const DEFAULT_DIALECT = {
+    quote: '"',          // Quote character ('' disables quoting)
+    escape: '"',         // Escape for a quote inside quotes (same as quote means doubled quotes)
+    hasHeader: true,     // First record holds the column names
+    skipLines: 0,        // Lines to drop before the header
+    commentPrefixes: []  // Lines starting with any of these are ignored
+};
+
+// Fill in missing parse settings with the defaults
+function normalizeDialect(dialect) {
+    return Object.assign({}, DEFAULT_DIALECT, dialect);
+}
+
+// Drop the first count lines of text (preamble before the header)
+function skipLeadingLines(text, count) {
+    let position = 0;
+    for (let i = 0; i < count; i++) {
+        const newline = text.indexOf('\n', position);
+        if (newline === -1) return '';
+        position = newline + 1;
+    }
+    return text.slice(position);
+}
+
+// Whether the text at position i starts with one of the comment prefixes
+function isCommentAt(text, i, prefixes) {
+    return prefixes.some(prefix => prefix !== '' && text.startsWith(prefix, i));
+}
+
+// States of the incremental parser
+const PARSER_STATE = {
+    SKIP_LINE: 0,         // Dropping preamble lines before the header
+    FIELD_START: 1,       // At the start of a field
+    UNQUOTED: 2,          // Inside an unquoted field
+    QUOTED: 3,            // Inside a quoted field
+    QUOTE_IN_QUOTED: 4,   // Just read a quote inside a quoted field (closing or doubled)
+    ESCAPE_IN_QUOTED: 5,  // Just read the escape character inside a quoted field
+    COMMENT: 6            // Skipping a comment line
+};
+
+// Incremental CSV/TSV parser (RFC 4180, plus a TSV dialect) that keeps its state across chunks.
+// push(text) parses the next piece of decoded text and end() flushes the last record;
+// onRecord(values, end) is called for every record except blank lines; end is the position
+// (in characters of the text pushed so far) just past the record's line break.
+// The BOM, preamble lines and comment lines from the dialect are dropped here.
+function createParser(delimiter, dialect, onRecord) {
+    const { quote, escape, skipLines, commentPrefixes } = normalizeDialect(dialect);
+    const S = PARSER_STATE;
+    const MAX_FIELD_SIZE = 1000000; // 1MB max per field for safety
+    
+    // In TSV, a quoted field followed by more text was never quoted - keep it as written
+    const isTSV = delimiter === '\t';
+    
+    // Quotes are escaped by doubling unless a separate escape character is set
+    const doubledQuotes = escape === quote;
+    
+    // Multi-character delimiters and comment prefixes can straddle two chunks,
+    // so the end of each chunk is held back until the next one arrives
+    const holdBack = Math.max(delimiter.length, ...commentPrefixes.map(prefix => prefix.length)) - 1;
+    
+    let state = skipLines > 0 ? S.SKIP_LINE : S.FIELD_START;
+    let linesToSkip = skipLines;
+    let record = [];
+    let field = '';
+    let rawField = '';
+    let pending = '';
+    let afterCR = false;
+    let atStart = true;
+    let streamOffset = 0; // Position of the text being parsed in everything pushed so far
+    
+    const append = text => {
+        if (field.length < MAX_FIELD_SIZE) field += text;
+    };
+    const endField = () => {
+        record.push(field);
+        field = '';
+        rawField = '';
+        state = S.FIELD_START;
+    };
+    const endRecord = end => {
+        endField();
+        if (record.length > 1 || record[0] !== '') onRecord(record, end);
+        record = [];
+    };
+    const isDelimiterAt = (text, i) => delimiter.length === 1 ? text[i] === delimiter : text.startsWith(delimiter, i);
+    const isLineBreak = char => char === '\n' || char === '\r';
+    
+    // Parse text up to the hold-back point and return how far we got
+    function parse(text, isLast) {
+        const limit = isLast ? text.length : text.length - holdBack;
+        let i = 0;
+        
+        while (i < limit) {
+            const char = text[i];
+            
+            // \r\n counts as a single line break
+            if (afterCR) {
+                afterCR = false;
+                if (char === '\n') {
+                    i++;
+                    continue;
+                }
+            }
+            
+            switch (state) {
+                case S.SKIP_LINE:
+                case S.COMMENT:
+                    if (isLineBreak(char)) {
+                        afterCR = char === '\r';
+                        if (state === S.COMMENT || --linesToSkip === 0) state = S.FIELD_START;
+                    }
+                    i++;
+                    break;
+                    
+                case S.FIELD_START:
+                    if (record.length === 0 && commentPrefixes.length > 0 && isCommentAt(text, i, commentPrefixes)) {
+                        state = S.COMMENT;
+                        i++;
+                    } else if (quote && char === quote) {
+                        state = S.QUOTED;
+                        if (isTSV) rawField = quote;
+                        i++;
+                    } else {
+                        state = S.UNQUOTED;
+                    }
+                    break;
+                    
+                case S.UNQUOTED:
+                    if (isDelimiterAt(text, i)) {
+                        endField();
+                        i += delimiter.length;
+                    } else if (isLineBreak(char)) {
+                        endRecord(streamOffset + i + 1);
+                        afterCR = char === '\r';
+                        i++;
+                    } else {
+                        // Take the run of ordinary characters in one go
+                        let j = i + 1;
+                        while (j < limit && !isLineBreak(text[j]) && !isDelimiterAt(text, j)) j++;
+                        append(text.slice(i, j));
+                        i = j;
+                    }
+                    break;
+                    
+                case S.QUOTED:
+                    if (char === quote) {
+                        state = S.QUOTE_IN_QUOTED;
+                        i++;
+                    } else if (!doubledQuotes && char === escape) {
+                        state = S.ESCAPE_IN_QUOTED;
+                        i++;
+                    } else {
+                        // Quoted fields may hold delimiters and line breaks
+                        let j = i + 1;
+                        while (j < limit && text[j] !== quote && (doubledQuotes || text[j] !== escape)) j++;
+                        const run = text.slice(i, j);
+                        append(run);
+                        if (isTSV && rawField.length < MAX_FIELD_SIZE) rawField += run;
+                        i = j;
+                    }
+                    break;
+                    
+                case S.ESCAPE_IN_QUOTED:
+                    // Take the escaped character literally
+                    append(char);
+                    if (isTSV) rawField += escape + char;
+                    state = S.QUOTED;
+                    i++;
+                    break;
+                    
+                case S.QUOTE_IN_QUOTED:
+                    if (doubledQuotes && char === quote) {
+                        // Escaped quote
+                        append(quote);
+                        if (isTSV) rawField += quote + quote;
+                        state = S.QUOTED;
+                        i++;
+                    } else if (isDelimiterAt(text, i)) {
+                        endField();
+                        i += delimiter.length;
+                    } else if (isLineBreak(char)) {
+                        endRecord(streamOffset + i + 1);
+                        afterCR = char === '\r';
+                        i++;
+                    } else {
+                        // Text after the closing quote: CSV keeps it, TSV keeps the whole field as written
+                        if (isTSV) field = rawField + quote;
+                        state = S.UNQUOTED;
+                    }
+                    break;
+            }
+        }
+        
+        return i;
+    }
+    
+    return {
+        push(text) {
+            if (atStart && text.length > 0) {
+                text = removeBOM(text);
+                atStart = false;
+            }
+            const fullText = pending + text;
+            const parsed = parse(fullText, false);
+            pending = fullText.slice(parsed);
+            streamOffset += parsed;
+        },
+        end() {
+            parse(pending, true);
+            streamOffset += pending.length;
+            pending = '';
+            
+            // Unterminated TSV quotes were literal after all
+            if (isTSV && (state === S.QUOTED || state === S.ESCAPE_IN_QUOTED)) {
+                field = rawField;
+            }
+            if (state !== S.SKIP_LINE && state !== S.COMMENT && (state !== S.FIELD_START || record.length > 0)) {
+                endRecord(streamOffset);
+            }
+        }
+    };
+}
+
+// Parse a piece of text into an array of records (the preview uses this).
+// Unless isComplete, the text was cut off and its last, possibly partial record is left out.
+function parseText(text, delimiter, dialect, isComplete) {
+    const records = [];
+    const parser = createParser(delimiter, dialect, values => records.push(values));
+    parser.push(text);
+    if (isComplete) parser.end();
+    return records;
+}
+
+// Detect the delimiter of decoded text, ignoring the BOM, preamble lines and comment lines
+function sniffDelimiter(text, dialect) {
+    dialect = normalizeDialect(dialect);
+    const sample = skipLeadingLines(removeBOM(text), dialect.skipLines).split(/\r?\n/, 50)
+        .filter(line => !isCommentAt(line, 0, dialect.commentPrefixes))
+        .join('\n');
+    return detectDelimiter(sample);
+}
+
+// Work out which reader a file needs from its name and first bytes: XLSX workbooks are ZIP
+// archives, JSON and fixed-width text are known by their extension, the rest is delimited text
+function detectInputReader(fileName, bytes) {
+    if (/\.xlsx$/i.test(fileName) || (bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04)) return 'xlsx';
+    if (/\.(json|ndjson|jsonl)$/i.test(fileName)) return 'json';
+    if (/\.(fwf|prn)$/i.test(fileName)) return 'fixedWidth';
+    return 'delimited';
+}
+
+// Read the start of a file to work out its type, encoding, delimiter and column names.
+// known: { reader, encoding, delimiter, sheet, widths, recordsKey } to use instead of detecting
+// them (any may be left out). Returns { reader, encoding, delimiter, headers, rows } - rows are
+// the first data rows - plus { sheet, sheets } for XLSX workbooks, { widths } for fixed-width
+// files and { recordsKey } for JSON.
+async function sniffFile(file, dialect, known) {
+    dialect = normalizeDialect(dialect);
+    known = known || {};
+    const PREVIEW_SIZE = 1024 * 1024;
+    const bytes = new Uint8Array(await file.slice(0, Math.min(PREVIEW_SIZE, file.size)).arrayBuffer());
+    const reader = known.reader || detectInputReader(file.name || '', bytes);
+    if (!INPUT_READERS[reader]) {
+        throw new Error(`Unknown input type: ${reader}`);
+    }
+    
+    const info = await INPUT_READERS[reader].sniff(file, bytes, dialect, known);
+    if (info.headers.length === 0) {
+        throw new Error('No data found in file');
+    }
+    return Object.assign({ reader }, info);
+}
+
+// Sniff a delimited text file from its first bytes
+async function sniffDelimitedFile(file, bytes, dialect, known) {
+    const isComplete = bytes.length === file.size;
+    const encoding = known.encoding || detectEncoding(bytes);
+    const text = createTextDecoder(encoding).decode(bytes, { stream: !isComplete });
+    const delimiter = known.delimiter || sniffDelimiter(text, dialect);
+    
+    const records = parseText(text, delimiter, dialect, isComplete);
+    if (records.length === 0) {
+        throw new Error('No data found in file');
+    }
+    const headers = dialect.hasHeader
+        ? records[0]
+        : records[0].map((value, index) => `Column ${index + 1}`);
+    
+    return { encoding, delimiter, headers, rows: records.slice(dialect.hasHeader ? 1 : 0) };
+}
+
+// The fields of a readRows job for a file, from what sniffFile found
+function createSourceJob(info, dialect) {
+    return {
+        headers: info.headers,
+        delimiter: info.delimiter,
+        dialect: normalizeDialect(dialect),
+        encoding: info.encoding,
+        reader: info.reader,
+        sheet: info.sheet,
+        widths: info.widths,
+        recordsKey: info.recordsKey
+    };
+}
+
+// Current preset format version; presets saved by earlier versions are migrated when loaded
+const PRESET_VERSION = 2;
+
+// Bring a preset from any earlier version up to the current format.
+// v1: { name, headers, columns? } - columns only, matched by exact header name.
+// v2: { version, name, columns, filters, dedupe, sort, validation, format, outputEncoding, split, filePattern } -
+// the whole export job, with columns referenced by header name (plus aliases) instead of position.
+// format and outputEncoding are null when the preset leaves them as they are; filePattern is
+// the file name pattern used to suggest the preset (null for none). sort and validation came
+// later and are missing from presets saved before them; validation rules name output columns.
+function migratePreset(preset) {
+    if (!preset || typeof preset.name !== 'string') {
+        throw new Error('Not a preset: missing name');
+    }
+    const version = preset.version || 1;
+    if (version > PRESET_VERSION) {
+        throw new Error(`Preset "${preset.name}" needs a newer version of this tool (preset version ${version})`);
+    }
+    if (version === PRESET_VERSION) return preset;
+    
+    const columns = (preset.columns || (preset.headers || []).map(header => ({ header }))).map(column =>
+        column.template !== undefined
+            ? { name: column.name, template: column.template, transforms: column.transforms || [] }
+            : { header: column.header, aliases: [], name: column.name || column.header, transforms: column.transforms || [] });
+    
+    return {
+        version: PRESET_VERSION,
+        name: preset.name,
+        columns,
+        filters: { matchMode: 'all', groups: [] },
+        dedupe: null,
+        sort: null,
+        validation: null,
+        format: null,
+        outputEncoding: null,
+        split: null,
+        filePattern: null
+    };
+}
+
+// Header name compared ignoring case and runs of whitespace
+function normalizeHeaderName(header) {
+    return String(header).replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Find a preset column in the headers: exact name first, then ignoring case and whitespace,
+// then any of its aliases. Returns -1 when the file doesn't have it.
+function findHeaderIndex(headers, header, aliases) {
+    const exact = headers.indexOf(header);
+    if (exact !== -1) return exact;
+    
+    const normalized = headers.map(normalizeHeaderName);
+    for (const name of [header].concat(aliases || [])) {
+        const index = normalized.indexOf(normalizeHeaderName(name));
+        if (index !== -1) return index;
+    }
+    return -1;
+}
+
+// Turn a preset into export job settings for a file with the given headers.
+// Returns { columns, filterGroups, filterMatchMode, dedupe, sort, validation, format, outputEncoding, split, missing }
+// in the export job format (see runExport); missing lists the preset's columns the file
+// doesn't have - filter rules on those are dropped.
+function resolvePreset(preset, headers) {
+    preset = migratePreset(preset);
+    const missing = [];
+    const lookup = (header, aliases) => {
+        const index = findHeaderIndex(headers, header, aliases);
+        if (index === -1 && !missing.includes(header)) missing.push(header);
+        return index;
+    };
+    // Aliases recorded on the preset's columns help the filter, dedupe, sort and split references too
+    const aliasesOf = header => {
+        const column = preset.columns.find(column => column.header === header);
+        return column ? column.aliases : [];
+    };
+    
+    const columns = [];
+    preset.columns.forEach(column => {
+        const transforms = (column.transforms || []).map(step => Object.assign({}, step));
+        if (column.template !== undefined) {
+            columns.push({ name: column.name, template: column.template, transforms });
+            return;
+        }
+        const index = lookup(column.header, column.aliases);
+        if (index !== -1) {
+            columns.push({ name: column.name || column.header, source: index, transforms });
+        }
+    });
+    
+    const filters = preset.filters || { matchMode: 'all', groups: [] };
+    const filterGroups = filters.groups.map(group => ({
+        mode: group.mode,
+        rules: group.rules
+            .map(rule => ({ column: lookup(rule.column, aliasesOf(rule.column)), operator: rule.operator, value: rule.value }))
+            .filter(rule => rule.column !== -1)
+    }));
+    
+    let dedupe = null;
+    if (preset.dedupe) {
+        const dedupeColumns = preset.dedupe.columns.map(header => lookup(header, aliasesOf(header))).filter(index => index !== -1);
+        if (dedupeColumns.length > 0) dedupe = { columns: dedupeColumns, keep: preset.dedupe.keep };
+    }
+    
+    let sort = null;
+    if (preset.sort) {
+        const sortKeys = preset.sort.keys
+            .map(key => Object.assign({}, key, { column: lookup(key.column, aliasesOf(key.column)) }))
+            .filter(key => key.column !== -1);
+        if (sortKeys.length > 0) sort = { keys: sortKeys };
+    }
+    
+    let split = preset.split ? Object.assign({}, preset.split) : null;
+    if (split && split.mode === 'column') {
+        split.column = lookup(split.column, aliasesOf(split.column));
+        if (split.column === -1) split = null;
+    }
+    
+    return {
+        columns,
+        filterGroups,
+        filterMatchMode: filters.matchMode,
+        dedupe,
+        sort,
+        validation: copyValidation(preset.validation),
+        format: preset.format,
+        outputEncoding: preset.outputEncoding,
+        split,
+        missing
+    };
+}
+
+// Copy of validation settings (see compileValidator), or null for none
+function copyValidation(validation) {
+    if (!validation) return null;
+    return {
+        schema: validation.schema || null,
+        rules: (validation.rules || []).map(rule => Object.assign({}, rule)),
+        rejectedFile: !!validation.rejectedFile
+    };
+}
+
+// Build a preset from export job settings, storing columns by header name so it works on
+// other files. When it replaces an earlier version of the preset, the aliases (and the old
+// header name, if the column now matched under another one) are carried over.
+function createPreset(name, settings, headers, previous) {
+    const aliasesFor = header => {
+        if (!previous) return [];
+        const old = previous.columns.find(column =>
+            column.header !== undefined && findHeaderIndex([header], column.header, column.aliases) === 0);
+        if (!old) return [];
+        return old.aliases.concat(old.header)
+            .filter((alias, index, list) => normalizeHeaderName(alias) !== normalizeHeaderName(header) && list.indexOf(alias) === index);
+    };
+    
+    const split = settings.split ? Object.assign({}, settings.split) : null;
+    if (split && split.mode === 'column') split.column = headers[split.column];
+    
+    return {
+        version: PRESET_VERSION,
+        name,
+        columns: settings.columns.map(column => {
+            const transforms = (column.transforms || []).map(step => Object.assign({}, step));
+            return column.template !== undefined
+                ? { name: column.name, template: column.template, transforms }
+                : { header: headers[column.source], aliases: aliasesFor(headers[column.source]), name: column.name, transforms };
+        }),
+        filters: {
+            matchMode: settings.filterMatchMode || 'all',
+            groups: (settings.filterGroups || []).map(group => ({
+                mode: group.mode,
+                rules: group.rules.map(rule => ({ column: headers[rule.column], operator: rule.operator, value: rule.value }))
+            }))
+        },
+        dedupe: settings.dedupe
+            ? { columns: settings.dedupe.columns.map(index => headers[index]), keep: settings.dedupe.keep }
+            : null,
+        sort: settings.sort
+            ? { keys: settings.sort.keys.map(key => Object.assign({}, key, { column: headers[key.column] })) }
+            : null,
+        validation: copyValidation(settings.validation),
+        format: settings.format || null,
+        outputEncoding: settings.outputEncoding || null,
+        split,
+        filePattern: settings.filePattern || null
+    };
+}
+
+// Minimum score (see scorePreset) for a preset to be suggested for a file
+const PRESET_SUGGEST_THRESHOLD = 0.6;
+
+// Pattern matching other files from the same feed: runs of digits (dates, sequence
+// numbers) become wildcards, e.g. "supplier_20240131.csv" -> "supplier_*.csv"
+function fileNamePattern(fileName) {
+    return fileName.replace(/\d+/g, '*').replace(/\*+/g, '*');
+}
+
+// Match a file name against a pattern where * stands for any text and ? for one character
+function matchesFilePattern(pattern, fileName) {
+    const source = pattern.split('').map(char => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+    return new RegExp('^' + source + '$', 'i').test(fileName);
+}
+
+// Score how well a preset fits a file: the share of its source columns found in the headers.
+// When the preset has a file name pattern, matching it is worth a fifth of the score.
+// Returns { score, matched, total, missing, nameMatches } with score between 0 and 1.
+function scorePreset(preset, headers, fileName) {
+    preset = migratePreset(preset);
+    const sources = preset.columns.filter(column => column.header !== undefined);
+    const matched = sources.filter(column => findHeaderIndex(headers, column.header, column.aliases) !== -1).length;
+    const headerScore = sources.length > 0 ? matched / sources.length : 0;
+    const nameMatches = !!preset.filePattern && !!fileName && matchesFilePattern(preset.filePattern, fileName);
+    
+    return {
+        score: preset.filePattern ? headerScore * 0.8 + (nameMatches ? 0.2 : 0) : headerScore,
+        matched,
+        total: sources.length,
+        missing: resolvePreset(preset, headers).missing,
+        nameMatches
+    };
+}
+
+// Score every preset against a file. Returns { scores, best } where best is the index of
+// the preset to suggest (highest score, then most matched columns), or -1 if none is close enough.
+function suggestPreset(presets, headers, fileName) {
+    const scores = presets.map(preset => scorePreset(preset, headers, fileName));
+    let best = -1;
+    scores.forEach((score, index) => {
+        if (score.score < PRESET_SUGGEST_THRESHOLD) return;
+        if (best === -1 || score.score > scores[best].score ||
+            (score.score === scores[best].score && score.matched > scores[best].matched)) {
+            best = index;
+        }
+    });
+    return { scores, best };
+}
+
+// Read presets from an exported JSON file: { version, presets: [...] }, a bare list, or a single preset
+function parsePresetFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Preset file is not valid JSON');
+    }
+    const list = Array.isArray(data) ? data : Array.isArray(data.presets) ? data.presets : [data];
+    return list.map(migratePreset);
+}
+
+// Portable JSON for a list of presets
+function serializePresets(presets) {
+    return JSON.stringify({ version: PRESET_VERSION, presets }, null, 2);
+}
+
+// Compile a single filter rule into a predicate over a row of values
+function compileFilterRule(rule) {
+    const expected = String(rule.value || '');
+    const expectedLower = expected.toLowerCase();
+    const columnIndex = rule.column;
+    const getValue = values => String(values[columnIndex] || '');
+    
+    // Compare numerically when both sides are numbers, otherwise as text
+    const compare = (actual) => {
+        const a = parseFloat(actual);
+        const b = parseFloat(expected);
+        if (!isNaN(a) && !isNaN(b) && isFinite(actual) && isFinite(expected)) {
+            return a - b;
+        }
+        return actual.localeCompare(expected);
+    };
+    
+    switch (rule.operator) {
+        case 'equals':
+            return values => getValue(values).toLowerCase() === expectedLower;
+        case 'notEquals':
+            return values => getValue(values).toLowerCase() !== expectedLower;
+        case 'contains':
+            return values => getValue(values).toLowerCase().includes(expectedLower);
+        case 'notContains':
+            return values => !getValue(values).toLowerCase().includes(expectedLower);
+        case 'regex': {
+            let regex;
+            try {
+                regex = new RegExp(expected, 'i');
+            } catch (e) {
+                throw new Error(`Invalid regular expression in filter: ${expected}`);
+            }
+            return values => regex.test(getValue(values));
+        }
+        case 'greaterThan':
+            return values => getValue(values).trim() !== '' && compare(getValue(values).trim()) > 0;
+        case 'lessThan':
+            return values => getValue(values).trim() !== '' && compare(getValue(values).trim()) < 0;
+        case 'empty':
+            return values => getValue(values).trim() === '';
+        case 'notEmpty':
+            return values => getValue(values).trim() !== '';
+        case 'inList': {
+            const list = new Set(expected.split(',').map(item => item.trim().toLowerCase()));
+            return values => list.has(getValue(values).trim().toLowerCase());
+        }
+        default:
+            throw new Error(`Unknown filter operator: ${rule.operator}`);
+    }
+}
+
+// Compile all filter groups into a single row predicate (null when there are no rules)
+function compileRowFilter(groups, matchMode) {
+    const compiledGroups = groups
+        .filter(group => group.rules.length > 0)
+        .map(group => {
+            const rules = group.rules.map(compileFilterRule);
+            return group.mode === 'any'
+                ? values => rules.some(rule => rule(values))
+                : values => rules.every(rule => rule(values));
+        });
+    
+    if (compiledGroups.length === 0) return null;
+    
+    return matchMode === 'any'
+        ? values => compiledGroups.some(group => group(values))
+        : values => compiledGroups.every(group => group(values));
+}
+
+// Compile a computed column template such as "{brand} - {title}" into a row function.
+// Text outside braces is copied as-is, so a template without placeholders is a constant.
+function compileTemplate(template, headers) {
+    const parts = [];
+    const placeholder = /\{([^{}]+)\}/g;
+    let lastIndex = 0;
+    let match;
+    
+    while ((match = placeholder.exec(template)) !== null) {
+        parts.push(template.slice(lastIndex, match.index));
+        
+        let index = headers.indexOf(match[1]);
+        if (index === -1) {
+            index = headers.findIndex(header => header.trim() === match[1].trim());
+        }
+        if (index === -1) {
+            throw new Error(`Unknown column "${match[1]}" in template "${template}"`);
+        }
+        
+        parts.push(index);
+        lastIndex = placeholder.lastIndex;
+    }
+    parts.push(template.slice(lastIndex));
+    
+    return values => parts.map(part => typeof part === 'number' ? (values[part] || '') : part).join('');
+}
+
+// Named HTML entities decoded when stripping HTML
+const HTML_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    euro: '€', pound: '£', copy: '©', reg: '®', trade: '™', deg: '°', hellip: '…',
+    ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”'
+};
+
+// Remove HTML tags and decode entities; line-breaking tags become spaces
+function stripHTML(value) {
+    return value
+        .replace(/<(br|\/p|\/div|\/li|\/h[1-6])\b[^>]*>/gi, ' ')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+            }
+            const decoded = HTML_ENTITIES[name.toLowerCase()];
+            return decoded !== undefined ? decoded : entity;
+        });
+}
+
+// Reformat a date as ISO 8601 (YYYY-MM-DD, plus THH:MM:SS when it has a time).
+// order ('dmy' or 'mdy') settles dates like 03/04/2024; values that aren't dates are left alone.
+function toISODate(value, order) {
+    const text = value.trim();
+    if (text === '') return value;
+    
+    const pad = number => String(number).padStart(2, '0');
+    const format = (year, month, day, hours, minutes, seconds) => {
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+        let result = `${String(year).padStart(4, '0')}-${pad(month)}-${pad(day)}`;
+        if (hours !== undefined) {
+            if (hours > 23 || minutes > 59 || seconds > 59) return null;
+            result += `T${pad(hours)}:${pad(minutes)}:${pad(seconds || 0)}`;
+        }
+        return result;
+    };
+    const time = '(?:[ T](\\d{1,2}):(\\d{2})(?::(\\d{2}))?)?';
+    const toNumbers = match => match.slice(1).map(part => part === undefined ? undefined : parseInt(part, 10));
+    
+    let match = new RegExp(`^(\\d{4})[-/.](\\d{1,2})[-/.](\\d{1,2})${time}$`).exec(text);
+    if (match) {
+        const [year, month, day, hours, minutes, seconds] = toNumbers(match);
+        return format(year, month, day, hours, minutes, seconds) || value;
+    }
+    
+    match = new RegExp(`^(\\d{1,2})[-/.](\\d{1,2})[-/.](\\d{2}|\\d{4})${time}$`).exec(text);
+    if (match) {
+        const [first, second, rawYear, hours, minutes, seconds] = toNumbers(match);
+        const year = match[3].length === 2 ? (rawYear < 50 ? 2000 + rawYear : 1900 + rawYear) : rawYear;
+        const [month, day] = order === 'mdy' ? [first, second] : [second, first];
+        return format(year, month, day, hours, minutes, seconds) || value;
+    }
+    
+    match = /^(\d{4})(\d{2})(\d{2})$/.exec(text);
+    if (match) {
+        const [year, month, day] = toNumbers(match);
+        return format(year, month, day) || value;
+    }
+    
+    // Anything else with letters in it (e.g. "5 Jan 2024") - let the browser try
+    if (/[a-z]/i.test(text)) {
+        const date = new Date(text);
+        if (!isNaN(date.getTime())) {
+            const hasTime = /\d:\d/.test(text);
+            return format(date.getFullYear(), date.getMonth() + 1, date.getDate(),
+                hasTime ? date.getHours() : undefined, date.getMinutes(), date.getSeconds()) || value;
+        }
+    }
+    
+    return value;
+}
+
+// Turn a decimal comma into a dot, dropping thousands separators ("1.234,56" -> "1234.56")
+function normalizeDecimalComma(value) {
+    const match = /^(\s*[-+]?)(\d{1,3}(?:[.\s\u00A0']\d{3})+|\d+),(\d+)(\s*)$/.exec(value);
+    if (!match) return value;
+    return match[1] + match[2].replace(/[.\s\u00A0']/g, '') + '.' + match[3] + match[4];
+}
+
+// Value transformations that can be chained per output column.
+// options lists the step settings the editor asks for; create(step) returns value => value.
+const VALUE_TRANSFORMS = {
+    trim: { label: 'Trim whitespace', options: [], create: () => value => value.trim() },
+    upper: { label: 'UPPER CASE', options: [], create: () => value => value.toUpperCase() },
+    lower: { label: 'lower case', options: [], create: () => value => value.toLowerCase() },
+    title: {
+        label: 'Title Case',
+        options: [],
+        create: () => value => value.toLowerCase().replace(/(^|[^\p{L}\p{N}'’])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase())
+    },
+    replace: {
+        label: 'Find & replace (regex)',
+        options: ['find', 'replace', 'ignoreCase'],
+        create(step) {
+            // An empty pattern would match between every character; leave values alone until one is typed
+            if (!step.find) return value => value;
+            let regex;
+            try {
+                regex = new RegExp(step.find, step.ignoreCase ? 'gi' : 'g');
+            } catch (e) {
+                throw new Error(`Invalid regular expression in transform: ${step.find}`);
+            }
+            const replacement = step.replace || '';
+            return value => value.replace(regex, replacement);
+        }
+    },
+    stripHTML: { label: 'Strip HTML', options: [], create: () => stripHTML },
+    isoDate: { label: 'Date to ISO 8601', options: ['order'], create: step => value => toISODate(value, step.order || 'dmy') },
+    decimalComma: { label: 'Decimal comma to dot', options: [], create: () => normalizeDecimalComma }
+};
+
+// Compile a column's transformation steps into one function (null when there are none)
+function compileTransformChain(steps) {
+    if (!steps || steps.length === 0) return null;
+    
+    const functions = steps.map(step => {
+        const transform = VALUE_TRANSFORMS[step.type];
+        if (!transform) throw new Error(`Unknown transform: ${step.type}`);
+        return transform.create(step);
+    });
+    
+    return value => functions.reduce((result, transform) => transform(result), value);
+}
+
+// Compile the output column list into a function mapping a source row to output values.
+// A column's transforms run on its value after the template or source column is read.
+function compileColumnProjection(columns, headers) {
+    const getters = columns.map(column => {
+        let get;
+        if (column.template !== undefined) {
+            get = compileTemplate(column.template, headers);
+        } else {
+            const index = column.source;
+            get = values => values[index] || '';
+        }
+        
+        const transform = compileTransformChain(column.transforms);
+        return transform ? values => transform(get(values)) : get;
+    });
+    
+    return values => getters.map(get => get(values));
+}
+
+// Fit a record to the header length: missing values become empty, extra values are dropped
+function padRow(values, length) {
+    const padded = [];
+    for (let j = 0; j < length; j++) {
+        padded[j] = j < values.length ? values[j] : '';
+    }
+    return padded;
+}
+
+// Read every data row of a file chunk by chunk, with the reader for its type.
+// job: { headers, delimiter, dialect, encoding, reader, sheet, widths, recordsKey } - reader is a
+// key of INPUT_READERS (delimited when left out), sheet, widths and recordsKey are for XLSX,
+// fixed-width and JSON files.
+// handlers.row(values, fieldCount) gets each row padded or truncated to the header count,
+// plus the number of fields actually found. handlers.chunk(percent) runs after each chunk
+// and may return a promise; the next chunk is read once it settles, and reading stops there
+// if it resolves to false. Returns the number of rows read.
+async function readRows(file, job, handlers) {
+    const reader = INPUT_READERS[job.reader || 'delimited'];
+    if (!reader) {
+        throw new Error(`Unknown input type: ${job.reader}`);
+    }
+    return reader.read(file, job, handlers);
+}
+
+// Read a text file in chunks: onText(text, percent) gets each decoded chunk (the first without
+// its BOM) and may return a promise. Returns false if onText stopped the read by resolving to false.
+async function readTextChunks(file, encoding, onText) {
+    const CHUNK_SIZE = 5 * 1024 * 1024; // 5MB chunks for safer processing
+    const decoder = createTextDecoder(encoding);
+    
+    for (let offset = 0; offset < file.size; offset += CHUNK_SIZE) {
+        // Characters split across chunk boundaries are held back by the decoder
+        const end = Math.min(offset + CHUNK_SIZE, file.size);
+        const buffer = await file.slice(offset, end).arrayBuffer();
+        let text = decoder.decode(new Uint8Array(buffer), { stream: end < file.size });
+        if (offset === 0) text = removeBOM(text);
+        
+        if (await onText(text, Math.min(100, Math.round((end / file.size) * 100))) === false) return false;
+    }
+    return true;
+}
+
+// Read the rows of a delimited text file (CSV, TSV and the like)
+async function readDelimitedRows(file, job, handlers) {
+    const { headers, delimiter } = job;
+    const dialect = normalizeDialect(job.dialect);
+    let skipHeader = dialect.hasHeader;
+    let rowCount = 0;
+    
+    const parser = createParser(delimiter, dialect, values => {
+        // The first record holds the column names
+        if (skipHeader) {
+            skipHeader = false;
+            return;
+        }
+        
+        // Validate field count
+        if (debugMode && values.length !== headers.length && rowCount < 10) {
+            console.warn(`Row ${rowCount + 1} has ${values.length} fields, expected ${headers.length}`);
+            console.log('Row data:', values.slice(0, 5).map(v => v.substring(0, 20)));
+        }
+        
+        rowCount++;
+        handlers.row(padRow(values, headers.length), values.length);
+        
+        if (debugMode && rowCount % 100000 === 0) {
+            console.log(`Processed ${rowCount} rows...`);
+        }
+    });
+    
+    // Records split across chunk boundaries are held back by the parser
+    const complete = await readTextChunks(file, job.encoding, (text, percent) => {
+        parser.push(text);
+        return handlers.chunk(percent);
+    });
+    if (complete) parser.end();
+    
+    if (debugMode) console.log('Rows read:', rowCount);
+    
+    return rowCount;
+}
+
+// Split streamed text into lines without their line endings; onLine(line) gets each line
+function createLineSplitter(onLine) {
+    let pending = '';
+    const emit = line => onLine(line.endsWith('\r') ? line.slice(0, -1) : line);
+    
+    return {
+        push(text) {
+            const lines = (pending + text).split('\n');
+            pending = lines.pop();
+            lines.forEach(emit);
+        },
+        end() {
+            if (pending !== '') emit(pending);
+            pending = '';
+        }
+    };
+}
+
+// Split streamed fixed-width text into its data lines, leaving out the preamble
+// (dialect.skipLines), blank lines and comment lines
+function createFixedWidthLineSplitter(dialect, onLine) {
+    let skip = dialect.skipLines;
+    return createLineSplitter(line => {
+        if (skip > 0) {
+            skip--;
+            return;
+        }
+        if (line.trim() === '' || isCommentAt(line, 0, dialect.commentPrefixes)) return;
+        onLine(line);
+    });
+}
+
+// Cut a fixed-width line into trimmed values; columns starting past the end of the line are left out
+function cutFixedWidthLine(line, widths) {
+    const values = [];
+    let start = 0;
+    for (let i = 0; i < widths.length && start < line.length; i++) {
+        values.push(line.substr(start, widths[i]).trim());
+        start += widths[i];
+    }
+    return values;
+}
+
+// Guess fixed column widths from sample lines: a column starts wherever a position that is
+// blank on every line is followed by one that isn't. The last column runs to the end of the
+// longest line.
+function guessFixedWidths(lines) {
+    const length = lines.reduce((longest, line) => Math.max(longest, line.length), 0);
+    if (length === 0) return [];
+    const blank = new Array(length).fill(true);
+    lines.forEach(line => {
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] !== ' ') blank[i] = false;
+        }
+    });
+    
+    const starts = [0];
+    for (let i = 1; i < length; i++) {
+        if (blank[i - 1] && !blank[i]) starts.push(i);
+    }
+    return starts.map((start, index) => (index + 1 < starts.length ? starts[index + 1] : length) - start);
+}
+
+// Parse column widths typed as "10, 25 8" into numbers
+function parseFixedWidths(text) {
+    const widths = String(text).split(/[\s,;]+/).filter(Boolean).map(Number);
+    if (widths.length === 0 || widths.some(width => !Number.isInteger(width) || width <= 0)) {
+        throw new Error('Column widths must be whole numbers above zero, e.g. 10 25 8');
+    }
+    return widths;
+}
+
+// Sniff a fixed-width text file, guessing the column widths unless known.widths gives them
+async function sniffFixedWidthFile(file, bytes, dialect, known) {
+    const isComplete = bytes.length === file.size;
+    const encoding = known.encoding || detectEncoding(bytes);
+    const lines = [];
+    const splitter = createFixedWidthLineSplitter(dialect, line => lines.push(line));
+    splitter.push(removeBOM(createTextDecoder(encoding).decode(bytes, { stream: !isComplete })));
+    if (isComplete) splitter.end();
+    if (lines.length === 0) {
+        throw new Error('No data found in file');
+    }
+    
+    const widths = known.widths || guessFixedWidths(lines.slice(0, 1000));
+    const headers = dialect.hasHeader
+        ? padRow(cutFixedWidthLine(lines[0], widths), widths.length)
+        : widths.map((width, index) => `Column ${index + 1}`);
+    const rows = lines.slice(dialect.hasHeader ? 1 : 0).map(line => padRow(cutFixedWidthLine(line, widths), headers.length));
+    
+    return { encoding, widths, headers, rows };
+}
+
+// Read the rows of a fixed-width text file, cut at job.widths (in characters)
+async function readFixedWidthRows(file, job, handlers) {
+    const dialect = normalizeDialect(job.dialect);
+    let skipHeader = dialect.hasHeader;
+    let rowCount = 0;
+    
+    const splitter = createFixedWidthLineSplitter(dialect, line => {
+        if (skipHeader) {
+            skipHeader = false;
+            return;
+        }
+        const values = cutFixedWidthLine(line, job.widths);
+        rowCount++;
+        handlers.row(padRow(values, job.headers.length), values.length);
+    });
+    
+    const complete = await readTextChunks(file, job.encoding, (text, percent) => {
+        splitter.push(text);
+        return handlers.chunk(percent);
+    });
+    if (complete) splitter.end();
+    
+    return rowCount;
+}
+
+// Flatten a JSON value into columns with dotted names: {"a": {"b": 1}, "tags": ["x"]} gives
+// a.b = "1" and tags.0 = "x". null and empty objects or arrays become empty values, and an
+// element that isn't an object or array goes in a "value" column. Returns a Map in key order.
+function flattenJSONRecord(value) {
+    const record = new Map();
+    const visit = (item, path) => {
+        if (item !== null && typeof item === 'object') {
+            const keys = Object.keys(item);
+            if (keys.length === 0 && path) record.set(path, '');
+            keys.forEach(key => visit(item[key], path ? `${path}.${key}` : key));
+        } else {
+            record.set(path || 'value', item === null ? '' : String(item));
+        }
+    };
+    visit(value, '');
+    return record;
+}
+
+// Parse the JSON text of one record, saying which record is broken if it doesn't parse
+function parseJSONRecord(text, where) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${where}: ${error.message}`);
+    }
+}
+
+// Keys a top-level object commonly wraps its records in ({"products": [...]})
+const JSON_RECORD_KEYS = ['products', 'items', 'entries', 'records', 'results', 'rows', 'data', 'offers', 'listings'];
+
+// Split a streamed JSON document into its records: the elements of the top-level array, or of
+// the array a top-level object wraps them in. That is the array under recordsKey when one is
+// given, otherwise the first array of objects under one of JSON_RECORD_KEYS - other arrays
+// ({"sku": "1", "tags": ["a", "b"]}) are values of a record. A top-level object without such an
+// array is a single record. onRecord gets each parsed element; the splitter's recordsKey is the
+// key the records were found under. Only the element being read is kept in memory, so the
+// document may be far larger than the memory available.
+function createJSONSplitter(onRecord, recordsKey) {
+    let buffered = '';
+    let scanned = 0;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let root = null;
+    let arrayDepth = -1; // Nesting depth of the records array's elements, once it is found
+    let elementStart = -1;
+    let finished = false;
+    let count = 0;
+    
+    // Keys of the top-level object: whether the next string is one, where it starts, the last one
+    let expectKey = false;
+    let keyStart = -1;
+    let key = null;
+    let candidate = false; // A known key's array, taken once its first element shows it holds objects
+    
+    const emit = end => {
+        count++;
+        onRecord(parseJSONRecord(buffered.slice(elementStart, end), `record ${count}`));
+        elementStart = -1;
+    };
+    
+    const splitter = {
+        recordsKey: null,
+        push(text) {
+            if (finished) return;
+            buffered += text;
+            
+            for (let i = scanned; i < buffered.length && !finished; i++) {
+                const c = buffered[i];
+                if (inString) {
+                    if (escaped) escaped = false;
+                    else if (c === '\\') escaped = true;
+                    else if (c === '"') {
+                        inString = false;
+                        if (keyStart !== -1) {
+                            key = parseJSONRecord(buffered.slice(keyStart, i + 1), 'a key');
+                            keyStart = -1;
+                        }
+                    }
+                    continue;
+                }
+                
+                if (candidate && !/\s/.test(c)) {
+                    candidate = false;
+                    if (c === '{' || c === ']') {
+                        arrayDepth = depth;
+                        splitter.recordsKey = key;
+                    }
+                }
+                
+                const startsElement = depth === arrayDepth && elementStart === -1;
+                if (c === '"') {
+                    inString = true;
+                    if (startsElement) elementStart = i;
+                    if (depth === 1 && root === '{' && expectKey && arrayDepth === -1) keyStart = i;
+                } else if (c === '{' || c === '[') {
+                    if (startsElement) elementStart = i;
+                    if (depth === 0) {
+                        root = c;
+                        expectKey = c === '{';
+                        if (c === '[') arrayDepth = 1;
+                    } else if (depth === 1 && root === '{' && c === '[' && arrayDepth === -1) {
+                        if (recordsKey) {
+                            if (key === recordsKey) {
+                                arrayDepth = 2;
+                                splitter.recordsKey = key;
+                            }
+                        } else if (JSON_RECORD_KEYS.includes(String(key).toLowerCase())) {
+                            candidate = true;
+                        }
+                    }
+                    depth++;
+                } else if (c === '}' || c === ']') {
+                    // Closing the records array ends the document as far as records go
+                    if (depth === arrayDepth) {
+                        if (elementStart !== -1) emit(i);
+                        finished = true;
+                    }
+                    depth--;
+                    if (depth === arrayDepth && elementStart !== -1) emit(i + 1);
+                } else if (c === ',') {
+                    if (depth === arrayDepth && elementStart !== -1) emit(i);
+                    if (depth === 1) expectKey = true;
+                } else if (c === ':') {
+                    if (depth === 1) expectKey = false;
+                } else if (startsElement && !/\s/.test(c)) {
+                    elementStart = i;
+                }
+            }
+            
+            // Drop what has been read, except the element in progress; until the records array
+            // turns up the whole document is kept, as it may turn out to be a single record
+            scanned = buffered.length;
+            if (arrayDepth !== -1) {
+                const cut = elementStart === -1 ? buffered.length : elementStart;
+                buffered = buffered.slice(cut);
+                scanned -= cut;
+                if (elementStart !== -1) elementStart -= cut;
+            }
+        },
+        end() {
+            if (finished) return;
+            if (arrayDepth !== -1) {
+                throw new Error('The JSON file ends before its array is closed');
+            }
+            if (root === '{' && recordsKey) {
+                throw new Error(`The JSON file has no "${recordsKey}" array at the top level`);
+            }
+            if (root === '{') {
+                onRecord(parseJSONRecord(buffered, 'record 1'));
+            } else if (buffered.trim() !== '') {
+                throw new Error('The JSON file holds neither an array nor an object');
+            }
+        }
+    };
+    return splitter;
+}
+
+// Whether JSON text is NDJSON (JSON Lines) - a complete value on each line - rather than one document
+function isJSONLines(fileName, text) {
+    if (/\.(ndjson|jsonl)$/i.test(fileName)) return true;
+    const lines = text.split('\n', 50).map(line => line.trim()).filter(Boolean);
+    if (lines.length < 2 || !/^[{[]/.test(lines[1])) return false;
+    try {
+        JSON.parse(lines[0]);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Split streamed JSON or NDJSON text into records; onRecord gets each parsed record.
+// recordsKey picks the array of records in a JSON object (see createJSONSplitter).
+function createJSONRecordSplitter(lines, onRecord, recordsKey) {
+    if (!lines) return createJSONSplitter(onRecord, recordsKey);
+    
+    let lineNumber = 0;
+    return createLineSplitter(line => {
+        lineNumber++;
+        if (line.trim() !== '') onRecord(parseJSONRecord(line, `line ${lineNumber}`));
+    });
+}
+
+// Sniff a JSON or NDJSON file: the columns are every flattened key of the sample records,
+// in the order they first appear. known.recordsKey picks the array of records in a JSON object;
+// the key they were found under is returned as recordsKey.
+async function sniffJSONFile(file, bytes, dialect, known) {
+    const isComplete = bytes.length === file.size;
+    const encoding = known.encoding || detectEncoding(bytes);
+    const text = removeBOM(createTextDecoder(encoding).decode(bytes, { stream: !isComplete }));
+    
+    // A record cut off by the end of the sample is left out
+    const records = [];
+    const splitter = createJSONRecordSplitter(isJSONLines(file.name || '', text), record => {
+        records.push(flattenJSONRecord(record));
+    }, known.recordsKey);
+    splitter.push(text);
+    if (isComplete) splitter.end();
+    
+    const headers = [];
+    const seen = new Set();
+    records.forEach(record => record.forEach((value, key) => {
+        if (!seen.has(key)) {
+            seen.add(key);
+            headers.push(key);
+        }
+    }));
+    const rows = records.map(record => headers.map(header => record.has(header) ? record.get(header) : ''));
+    
+    return { encoding, recordsKey: splitter.recordsKey || null, headers, rows };
+}
+
+// Read the records of a JSON or NDJSON file as rows of their flattened values, from the array
+// under job.recordsKey when a JSON object wraps them. Keys that aren't among the headers (first
+// seen after the sample sniffFile read) are left out.
+async function readJSONRows(file, job, handlers) {
+    let splitter = null;
+    let rowCount = 0;
+    const emit = record => {
+        const flat = flattenJSONRecord(record);
+        rowCount++;
+        handlers.row(job.headers.map(header => flat.has(header) ? flat.get(header) : ''), job.headers.length);
+    };
+    
+    const complete = await readTextChunks(file, job.encoding, (text, percent) => {
+        // The first chunk shows whether this is NDJSON
+        if (!splitter) splitter = createJSONRecordSplitter(isJSONLines(file.name || '', text), emit, job.recordsKey);
+        splitter.push(text);
+        return handlers.chunk(percent);
+    });
+    if (complete && splitter) splitter.end();
+    
+    return rowCount;
+}
+
+// Decode the entities of XML text, and the _xHHHH_ escapes Excel uses for control characters
+function decodeXMLText(text) {
+    return text
+        .replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (entity, name) => {
+            if (name[0] !== '#') return HTML_ENTITIES[name.toLowerCase()];
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+        })
+        .replace(/_x([0-9A-Fa-f]{4})_/g, (escape, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+// Attributes of an XML start tag as an object of decoded values
+function parseXMLAttributes(tag) {
+    const attributes = {};
+    for (const match of tag.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes[match[1]] = decodeXMLText(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attributes;
+}
+
+// Text of an XLSX string item: its <t> elements joined, leaving out phonetic (ruby) runs
+function readXMLText(xml) {
+    let text = '';
+    for (const match of xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t\b[^>]*?(?:\/>|>([\s\S]*?)<\/t>)/g)) {
+        text += decodeXMLText(match[1] || '');
+    }
+    return text;
+}
+
+// Find the entries of a ZIP archive from its central directory: name -> { offset,
+// compressedSize, method }. ZIP64 archives (over 4 GB) are not supported.
+async function readZipDirectory(file) {
+    const tailSize = Math.min(file.size, 65536 + 22);
+    const tail = new DataView(await file.slice(file.size - tailSize).arrayBuffer());
+    let directoryEnd = -1;
+    for (let i = tailSize - 22; i >= 0; i--) {
+        if (tail.getUint32(i, true) === 0x06054B50) {
+            directoryEnd = i;
+            break;
+        }
+    }
+    if (directoryEnd === -1) {
+        throw new Error('Not an XLSX file (no ZIP directory found)');
+    }
+    
+    const count = tail.getUint16(directoryEnd + 10, true);
+    const size = tail.getUint32(directoryEnd + 12, true);
+    const start = tail.getUint32(directoryEnd + 16, true);
+    if (count === 0xFFFF || start === 0xFFFFFFFF) {
+        throw new Error('XLSX files over 4 GB are not supported');
+    }
+    
+    const directory = new DataView(await file.slice(start, start + size).arrayBuffer());
+    const decoder = new TextDecoder();
+    const entries = {};
+    let position = 0;
+    for (let i = 0; i < count; i++) {
+        if (position + 46 > directory.byteLength || directory.getUint32(position, true) !== 0x02014B50) {
+            throw new Error('Damaged XLSX file (bad ZIP directory)');
+        }
+        const nameLength = directory.getUint16(position + 28, true);
+        const name = decoder.decode(new Uint8Array(directory.buffer, position + 46, nameLength));
+        entries[name] = {
+            method: directory.getUint16(position + 10, true),
+            compressedSize: directory.getUint32(position + 20, true),
+            offset: directory.getUint32(position + 42, true)
+        };
+        position += 46 + nameLength + directory.getUint16(position + 30, true) + directory.getUint16(position + 32, true);
+    }
+    return entries;
+}
+
+// Stream the text of a ZIP entry, stored or deflated: onText(text, bytesRead) gets about a
+// megabyte at a time, with the compressed bytes read so far, and may return a promise.
+// Returns false if onText stopped the read by resolving to false.
+async function readZipEntryText(file, entry, onText) {
+    const PIECE_SIZE = 1024 * 1024;
+    if (entry.method !== 0 && entry.method !== 8) {
+        throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+    }
+    const header = new DataView(await file.slice(entry.offset, entry.offset + 30).arrayBuffer());
+    if (header.byteLength < 30 || header.getUint32(0, true) !== 0x04034B50) {
+        throw new Error('Damaged XLSX file (bad ZIP entry)');
+    }
+    const start = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+    
+    let bytesRead = 0;
+    let stream = file.slice(start, start + entry.compressedSize).stream().pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+            bytesRead += chunk.length;
+            controller.enqueue(chunk);
+        }
+    }));
+    if (entry.method === 8) stream = stream.pipeThrough(new DecompressionStream('deflate-raw'));
+    const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+    
+    let pending = '';
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (!done) pending += value;
+        if (pending.length >= PIECE_SIZE || (done && pending !== '')) {
+            const text = pending;
+            pending = '';
+            if (await onText(text, bytesRead) === false) {
+                await reader.cancel();
+                return false;
+            }
+        }
+        if (done) return true;
+    }
+}
+
+// Position of the next <tag> element in xml from position from, or -1
+function findXMLElement(xml, tag, from) {
+    for (let i = xml.indexOf('<' + tag, from); i !== -1; i = xml.indexOf('<' + tag, i + 1)) {
+        const next = xml[i + tag.length + 1];
+        if (next === undefined || next === '>' || next === '/' || /\s/.test(next)) return i;
+    }
+    return -1;
+}
+
+// Stream the <tag> elements of a ZIP entry's XML: onElement(xml) gets each element and may
+// return false to stop; onPiece(bytesRead) runs after each piece of text and may return a
+// promise, stopping the read if it resolves to false. Elements must not nest.
+async function readXMLElements(file, entry, tag, onElement, onPiece) {
+    const close = `</${tag}>`;
+    let buffered = '';
+    
+    return readZipEntryText(file, entry, (text, bytesRead) => {
+        buffered += text;
+        let position = 0;
+        for (;;) {
+            const start = findXMLElement(buffered, tag, position);
+            if (start === -1) {
+                // Keep what may be the start of a tag cut off by the end of the piece
+                position = Math.max(position, buffered.length - tag.length - 1);
+                break;
+            }
+            const openEnd = buffered.indexOf('>', start);
+            if (openEnd === -1) {
+                position = start;
+                break;
+            }
+            let end = openEnd + 1;
+            if (buffered[openEnd - 1] !== '/') {
+                const closeStart = buffered.indexOf(close, openEnd);
+                if (closeStart === -1) {
+                    position = start;
+                    break;
+                }
+                end = closeStart + close.length;
+            }
+            
+            position = end;
+            if (onElement(buffered.slice(start, end)) === false) return false;
+        }
+        buffered = buffered.slice(position);
+        return onPiece ? onPiece(bytesRead) : undefined;
+    });
+}
+
+// Built-in XLSX number formats that show dates or times
+const XLSX_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+// Whether a number format shows a date or time: a built-in date format, or a custom one with
+// day, month, year or hour codes outside quoted text and [colour] or [h] sections
+function isDateFormat(id, code) {
+    if (XLSX_DATE_FORMATS.has(id)) return true;
+    return !!code && /[dmyh]/i.test(code.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, ''));
+}
+
+// Turn an Excel date serial into ISO 8601 text: YYYY-MM-DD, plus THH:MM:SS when it has a time,
+// or just HH:MM:SS for a time of day
+function excelSerialToISO(serial, date1904) {
+    const days = serial + (date1904 ? 1462 : 0);
+    const date = new Date(Date.UTC(1899, 11, 30) + Math.round(days * 86400) * 1000);
+    if (!Number.isFinite(serial) || isNaN(date.getTime())) return String(serial);
+    
+    const iso = date.toISOString();
+    if (serial < 1) return iso.slice(11, 19);
+    if (Number.isInteger(serial)) return iso.slice(0, 10);
+    return iso.slice(0, 19);
+}
+
+// Open an XLSX workbook: its sheets ({ name, path }), shared strings, the cell styles that show
+// dates and the date system. Shared strings are held in memory; sheet rows are streamed later.
+async function loadWorkbook(file) {
+    const entries = await readZipDirectory(file);
+    const readEntry = async name => {
+        if (!entries[name]) return null;
+        let text = '';
+        await readZipEntryText(file, entries[name], piece => {
+            text += piece;
+        });
+        return text;
+    };
+    
+    const workbookXML = await readEntry('xl/workbook.xml');
+    if (workbookXML === null) {
+        throw new Error('Not an XLSX workbook (xl/workbook.xml is missing)');
+    }
+    
+    // Sheets point at their part through the workbook's relationships
+    const targets = {};
+    const relationships = await readEntry('xl/_rels/workbook.xml.rels') || '';
+    for (const match of relationships.matchAll(/<Relationship\b[^>]*>/g)) {
+        const attributes = parseXMLAttributes(match[0]);
+        const target = attributes.Target || '';
+        targets[attributes.Id] = target.startsWith('/') ? target.slice(1) : 'xl/' + target;
+    }
+    const sheets = [];
+    for (const match of workbookXML.matchAll(/<sheet\b[^>]*>/g)) {
+        const attributes = parseXMLAttributes(match[0]);
+        const idName = Object.keys(attributes).find(name => /:id$/.test(name));
+        const path = targets[attributes[idName]];
+        if (path && entries[path]) sheets.push({ name: attributes.name, path });
+    }
+    if (sheets.length === 0) {
+        throw new Error('The workbook has no worksheets');
+    }
+    
+    const sharedStrings = [];
+    if (entries['xl/sharedStrings.xml']) {
+        await readXMLElements(file, entries['xl/sharedStrings.xml'], 'si', si => {
+            sharedStrings.push(readXMLText(si));
+        });
+    }
+    
+    // Numbers are dates when their cell style (an index into cellXfs) has a date format
+    const dateStyles = new Set();
+    const stylesXML = await readEntry('xl/styles.xml');
+    if (stylesXML) {
+        const formatCodes = {};
+        for (const match of stylesXML.matchAll(/<numFmt\b[^>]*>/g)) {
+            const attributes = parseXMLAttributes(match[0]);
+            formatCodes[attributes.numFmtId] = attributes.formatCode;
+        }
+        const cellStyles = (stylesXML.match(/<cellXfs\b[\s\S]*?<\/cellXfs>/) || [''])[0];
+        Array.from(cellStyles.matchAll(/<xf\b[^>]*>/g)).forEach((match, index) => {
+            const formatId = Number(parseXMLAttributes(match[0]).numFmtId || 0);
+            if (isDateFormat(formatId, formatCodes[formatId])) dateStyles.add(index);
+        });
+    }
+    
+    const date1904 = /<workbookPr\b[^>]*\bdate1904="(1|true)"/.test(workbookXML);
+    return { entries, sheets, sharedStrings, dateStyles, date1904 };
+}
+
+// The sheet called name, or the first sheet when no name is given
+function findWorkbookSheet(workbook, name) {
+    if (!name) return workbook.sheets[0];
+    const sheet = workbook.sheets.find(sheet => sheet.name === name);
+    if (!sheet) {
+        throw new Error(`No sheet named "${name}" (the workbook has ${workbook.sheets.map(sheet => sheet.name).join(', ')})`);
+    }
+    return sheet;
+}
+
+// Column number (0-based) of a cell reference like "AB12"
+function cellColumnIndex(reference) {
+    let index = 0;
+    for (let i = 0; i < reference.length; i++) {
+        const code = reference.charCodeAt(i);
+        if (code < 65 || code > 90) break;
+        index = index * 26 + code - 64;
+    }
+    return index - 1;
+}
+
+// Values of a sheet row's cells as text, placed by their references (skipped cells are empty).
+// Dates become ISO 8601 and booleans TRUE or FALSE; formulas give their cached result.
+function readXLSXRowValues(rowXML, workbook) {
+    const values = [];
+    for (const match of rowXML.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const attributes = parseXMLAttributes(match[1]);
+        const content = match[2] || '';
+        const stored = content.match(/<v\b[^>]*>([\s\S]*?)<\/v>/);
+        const value = stored ? decodeXMLText(stored[1]) : '';
+        
+        let text = value;
+        if (attributes.t === 's') {
+            text = value === '' ? '' : workbook.sharedStrings[Number(value)] || '';
+        } else if (attributes.t === 'inlineStr') {
+            text = readXMLText(content);
+        } else if (attributes.t === 'b') {
+            text = value === '1' ? 'TRUE' : value === '0' ? 'FALSE' : value;
+        } else if ((!attributes.t || attributes.t === 'n') && value !== '' && workbook.dateStyles.has(Number(attributes.s || 0))) {
+            text = excelSerialToISO(Number(value), workbook.date1904);
+        }
+        
+        const index = attributes.r ? cellColumnIndex(attributes.r) : values.length;
+        while (values.length < index) values.push('');
+        values[index] = text;
+    }
+    return values;
+}
+
+// Stream the rows of a sheet: onRow(values) gets each row with a value in any cell - rows
+// numbered up to skipLines are left out - and may return false to stop. onPiece is that of
+// readXMLElements.
+async function readXLSXSheetRows(file, workbook, sheet, skipLines, onRow, onPiece) {
+    let rowNumber = 0;
+    return readXMLElements(file, workbook.entries[sheet.path], 'row', rowXML => {
+        const attributes = parseXMLAttributes(rowXML.slice(0, rowXML.indexOf('>')));
+        rowNumber = attributes.r ? Number(attributes.r) : rowNumber + 1;
+        if (rowNumber <= skipLines) return undefined;
+        
+        const values = readXLSXRowValues(rowXML, workbook);
+        return values.some(value => value !== '') ? onRow(values) : undefined;
+    }, onPiece);
+}
+
+// Rows of a sheet sniffFile looks at
+const XLSX_SAMPLE_ROWS = 1000;
+
+// Sniff an XLSX workbook: the sheet to read (known.sheet, or the first) and its columns
+async function sniffXLSXFile(file, bytes, dialect, known) {
+    const workbook = await loadWorkbook(file);
+    const sheet = findWorkbookSheet(workbook, known.sheet);
+    const records = [];
+    await readXLSXSheetRows(file, workbook, sheet, dialect.skipLines, values => {
+        records.push(values);
+        return records.length < XLSX_SAMPLE_ROWS;
+    });
+    if (records.length === 0) {
+        throw new Error(`Sheet "${sheet.name}" is empty`);
+    }
+    
+    const width = records.reduce((widest, record) => Math.max(widest, record.length), 0);
+    const headers = dialect.hasHeader
+        ? records[0]
+        : Array.from({ length: width }, (value, index) => `Column ${index + 1}`);
+    const rows = records.slice(dialect.hasHeader ? 1 : 0).map(record => padRow(record, headers.length));
+    
+    return { encoding: 'utf-8', sheet: sheet.name, sheets: workbook.sheets.map(sheet => sheet.name), headers, rows };
+}
+
+// Read the rows of a sheet of an XLSX workbook (job.sheet, or the first)
+async function readXLSXRows(file, job, handlers) {
+    const dialect = normalizeDialect(job.dialect);
+    const workbook = await loadWorkbook(file);
+    const sheet = findWorkbookSheet(workbook, job.sheet);
+    const size = workbook.entries[sheet.path].compressedSize;
+    let skipHeader = dialect.hasHeader;
+    let rowCount = 0;
+    
+    await readXLSXSheetRows(file, workbook, sheet, dialect.skipLines, values => {
+        if (skipHeader) {
+            skipHeader = false;
+            return;
+        }
+        rowCount++;
+        handlers.row(padRow(values, job.headers.length), values.length);
+    }, bytesRead => handlers.chunk(size > 0 ? Math.min(100, Math.round((bytesRead / size) * 100)) : 100));
+    
+    return rowCount;
+}
+
+// Readers for each kind of input file. sniff(file, bytes, dialect, known) works out the columns
+// from the start of a file (bytes is its first megabyte) as sniffFile describes, and
+// read(file, job, handlers) streams its rows as readRows describes.
+const INPUT_READERS = {
+    delimited: { label: 'Delimited text (CSV, TSV...)', sniff: sniffDelimitedFile, read: readDelimitedRows },
+    fixedWidth: { label: 'Fixed width', sniff: sniffFixedWidthFile, read: readFixedWidthRows },
+    json: { label: 'JSON / NDJSON', sniff: sniffJSONFile, read: readJSONRows },
+    xlsx: { label: 'Excel workbook (XLSX)', sniff: sniffXLSXFile, read: readXLSXRows }
+};
+
+// Data rows between two checkpoints of the row index
+const ROW_INDEX_INTERVAL = 1000;
+
+// Most row numbers a search returns
+const MAX_SEARCH_MATCHES = 1000;
+
+// Length of the byte order mark at the start of a file, if it has one for its encoding
+function bomLength(bytes, encoding) {
+    if (encoding === 'utf-8' && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 3;
+    if (encoding === 'utf-16le' && bytes[0] === 0xFF && bytes[1] === 0xFE) return 2;
+    if (encoding === 'utf-16be' && bytes[0] === 0xFE && bytes[1] === 0xFF) return 2;
+    return 0;
+}
+
+// Read the whole file once and note the byte offset where every ROW_INDEX_INTERVAL-th data row
+// starts, so any window of rows can be read later without going through the file from the top.
+// Returns { rowCount, checkpoints }: checkpoints[k] is where row k * ROW_INDEX_INTERVAL starts.
+// checkpoints[0] is the start of the file (read with the header and preamble); the others sit on
+// a row boundary. Byte offsets come from re-encoding the decoded text, exact for valid input.
+// Only delimited text can be read from the middle: other files just get their rows counted.
+async function buildRowIndex(file, job, progress) {
+    if ((job.reader || 'delimited') !== 'delimited') {
+        let rowCount = 0;
+        await readRows(file, job, {
+            row() {
+                rowCount++;
+            },
+            chunk(percent) {
+                progress({ percent, rows: rowCount });
+            }
+        });
+        return { rowCount, checkpoints: [0] };
+    }
+    
+    const dialect = normalizeDialect(job.dialect);
+    const CHUNK_SIZE = 5 * 1024 * 1024;
+    const decoder = createTextDecoder(job.encoding);
+    const checkpoints = [0];
+    const found = []; // Checkpoint positions (in characters) not yet turned into byte offsets
+    let skipHeader = dialect.hasHeader;
+    let rowCount = 0;
+    let lastEnd = 0;
+    
+    // Text from the cursor onwards and the cursor's byte offset; characters before the
+    // cursor are counted once and dropped
+    let buffered = '';
+    let cursor = 0;
+    let cursorBytes = 0;
+    const advance = position => {
+        cursorBytes += encodedLength(buffered.slice(0, position - cursor), job.encoding);
+        buffered = buffered.slice(position - cursor);
+        cursor = position;
+        return cursorBytes;
+    };
+    
+    const parser = createParser(job.delimiter, dialect, (values, end) => {
+        if (skipHeader) {
+            skipHeader = false;
+        } else if (++rowCount % ROW_INDEX_INTERVAL === 0) {
+            found.push(end);
+        }
+        lastEnd = end;
+    });
+    
+    for (let offset = 0; offset < file.size; offset += CHUNK_SIZE) {
+        const end = Math.min(offset + CHUNK_SIZE, file.size);
+        const bytes = new Uint8Array(await file.slice(offset, end).arrayBuffer());
+        let text = decoder.decode(bytes, { stream: end < file.size });
+        if (offset === 0) {
+            cursorBytes = bomLength(bytes, job.encoding);
+            text = removeBOM(text);
+        }
+        buffered += text;
+        parser.push(text);
+        
+        found.splice(0).forEach(position => checkpoints.push(advance(position)));
+        advance(lastEnd);
+        progress({ percent: Math.min(100, Math.round((end / file.size) * 100)), rows: rowCount });
+    }
+    parser.end();
+    
+    // A checkpoint right after the last row points at the end of the file
+    checkpoints.length = Math.max(1, Math.min(checkpoints.length, Math.ceil(rowCount / ROW_INDEX_INTERVAL)));
+    return { rowCount, checkpoints };
+}
+
+// Read up to count data rows from row number start (0-based) using an index from buildRowIndex.
+// Rows are padded to the header length like readRows; only the bytes needed are read.
+// Files other than delimited text are read from the top, stopping once the window is full.
+async function readRowWindow(file, job, index, start, count) {
+    if ((job.reader || 'delimited') !== 'delimited') {
+        const rows = [];
+        let row = 0;
+        await readRows(file, job, {
+            row(values) {
+                if (row++ >= start && rows.length < count) rows.push(values);
+            },
+            chunk() {
+                return rows.length < count;
+            }
+        });
+        return rows;
+    }
+    
+    const CHUNK_SIZE = 1024 * 1024;
+    const checkpoint = Math.min(Math.floor(start / ROW_INDEX_INTERVAL), index.checkpoints.length - 1);
+    
+    // Only the first checkpoint has a header and preamble in front of it
+    const dialect = checkpoint === 0
+        ? normalizeDialect(job.dialect)
+        : normalizeDialect(Object.assign({}, job.dialect, { hasHeader: false, skipLines: 0 }));
+    const decoder = createTextDecoder(job.encoding);
+    const rows = [];
+    let skipHeader = dialect.hasHeader;
+    let skip = start - checkpoint * ROW_INDEX_INTERVAL;
+    
+    const parser = createParser(job.delimiter, dialect, values => {
+        if (skipHeader) {
+            skipHeader = false;
+        } else if (skip > 0) {
+            skip--;
+        } else if (rows.length < count) {
+            rows.push(padRow(values, job.headers.length));
+        }
+    });
+    
+    let offset = index.checkpoints[checkpoint];
+    while (offset < file.size && rows.length < count) {
+        const end = Math.min(offset + CHUNK_SIZE, file.size);
+        const bytes = new Uint8Array(await file.slice(offset, end).arrayBuffer());
+        let text = decoder.decode(bytes, { stream: end < file.size });
+        if (offset === 0) text = removeBOM(text);
+        parser.push(text);
+        offset = end;
+    }
+    if (offset >= file.size) parser.end();
+    
+    return rows;
+}
+
+// Find the data rows that contain job.query in any column, ignoring case.
+// Returns { matches, total, rows }: the first MAX_SEARCH_MATCHES row numbers (0-based),
+// how many rows matched and how many were searched.
+async function searchFile(file, job, progress) {
+    const query = String(job.query || '').toLowerCase();
+    const matches = [];
+    let total = 0;
+    let rows = 0;
+    
+    await readRows(file, job, {
+        row(values) {
+            if (values.some(value => value.toLowerCase().includes(query))) {
+                total++;
+                if (matches.length < MAX_SEARCH_MATCHES) matches.push(rows);
+            }
+            rows++;
+        },
+        chunk(percent) {
+            progress({ percent, rows });
+        }
+    });
+    
+    return { matches, total, rows };
+}
+
+// Match the headers of a file being appended to the main headers: exact names first, then
+// ignoring case and surrounding spaces. Returns, for each main header, the index of the
+// appended file's column that fills it, or -1.
+function matchAppendHeaders(headers, otherHeaders) {
+    const normalize = header => header.trim().toLowerCase();
+    return headers.map(header => {
+        const exact = otherHeaders.indexOf(header);
+        if (exact !== -1) return exact;
+        return otherHeaders.findIndex(other => normalize(other) === normalize(header));
+    });
+}
+
+// Headers of an export job's rows: the main file's, then the columns added from a lookup join
+// (suffixed with "(lookup)" when the main file already has a column of that name)
+function getJobHeaders(job) {
+    if (!job.join) return job.headers;
+    const added = job.join.columns.map(index => {
+        const name = job.join.headers[index];
+        return job.headers.includes(name) ? `${name} (lookup)` : name;
+    });
+    return job.headers.concat(added);
+}
+
+// Normalize a join key so "ABC-1 " and "abc-1" match
+function normalizeJoinKey(value) {
+    return (value || '').trim().toLowerCase();
+}
+
+// Load the lookup file of a join into memory: key -> the lookup values to add.
+// join: { file, headers, delimiter, dialect, encoding, lookupKey, columns }
+// Only the chosen columns are kept; the first row wins when a key repeats. chunk(percent) is
+// that of readRows, so a task can report progress or be cancelled while the lookup loads.
+async function loadLookup(join, chunk) {
+    const lookup = new Map();
+    await readRows(join.file, join, {
+        row(values) {
+            const key = normalizeJoinKey(values[join.lookupKey]);
+            if (key !== '' && !lookup.has(key)) {
+                lookup.set(key, join.columns.map(index => values[index]));
+            }
+        },
+        chunk: chunk || (() => {})
+    });
+    return lookup;
+}
+
+// Read the rows of an export job: the main file, then each appended file with its columns
+// mapped onto the main headers. With a join, each row is extended with the lookup values for
+// its key (lookup comes from loadLookup); an inner join drops rows without a match.
+// handlers are those of readRows, except chunk(percent) covers all files; stopping the read
+// there skips the files not read yet too.
+// Returns { rows, unmatched } - unmatched counts rows that found no lookup match.
+async function readJobRows(file, job, handlers, lookup) {
+    const sources = [{ file, job, mapping: null }].concat((job.appendFiles || []).map(append => ({
+        file: append.file,
+        job: append,
+        mapping: append.mapping || matchAppendHeaders(job.headers, append.headers)
+    })));
+    const totalBytes = sources.reduce((total, source) => total + source.file.size, 0);
+    const join = job.join;
+    const emptyLookup = join ? join.columns.map(() => '') : null;
+    let bytesDone = 0;
+    let rows = 0;
+    let unmatched = 0;
+    let stopped = false;
+    
+    // Note a chunk handler stopping the read, whether it returns false or resolves to it
+    const noteStop = keepReading => {
+        if (keepReading === false) stopped = true;
+        return keepReading;
+    };
+    
+    const emit = (values, fieldCount) => {
+        if (join) {
+            const match = lookup.get(normalizeJoinKey(values[join.key]));
+            if (!match) {
+                unmatched++;
+                if (join.type === 'inner') return;
+            }
+            values = values.concat(match || emptyLookup);
+        }
+        rows++;
+        handlers.row(values, fieldCount);
+    };
+    
+    for (const source of sources) {
+        const mapping = source.mapping;
+        await readRows(source.file, source.job, {
+            row(values, fieldCount) {
+                emit(mapping ? mapping.map(index => index === -1 ? '' : values[index]) : values, fieldCount);
+            },
+            chunk(percent) {
+                const bytes = bytesDone + source.file.size * percent / 100;
+                const result = handlers.chunk(totalBytes > 0 ? Math.min(100, Math.round(bytes / totalBytes * 100)) : 100);
+                return result && typeof result.then === 'function' ? result.then(noteStop) : noteStop(result);
+            }
+        });
+        if (stopped) break;
+        bytesDone += source.file.size;
+    }
+    
+    return { rows, unmatched };
+}
+
+// Compile dedupe key columns (header indexes) into a function returning a row's key: the
+// trimmed key values, each prefixed with its length, so two different keys can never come out
+// the same whatever characters they hold. Rows whose key columns are all empty get null and
+// are never treated as duplicates.
+function compileDedupeKey(columns) {
+    return values => {
+        const parts = columns.map(index => (values[index] || '').trim());
+        if (parts.every(part => part === '')) return null;
+        return parts.map(part => `${part.length}:${part}`).join('');
+    };
+}
+
+// Find the rows a dedupe drops. Every matching row's key goes through the external sorter with
+// the row's position, so equal keys come out next to each other and are compared whole without
+// holding every key in memory. Returns a bitmap with a bit set for each dropped row, counting
+// only the rows that pass the row filter.
+async function findDuplicateRows(file, job, rowFilter, lookup, progress) {
+    const dedupeKey = compileDedupeKey(job.dedupe.columns);
+    const sorter = createExternalSorter((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : a[1] - b[1]));
+    let matchIndex = 0;
+    
+    await readJobRows(file, job, {
+        row(values) {
+            if (rowFilter && !rowFilter(values)) return;
+            const key = dedupeKey(values);
+            if (key !== null) sorter.add([key, matchIndex], key.length + 24);
+            matchIndex++;
+        },
+        chunk: progress
+    }, lookup);
+    
+    const duplicates = new Uint8Array(Math.ceil(matchIndex / 8));
+    const drop = index => {
+        duplicates[index >> 3] |= 1 << (index & 7);
+    };
+    let previous = null;
+    await sorter.drain(item => {
+        if (previous && previous[0] === item[0]) {
+            // Keeping the last occurrence drops the earlier row of each pair instead
+            drop(job.dedupe.keep === 'last' ? previous[1] : item[1]);
+        }
+        previous = item;
+    });
+    return duplicates;
+}
+
+// Number of bytes text takes in an input or output encoding
+function encodedLength(text, encoding) {
+    switch (encoding || 'utf-8') {
+        case 'utf-16le':
+        case 'utf-16be':
+            return text.length * 2;
+        case 'windows-1252':
+        case 'iso-8859-1':
+            return text.length;
+        default: {
+            let length = text.length;
+            for (let i = 0; i < text.length; i++) {
+                const code = text.charCodeAt(i);
+                if (code >= 0xD800 && code <= 0xDBFF) {
+                    i++; // Surrogate pair: 4 bytes for 2 code units
+                    length += 2;
+                } else if (code >= 0x800) {
+                    length += 2;
+                } else if (code >= 0x80) {
+                    length++;
+                }
+            }
+            return length;
+        }
+    }
+}
+
+// Write the output rows as a single file.
+// Outputs take row(values, sourceValues); flush() writes what has been converted so far
+// and finish() closes the file.
+function createSingleOutput(columnNames, job, write) {
+    const serializer = createSerializer(job.format || 'csv', columnNames, job);
+    const encodeOutput = createOutputEncoder(job.outputEncoding);
+    let output = [serializer.start()];
+    
+    return {
+        row(values) {
+            output.push(serializer.row(values));
+        },
+        async flush() {
+            await write(encodeOutput(serializer.encode(output.join(''), false)));
+            output = [];
+        },
+        async finish() {
+            output.push(serializer.end());
+            await write(encodeOutput(serializer.encode(output.join(''), true)));
+            return { parts: 1 };
+        }
+    };
+}
+
+// Most parts a split by column value may create (one ZIP entry each)
+const MAX_SPLIT_PARTS = 10000;
+
+// Room kept below a part's byte limit for its closing markup and, for XLSX, the package files
+const SPLIT_SIZE_MARGIN = 16 * 1024;
+
+// Smallest byte limit of a size split, so a part has room for rows after SPLIT_SIZE_MARGIN
+const MIN_SPLIT_SIZE = 64 * 1024;
+
+// Throw if split settings can't make sensible parts
+function checkSplitSettings(split) {
+    if (split && split.mode === 'bytes' && !(split.maxBytes >= MIN_SPLIT_SIZE)) {
+        throw new Error(`Split parts must be at least ${MIN_SPLIT_SIZE / 1024} KB (${MIN_SPLIT_SIZE / (1024 * 1024)} MB)`);
+    }
+}
+
+// Write the output rows as several complete files, each with the header, inside a ZIP.
+// split: { mode: 'rows' | 'bytes' | 'column', maxRows, maxBytes, column: index into the job headers }
+// row(values, splitValue) takes the output values plus, when splitting by column, the row's
+// value in that column. Row and size parts are streamed one after another. Parts per column value fill up side by
+// side, so their converted data is parked in Blobs (which browsers can keep on disk) and
+// copied into the ZIP at the end.
+function createSplitOutput(columnNames, job, write) {
+    const split = job.split;
+    checkSplitSettings(split);
+    const formatKey = job.format || 'csv';
+    const extension = EXPORT_FORMATS[formatKey].extension;
+    const baseName = job.title || 'export';
+    const zip = createZipWriter();
+    const usedNames = new Set();
+    let partCount = 0;
+    
+    // A part is one file: its own serializer and encoder plus the text not yet written
+    const createPart = label => {
+        let name = `${baseName}_${label}`;
+        for (let i = 2; usedNames.has(name.toLowerCase()); i++) {
+            name = `${baseName}_${label} (${i})`;
+        }
+        usedNames.add(name.toLowerCase());
+        partCount++;
+        
+        const serializer = createSerializer(formatKey, columnNames, job);
+        const start = serializer.start();
+        return {
+            name: name + extension,
+            serializer,
+            encodeOutput: createOutputEncoder(job.outputEncoding),
+            output: [start],
+            rows: 0,
+            bytes: encodedLength(start, job.outputEncoding),
+            closed: false,
+            begun: false,
+            blobs: []
+        };
+    };
+    
+    // Encode a part's pending text, adding its closing markup once it is closed
+    const takeData = part => {
+        if (part.closed) part.output.push(part.serializer.end());
+        const data = part.encodeOutput(part.serializer.encode(part.output.join(''), part.closed));
+        part.output = [];
+        return data;
+    };
+    
+    if (split.mode === 'column') {
+        const parts = new Map();
+        
+        return {
+            row(values, splitValue) {
+                const value = splitValue || '';
+                let part = parts.get(value);
+                if (!part) {
+                    if (parts.size >= MAX_SPLIT_PARTS) {
+                        throw new Error(`Too many distinct values to split by (more than ${MAX_SPLIT_PARTS.toLocaleString()})`);
+                    }
+                    const label = value.replace(/[\\/:*?"<>|\x00-\x1F]/g, '_').trim().slice(0, 100) || '(empty)';
+                    part = createPart(label);
+                    parts.set(value, part);
+                }
+                part.output.push(part.serializer.row(values));
+                part.rows++;
+            },
+            async flush() {
+                parts.forEach(part => {
+                    if (part.output.length === 0) return;
+                    part.blobs.push(new Blob([takeData(part)]));
+                    
+                    // Merge small Blobs now and then so a part doesn't collect thousands
+                    if (part.blobs.length >= 32) part.blobs = [new Blob(part.blobs)];
+                });
+            },
+            async finish() {
+                const SLICE_SIZE = 5 * 1024 * 1024;
+                for (const part of parts.values()) {
+                    part.closed = true;
+                    part.blobs.push(new Blob([takeData(part)]));
+                    
+                    await write(zip.begin(part.name));
+                    for (const blob of part.blobs) {
+                        for (let offset = 0; offset < blob.size; offset += SLICE_SIZE) {
+                            const bytes = new Uint8Array(await blob.slice(offset, offset + SLICE_SIZE).arrayBuffer());
+                            await write(zip.write(bytes));
+                        }
+                    }
+                    await write(zip.end());
+                    part.blobs = [];
+                }
+                await write(zip.finish());
+                return { parts: partCount };
+            }
+        };
+    }
+    
+    // Row count and size splits: start the next part when the current one is full
+    const partLabel = () => `part${String(partCount + 1).padStart(3, '0')}`;
+    let current = createPart(partLabel());
+    let pending = [current];
+    
+    return {
+        row(values) {
+            let text = current.serializer.row(values);
+            const size = split.mode === 'bytes' ? encodedLength(text, job.outputEncoding) : 0;
+            const full = split.mode === 'rows'
+                ? current.rows >= split.maxRows
+                : current.bytes + size > split.maxBytes - SPLIT_SIZE_MARGIN;
+            
+            if (full && current.rows > 0) {
+                current.closed = true;
+                current = createPart(partLabel());
+                pending.push(current);
+                text = current.serializer.row(values);
+            }
+            current.output.push(text);
+            current.rows++;
+            current.bytes += size;
+        },
+        async flush() {
+            for (const part of pending) {
+                if (!part.begun) {
+                    await write(zip.begin(part.name));
+                    part.begun = true;
+                }
+                await write(zip.write(takeData(part)));
+                if (part.closed) await write(zip.end());
+            }
+            pending = [current];
+        },
+        async finish() {
+            current.closed = true;
+            await this.flush();
+            await write(zip.finish());
+            return { parts: partCount };
+        }
+    };
+}
+
+// Number a value sorts by, ignoring leading currency symbols and thousands separators
+// ("$1,234.50" and "1.234,50" give 1234.5, "12.50 EUR" gives 12.5); null when there is none
+function parseSortNumber(value) {
+    const text = normalizeDecimalComma(value.trim())
+        .replace(/^[^\d+\-.]+/, '')
+        .replace(/(\d),(?=\d{3}(?!\d))/g, '$1');
+    const number = parseFloat(text);
+    return isNaN(number) ? null : number;
+}
+
+// Date a value sorts by, as ISO 8601 text (which sorts in date order); null when it isn't a date
+function parseSortDate(value, order) {
+    const iso = toISODate(value, order);
+    return /^\d{4}-\d{2}-\d{2}/.test(iso) ? iso : null;
+}
+
+// How sort keys compare values: parse(value) gives what is compared, null for values that
+// sort last (empty ones, and ones that aren't numbers or dates for those types)
+const SORT_TYPES = {
+    string: { label: 'Text', parse: value => value === '' ? null : value },
+    number: { label: 'Number', parse: parseSortNumber },
+    date: { label: 'Date (D/M/Y)', parse: value => parseSortDate(value, 'dmy') },
+    dateMDY: { label: 'Date (M/D/Y)', parse: value => parseSortDate(value, 'mdy') }
+};
+
+// Compile sort keys ({ column: headerIndex, order: 'asc' | 'desc', type: key of SORT_TYPES })
+// into extract(values), giving the values a row sorts by, and compare(a, b) for two of those.
+// Later keys break ties in earlier ones; values that parse to null go last in either order.
+function compileSortKeys(keys) {
+    const collator = new Intl.Collator();
+    const types = keys.map(key => {
+        const type = SORT_TYPES[key.type || 'string'];
+        if (!type) throw new Error(`Unknown sort type: ${key.type}`);
+        return type;
+    });
+    const directions = keys.map(key => key.order === 'desc' ? -1 : 1);
+    
+    return {
+        extract: values => keys.map((key, i) => types[i].parse(values[key.column] || '')),
+        compare(a, b) {
+            for (let i = 0; i < keys.length; i++) {
+                const x = a[i];
+                const y = b[i];
+                if (x === y) continue;
+                if (x === null) return 1;
+                if (y === null) return -1;
+                const result = typeof x === 'number' ? x - y
+                    : keys[i].type === 'string' || !keys[i].type ? collator.compare(x, y)
+                    : (x < y ? -1 : 1);
+                if (result !== 0) return result * directions[i];
+            }
+            return 0;
+        }
+    };
+}
+
+// Characters of rows an external sort holds in memory before sorting them and spilling them
+const SORT_RUN_SIZE = 16 * 1024 * 1024;
+
+// Most spilled runs merged at once; with more, groups of runs are merged into longer ones first
+const MAX_MERGE_RUNS = 64;
+
+// Collect lines of text into a Blob a megabyte at a time, so no single string gets huge
+function createBlobBuilder() {
+    const parts = [];
+    let text = '';
+    return {
+        add(line) {
+            text += line;
+            if (text.length >= 1024 * 1024) {
+                parts.push(text);
+                text = '';
+            }
+        },
+        finish() {
+            parts.push(text);
+            return new Blob(parts);
+        }
+    };
+}
+
+// Read back the items of a spilled run (one JSON value per line) one at a time
+function createRunReader(blob) {
+    const SLICE_SIZE = 256 * 1024;
+    const decoder = new TextDecoder();
+    let offset = 0;
+    let lines = [];
+    let index = 0;
+    let pending = '';
+    
+    return async function next() {
+        while (index >= lines.length) {
+            if (offset >= blob.size) return undefined;
+            const end = Math.min(offset + SLICE_SIZE, blob.size);
+            const text = pending + decoder.decode(new Uint8Array(await blob.slice(offset, end).arrayBuffer()), { stream: end < blob.size });
+            offset = end;
+            lines = text.split('\n');
+            pending = lines.pop();
+            index = 0;
+        }
+        return JSON.parse(lines[index++]);
+    };
+}
+
+// Merge sorted runs into one sequence, handing each item to onItem (which may return a promise).
+// Items that compare equal come from the earlier run first, so the merge is stable.
+async function mergeSortRuns(runs, compare, onItem) {
+    const readers = runs.map(createRunReader);
+    const before = (a, b) => (compare(a.item, b.item) || a.run - b.run) < 0;
+    
+    // Binary min-heap of the next item from each run
+    const heap = [];
+    const siftDown = position => {
+        for (;;) {
+            const left = position * 2 + 1;
+            const right = left + 1;
+            let smallest = position;
+            if (left < heap.length && before(heap[left], heap[smallest])) smallest = left;
+            if (right < heap.length && before(heap[right], heap[smallest])) smallest = right;
+            if (smallest === position) return;
+            [heap[position], heap[smallest]] = [heap[smallest], heap[position]];
+            position = smallest;
+        }
+    };
+    for (let run = 0; run < readers.length; run++) {
+        const item = await readers[run]();
+        if (item !== undefined) heap.push({ item, run });
+    }
+    for (let i = Math.floor(heap.length / 2) - 1; i >= 0; i--) siftDown(i);
+    
+    while (heap.length > 0) {
+        const head = heap[0];
+        const result = onItem(head.item);
+        if (result) await result;
+        
+        const item = await readers[head.run]();
+        if (item !== undefined) {
+            heap[0] = { item, run: head.run };
+        } else {
+            heap[0] = heap[heap.length - 1];
+            heap.pop();
+        }
+        siftDown(0);
+    }
+}
+
+// Sort items that may not fit in memory (an external merge sort). add(item, size) collects an
+// item of about size characters; every runSize (default SORT_RUN_SIZE) characters the collected
+// items are sorted and spilled to a Blob, which browsers can keep on disk. drain(onItem) then
+// hands every item to onItem in order (it may return a promise), merging the runs. Equal items
+// keep the order they were added in. Items must survive JSON.stringify.
+function createExternalSorter(compare, runSize) {
+    runSize = runSize || SORT_RUN_SIZE;
+    let items = [];
+    let size = 0;
+    const runs = [];
+    
+    const spill = () => {
+        items.sort(compare);
+        const run = createBlobBuilder();
+        items.forEach(item => run.add(JSON.stringify(item) + '\n'));
+        runs.push(run.finish());
+        items = [];
+        size = 0;
+    };
+    
+    return {
+        add(item, itemSize) {
+            items.push(item);
+            size += itemSize;
+            if (size >= runSize) spill();
+        },
+        async drain(onItem) {
+            // Everything fit in memory
+            if (runs.length === 0) {
+                items.sort(compare);
+                for (const item of items) {
+                    const result = onItem(item);
+                    if (result) await result;
+                }
+                items = [];
+                return;
+            }
+            if (items.length > 0) spill();
+            
+            let pending = runs.splice(0);
+            while (pending.length > MAX_MERGE_RUNS) {
+                const merged = [];
+                for (let i = 0; i < pending.length; i += MAX_MERGE_RUNS) {
+                    const run = createBlobBuilder();
+                    await mergeSortRuns(pending.slice(i, i + MAX_MERGE_RUNS), compare, item => {
+                        run.add(JSON.stringify(item) + '\n');
+                    });
+                    merged.push(run.finish());
+                }
+                pending = merged;
+            }
+            await mergeSortRuns(pending, compare, onItem);
+        }
+    };
+}
+
+// Value types a validation "type" rule can require
+const VALIDATION_TYPES = {
+    number: { label: 'number', test: value => PROFILE_TYPE_PATTERNS.decimal.test(value) },
+    integer: { label: 'whole number', test: value => PROFILE_TYPE_PATTERNS.integer.test(value) },
+    price: { label: 'price ("12.99" or "12.99 USD")', test: value => /^\d+(\.\d{1,2})?( [A-Z]{3})?$/.test(value) },
+    date: { label: 'date', test: value => isValidationDate(value, 'dmy') || isValidationDate(value, 'mdy') },
+    url: { label: 'URL', test: value => /^https?:\/\/[^\s/?#]+\.[^\s]*$/i.test(value) },
+    email: { label: 'email address', test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) },
+    boolean: { label: 'yes/no value', test: value => PROFILE_TYPE_PATTERNS.boolean.test(value) }
+};
+
+// Whether a value is a date the way toISODate reads it in the given day/month order (day-first
+// dates like 31/12/2024 included). toISODate leaves impossible dates as they are, so the ISO
+// result is checked against the calendar too.
+function isValidationDate(value, order) {
+    const iso = toISODate(value, order);
+    if (!/^\d{4}-\d{2}-\d{2}/.test(iso)) return false;
+    const date = new Date(iso.slice(0, 10) + 'T00:00:00Z');
+    return !isNaN(date) && date.toISOString().slice(0, 10) === iso.slice(0, 10);
+}
+
+// Check digit schemes a validation "checksum" rule can require
+const VALIDATION_CHECKSUMS = {
+    gtin: {
+        label: 'GTIN',
+        // GTIN-8, -12 (UPC), -13 (EAN) and -14: digits weighted 3, 1, 3, ... from the right
+        // of the check digit, with the check digit making the sum a multiple of 10
+        test(value) {
+            if (!/^(\d{8}|\d{12,14})$/.test(value)) return false;
+            let sum = 0;
+            for (let i = value.length - 2, weight = 3; i >= 0; i--, weight = 4 - weight) {
+                sum += Number(value[i]) * weight;
+            }
+            return (10 - (sum % 10)) % 10 === Number(value[value.length - 1]);
+        }
+    }
+};
+
+// Rules a validation can apply to an output column, each { column, rule, value }.
+// value is the rule's setting as text: the type or checksum name, a length ("150" for at most
+// 150 characters, "5-150" or "5-"), a regular expression, or allowed values separated by commas.
+// Every rule but required passes empty values.
+const VALIDATION_RULES = {
+    required: { label: 'Required' },
+    type: { label: 'Type' },
+    length: { label: 'Length' },
+    regex: { label: 'Matches pattern' },
+    enum: { label: 'One of' },
+    checksum: { label: 'Checksum' }
+};
+
+// Built-in rule sets for feed platforms, by output column name
+const VALIDATION_SCHEMAS = {
+    googleMerchant: {
+        label: 'Google Merchant Center',
+        rules: [
+            { column: 'id', rule: 'required' },
+            { column: 'id', rule: 'length', value: '50' },
+            { column: 'title', rule: 'required' },
+            { column: 'title', rule: 'length', value: '150' },
+            { column: 'description', rule: 'required' },
+            { column: 'description', rule: 'length', value: '5000' },
+            { column: 'link', rule: 'required' },
+            { column: 'link', rule: 'type', value: 'url' },
+            { column: 'image_link', rule: 'required' },
+            { column: 'image_link', rule: 'type', value: 'url' },
+            { column: 'availability', rule: 'required' },
+            { column: 'availability', rule: 'enum', value: 'in_stock, out_of_stock, preorder, backorder, in stock, out of stock' },
+            { column: 'price', rule: 'required' },
+            { column: 'price', rule: 'type', value: 'price' },
+            { column: 'sale_price', rule: 'type', value: 'price' },
+            { column: 'condition', rule: 'enum', value: 'new, refurbished, used' },
+            { column: 'gtin', rule: 'checksum', value: 'gtin' },
+            { column: 'brand', rule: 'length', value: '70' },
+            { column: 'mpn', rule: 'length', value: '70' }
+        ]
+    },
+    metaCatalog: {
+        label: 'Meta (Facebook) catalog',
+        rules: [
+            { column: 'id', rule: 'required' },
+            { column: 'id', rule: 'length', value: '100' },
+            { column: 'title', rule: 'required' },
+            { column: 'title', rule: 'length', value: '200' },
+            { column: 'description', rule: 'required' },
+            { column: 'description', rule: 'length', value: '9999' },
+            { column: 'availability', rule: 'required' },
+            { column: 'availability', rule: 'enum', value: 'in stock, out of stock' },
+            { column: 'condition', rule: 'required' },
+            { column: 'condition', rule: 'enum', value: 'new, refurbished, used' },
+            { column: 'price', rule: 'required' },
+            { column: 'price', rule: 'type', value: 'price' },
+            { column: 'link', rule: 'required' },
+            { column: 'link', rule: 'type', value: 'url' },
+            { column: 'image_link', rule: 'required' },
+            { column: 'image_link', rule: 'type', value: 'url' },
+            { column: 'brand', rule: 'required' },
+            { column: 'brand', rule: 'length', value: '100' },
+            { column: 'gtin', rule: 'checksum', value: 'gtin' }
+        ]
+    }
+};
+
+// Compile one validation rule into a check giving the failure message for a value, or null
+function compileValidationRule(rule) {
+    const setting = String(rule.value || '').trim();
+    switch (rule.rule) {
+        case 'required':
+            return value => value.trim() === '' ? 'is required' : null;
+        case 'type': {
+            const type = VALIDATION_TYPES[setting];
+            if (!type) throw new Error(`Unknown type "${setting}" in the rule for ${rule.column}`);
+            return value => type.test(value.trim()) ? null : `is not a valid ${type.label}`;
+        }
+        case 'length': {
+            const match = /^(\d+)?\s*(-)?\s*(\d+)?$/.exec(setting);
+            if (!setting || !match || (match[2] && !match[1] && !match[3]) || (!match[2] && match[3])) {
+                throw new Error(`Length for ${rule.column} must look like "150", "5-150" or "5-"`);
+            }
+            const min = match[2] ? parseInt(match[1] || '0', 10) : 0;
+            const max = match[2] ? (match[3] ? parseInt(match[3], 10) : Infinity) : parseInt(match[1], 10);
+            return value => {
+                const length = Array.from(value).length;
+                if (length > max) return `is longer than ${max} characters (${length})`;
+                if (length < min) return `is shorter than ${min} characters (${length})`;
+                return null;
+            };
+        }
+        case 'regex': {
+            let regex;
+            try {
+                regex = new RegExp(setting);
+            } catch (error) {
+                throw new Error(`Invalid pattern for ${rule.column}: ${error.message}`);
+            }
+            return value => regex.test(value) ? null : `does not match ${setting}`;
+        }
+        case 'enum': {
+            const allowed = setting.split(',').map(option => option.trim()).filter(option => option !== '');
+            if (allowed.length === 0) throw new Error(`List the allowed values for ${rule.column}, separated by commas`);
+            return value => allowed.includes(value.trim()) ? null : `"${value.trim()}" is not one of ${allowed.join(', ')}`;
+        }
+        case 'checksum': {
+            const checksum = VALIDATION_CHECKSUMS[setting];
+            if (!checksum) throw new Error(`Unknown checksum "${setting}" in the rule for ${rule.column}`);
+            return value => checksum.test(value.trim()) ? null : `is not a valid ${checksum.label}`;
+        }
+        default:
+            throw new Error(`Unknown validation rule: ${rule.rule}`);
+    }
+}
+
+// Compile the export's validation against its output columns (matched by name, ignoring case).
+// validation: { schema: key of VALIDATION_SCHEMAS or null, rules: [{ column, rule, value }], rejectedFile }
+// Returns { rules, validate(values) } - validate gives the reasons a row is rejected
+// ("title: is required"), counting each rule's failures in rules[i].failures. Rules on columns
+// the export doesn't have are skipped, but a required column it doesn't have is an error, as
+// every row would lack it.
+function compileValidator(validation, columnNames) {
+    const schema = validation.schema ? VALIDATION_SCHEMAS[validation.schema] : null;
+    if (validation.schema && !schema) throw new Error(`Unknown rule set: ${validation.schema}`);
+    const allRules = (schema ? schema.rules : []).concat(validation.rules || []);
+    
+    const normalized = columnNames.map(normalizeHeaderName);
+    const missingColumns = [];
+    const rules = [];
+    allRules.forEach(rule => {
+        const check = compileValidationRule(rule);
+        const index = normalized.indexOf(normalizeHeaderName(rule.column));
+        if (index === -1) {
+            if (rule.rule === 'required' && !missingColumns.includes(rule.column)) missingColumns.push(rule.column);
+            return;
+        }
+        rules.push({ column: columnNames[index], rule: rule.rule, value: rule.value || '', index, check, failures: 0 });
+    });
+    if (missingColumns.length > 0) {
+        throw new Error(`The export has no ${missingColumns.join(', ')} column${missingColumns.length > 1 ? 's' : ''}, which the validation rules require`);
+    }
+    
+    return {
+        rules,
+        validate(values) {
+            const reasons = [];
+            rules.forEach(rule => {
+                const value = values[rule.index] || '';
+                if (rule.rule !== 'required' && value.trim() === '') return;
+                const message = rule.check(value);
+                if (message === null) return;
+                rule.failures++;
+                reasons.push(`${rule.column}: ${message}`);
+            });
+            return reasons;
+        }
+    };
+}
+
+// Run the chunked read/parse/format pipeline over a file.
+// job: { headers, delimiter, dialect, encoding, appendFiles, join, columns, filterGroups, filterMatchMode,
+//        dedupe, format, outputEncoding, title }
+// appendFiles: optional files stacked under the main one, each { file, headers, delimiter, dialect, encoding, mapping }
+// join: optional lookup { file, headers, delimiter, dialect, encoding, key, lookupKey, columns, type: 'left' | 'inner' };
+// its columns come after the main headers (see getJobHeaders)
+// columns: output columns in order, each { name, source: headerIndex } or { name, template },
+// optionally with transforms: [{ type, ...settings }] (see VALUE_TRANSFORMS)
+// dedupe: optional { columns: [headerIndex], keep: 'first' | 'last' } - finding the duplicates
+// takes an extra pass over the file (see findDuplicateRows)
+// split: optional, writes the output as a ZIP of parts (see createSplitOutput)
+// sort: optional { keys: [{ column: headerIndex, order, type }] } (see compileSortKeys) - rows
+// are held back in an external sort and written once the whole input has been read
+// validation: optional rule sets checked on every output row (see compileValidator) - failing
+// rows are left out of the export and, with rejectedFile, collected in a CSV with the reasons
+// that the result returns as validation.rejectedRows (a Blob)
+// sink: { write(data), progress(info) } - data is text or bytes, write may return a promise
+async function runExport(file, job, sink) {
+    const rowFilter = compileRowFilter(job.filterGroups || [], job.filterMatchMode);
+    const projectRow = compileColumnProjection(job.columns, getJobHeaders(job));
+    const lookup = job.join ? await loadLookup(job.join, () => {
+        sink.progress({ percent: 0, rows: 0, filteredOut: 0, duplicatesRemoved: 0 });
+    }) : null;
+    
+    // The CSV path has always dropped rows that are blank in every exported column
+    const skipBlankRows = job.delimiter !== '\t';
+    
+    let totalProcessed = 0;
+    let filteredOut = 0;
+    let duplicatesRemoved = 0;
+    
+    // Deduplication state: a bitmap of the matching rows to drop, by their position
+    const dedupe = job.dedupe && job.dedupe.columns.length > 0 ? job.dedupe : null;
+    let duplicateRows = null;
+    let matchIndex = 0;
+    
+    // Sorting holds the output rows back, spilling them to Blobs, and writes them in order at the end
+    const sortKeys = job.sort && job.sort.keys.length > 0 ? compileSortKeys(job.sort.keys) : null;
+    const sorter = sortKeys ? createExternalSorter((a, b) => sortKeys.compare(a[0], b[0])) : null;
+    const splitColumn = job.split && job.split.mode === 'column' ? job.split.column : -1;
+    
+    const selectedHeaders = job.columns.map(column => column.name);
+    const validator = job.validation ? compileValidator(job.validation, selectedHeaders) : null;
+    const rejectedRows = validator && job.validation.rejectedFile ? createBlobBuilder() : null;
+    if (rejectedRows) rejectedRows.add(formatCSVLine(selectedHeaders.concat('Rejected reason')) + '\n');
+    let rejected = 0;
+    
+    // Progress runs over every pass: finding duplicates, reading, writing sorted rows
+    const passCount = (dedupe ? 1 : 0) + 1 + (sorter ? 1 : 0);
+    let pass = 0;
+    const overall = percent => Math.round((pass * 100 + percent) / passCount);
+    
+    if (dedupe) {
+        duplicateRows = await findDuplicateRows(file, job, rowFilter, lookup, percent => {
+            sink.progress({ percent: overall(percent), rows: 0, filteredOut: 0, duplicatesRemoved: 0 });
+        });
+        pass++;
+    }
+    
+    // Add output headers
+    const output = job.split
+        ? createSplitOutput(selectedHeaders, job, data => sink.write(data))
+        : createSingleOutput(selectedHeaders, job, data => sink.write(data));
+    
+    const { unmatched } = await readJobRows(file, job, {
+        row(values) {
+            // Drop rows that don't match the row filters
+            if (rowFilter && !rowFilter(values)) {
+                filteredOut++;
+                return;
+            }
+            
+            // Drop repeated keys
+            if (dedupe) {
+                const index = matchIndex++;
+                if (duplicateRows[index >> 3] & (1 << (index & 7))) {
+                    duplicatesRemoved++;
+                    return;
+                }
+            }
+            
+            const selectedValues = projectRow(values);
+            if (skipBlankRows && !selectedValues.some(v => v !== '')) return;
+            
+            // Leave out rows that fail validation, keeping them for the rejected-rows file
+            if (validator) {
+                const reasons = validator.validate(selectedValues);
+                if (reasons.length > 0) {
+                    rejected++;
+                    if (rejectedRows) rejectedRows.add(formatCSVLine(selectedValues.concat(reasons.join('; '))) + '\n');
+                    return;
+                }
+            }
+            
+            const splitValue = splitColumn === -1 ? null : values[splitColumn];
+            if (sorter) {
+                const size = selectedValues.reduce((total, value) => total + value.length + 8, 16);
+                sorter.add([sortKeys.extract(values), selectedValues, splitValue], size);
+            } else {
+                output.row(selectedValues, splitValue);
+            }
+            totalProcessed++;
+        },
+        async chunk(percent) {
+            // Hand the converted rows to the sink and report progress
+            await output.flush();
+            sink.progress({ percent: overall(percent), rows: totalProcessed, filteredOut, duplicatesRemoved });
+        }
+    }, lookup);
+    
+    // Write the held-back rows in sorted order
+    if (sorter) {
+        const FLUSH_ROWS = 10000;
+        let written = 0;
+        pass++;
+        await sorter.drain(item => {
+            output.row(item[1], item[2]);
+            if (++written % FLUSH_ROWS !== 0) return undefined;
+            return output.flush().then(() => {
+                sink.progress({ percent: overall(Math.round((written / totalProcessed) * 100)), rows: totalProcessed, filteredOut, duplicatesRemoved });
+            });
+        });
+    }
+    
+    // Flush whatever is left after the remainder, closing the document
+    const { parts } = await output.finish();
+    
+    if (debugMode) {
+        console.log('Export Summary:');
+        console.log('- Rows filtered out:', filteredOut);
+        console.log('- Duplicates removed:', duplicatesRemoved);
+        console.log('- Rows without a lookup match:', unmatched);
+        console.log('- Rows rejected by validation:', rejected);
+        console.log('- Rows exported:', totalProcessed);
+        console.log('- Output files:', parts);
+    }
+    
+    const validation = validator ? {
+        checked: totalProcessed + rejected,
+        rejected,
+        rules: validator.rules.map(rule => ({ column: rule.column, rule: rule.rule, value: rule.value, failures: rule.failures })),
+        rejectedRows: rejectedRows ? rejectedRows.finish() : null
+    } : null;
+    
+    return { totalProcessed, filteredOut, duplicatesRemoved, unmatched, parts, validation };
+}
+
+// Aggregations a summary can compute per group. Values are parsed the way number sort keys
+// are ("1,299.00", "€ 5"); empty values and ones that aren't numbers are skipped by the
+// number aggregations. count counts rows and needs no column.
+const SUMMARY_AGGREGATES = {
+    count: { label: 'Count', column: false },
+    sum: { label: 'Sum', column: true },
+    min: { label: 'Min', column: true },
+    max: { label: 'Max', column: true },
+    avg: { label: 'Average', column: true },
+    distinct: { label: 'Count distinct', column: true }
+};
+
+// Most groups a summary may have, so a key that is unique per row can't exhaust memory
+const MAX_SUMMARY_GROUPS = 100000;
+
+// Running state of one aggregation in one group
+function createAggregateState(type) {
+    if (type === 'distinct') return { sketch: [] };
+    return { count: 0, sum: 0, min: null, max: null };
+}
+
+// Add a row's value to an aggregation's state
+function updateAggregateState(type, state, value) {
+    if (type === 'count') {
+        state.count++;
+        return;
+    }
+    const trimmed = (value || '').trim();
+    if (trimmed === '') return;
+    if (type === 'distinct') {
+        addToDistinctSketch(state.sketch, trimmed);
+        return;
+    }
+    
+    const number = parseSortNumber(trimmed);
+    if (number === null) return;
+    state.count++;
+    state.sum += number;
+    if (state.min === null || number < state.min) state.min = number;
+    if (state.max === null || number > state.max) state.max = number;
+}
+
+// Write a summary number without float noise ("0.30000000000000004" -> "0.3")
+function formatSummaryNumber(number) {
+    return String(parseFloat(number.toFixed(6)));
+}
+
+// Output value of an aggregation; empty when a group had no numbers to aggregate
+function finishAggregateState(type, state) {
+    switch (type) {
+        case 'count':
+            return String(state.count);
+        case 'distinct':
+            return String(estimateDistinct(state.sketch).count);
+        case 'sum':
+            return state.count === 0 ? '' : formatSummaryNumber(state.sum);
+        case 'min':
+            return state.min === null ? '' : formatSummaryNumber(state.min);
+        case 'max':
+            return state.max === null ? '' : formatSummaryNumber(state.max);
+        case 'avg':
+            return state.count === 0 ? '' : formatSummaryNumber(state.sum / state.count);
+        default:
+            throw new Error(`Unknown aggregation: ${type}`);
+    }
+}
+
+// Output column name of an aggregation, e.g. "count" or "avg(price)"
+function getAggregateName(aggregate, headers) {
+    if (!SUMMARY_AGGREGATES[aggregate.type]) throw new Error(`Unknown aggregation: ${aggregate.type}`);
+    if (!SUMMARY_AGGREGATES[aggregate.type].column) return aggregate.type;
+    return `${aggregate.type}(${headers[aggregate.column] || `Column ${aggregate.column + 1}`})`;
+}
+
+// Summarize the file in one pass: one output row per distinct combination of the group-by
+// columns, with the aggregations after them. Without group-by columns the whole file is one group.
+// job.summary: { groupBy: [headerIndex], aggregates: [{ type: key of SUMMARY_AGGREGATES, column: headerIndex }] }
+// Row filters, appended files and the join apply; the output columns, dedupe, sort and split don't.
+// Distinct counts are exact up to DISTINCT_SKETCH_SIZE values per group and estimated above that.
+async function runSummary(file, job, sink) {
+    const summary = job.summary;
+    if (summary.aggregates.length === 0) throw new Error('Add at least one aggregation');
+    const rowFilter = compileRowFilter(job.filterGroups || [], job.filterMatchMode);
+    const allHeaders = getJobHeaders(job);
+    const columnNames = summary.groupBy.map(index => allHeaders[index] || `Column ${index + 1}`)
+        .concat(summary.aggregates.map(aggregate => getAggregateName(aggregate, allHeaders)));
+    const lookup = job.join ? await loadLookup(job.join, () => {
+        sink.progress({ percent: 0, rows: 0, filteredOut: 0, groups: 0 });
+    }) : null;
+    
+    // Group key (the group-by values, each prefixed with its length so different values never
+    // make the same key) -> group
+    const groups = new Map();
+    let totalProcessed = 0;
+    let filteredOut = 0;
+    
+    const { unmatched } = await readJobRows(file, job, {
+        row(values) {
+            if (rowFilter && !rowFilter(values)) {
+                filteredOut++;
+                return;
+            }
+            
+            const groupValues = summary.groupBy.map(index => values[index] || '');
+            const key = groupValues.map(value => `${value.length}:${value}`).join('');
+            let group = groups.get(key);
+            if (!group) {
+                if (groups.size >= MAX_SUMMARY_GROUPS) {
+                    throw new Error(`Too many groups to summarize (more than ${MAX_SUMMARY_GROUPS.toLocaleString()})`);
+                }
+                group = { values: groupValues, states: summary.aggregates.map(aggregate => createAggregateState(aggregate.type)) };
+                groups.set(key, group);
+            }
+            
+            summary.aggregates.forEach((aggregate, i) => {
+                updateAggregateState(aggregate.type, group.states[i], values[aggregate.column]);
+            });
+            totalProcessed++;
+        },
+        chunk(percent) {
+            sink.progress({ percent, rows: totalProcessed, filteredOut, groups: groups.size });
+        }
+    }, lookup);
+    
+    // Groups come out ordered by their values, numbers in number order
+    const collator = new Intl.Collator(undefined, { numeric: true });
+    const sorted = Array.from(groups.values()).sort((a, b) => {
+        for (let i = 0; i < a.values.length; i++) {
+            const order = collator.compare(a.values[i], b.values[i]);
+            if (order !== 0) return order;
+        }
+        return 0;
+    });
+    
+    const output = createSingleOutput(columnNames, job, data => sink.write(data));
+    sorted.forEach(group => {
+        output.row(group.values.concat(summary.aggregates.map((aggregate, i) => finishAggregateState(aggregate.type, group.states[i]))));
+    });
+    await output.finish();
+    
+    if (debugMode) {
+        console.log('Summary:');
+        console.log('- Rows filtered out:', filteredOut);
+        console.log('- Rows summarized:', totalProcessed);
+        console.log('- Groups:', groups.size);
+    }
+    
+    return { totalProcessed, filteredOut, unmatched, groups: groups.size };
+}
+
+// Row categories of a comparison that can be exported
+const COMPARE_CATEGORIES = {
+    added: 'Added',
+    removed: 'Removed',
+    changed: 'Changed'
+};
+
+// Compare the file with an older version of it, matching rows by a key column (keys match the
+// way join keys do). Columns are matched by name as for appended files, and only columns in both
+// files are compared. The older file is held in memory by key, like a join lookup.
+// job.compare: the older file's source job plus { file, key: index into job.headers,
+// oldKey: index into its own headers, output: null or a key of COMPARE_CATEGORIES }
+// With an output, that category's rows are written: added rows as they are now, removed rows as
+// they were, changed rows as they are now followed by the changed column names and their
+// previous values (as JSON). Rows with an empty or repeated key are counted and left out.
+async function runCompare(file, job, sink) {
+    const compare = job.compare;
+    const mapping = matchAppendHeaders(job.headers, compare.headers);
+    const compared = mapping.map((oldIndex, index) => ({ index, oldIndex, name: job.headers[index] }))
+        .filter(column => column.oldIndex !== -1);
+    const columnChanges = compared.map(() => 0);
+    
+    let output = null;
+    if (compare.output === 'added') {
+        output = createSingleOutput(job.headers, job, data => sink.write(data));
+    } else if (compare.output === 'removed') {
+        output = createSingleOutput(compare.headers, job, data => sink.write(data));
+    } else if (compare.output === 'changed') {
+        output = createSingleOutput(job.headers.concat(['Changed columns', 'Previous values']), job, data => sink.write(data));
+    } else if (compare.output) {
+        throw new Error(`Unknown comparison output: ${compare.output}`);
+    }
+    
+    const counts = { oldRows: 0, newRows: 0, added: 0, removed: 0, changed: 0, unchanged: 0, emptyKeys: 0, duplicateKeys: 0 };
+    const progress = percent => sink.progress({ percent, rows: counts.oldRows + counts.newRows });
+    
+    // Older rows by key; matched marks the ones the new file still has
+    const previous = new Map();
+    await readRows(compare.file, compare, {
+        row(values) {
+            counts.oldRows++;
+            const key = normalizeJoinKey(values[compare.oldKey]);
+            if (key === '') {
+                counts.emptyKeys++;
+            } else if (previous.has(key)) {
+                counts.duplicateKeys++;
+            } else {
+                previous.set(key, { values, matched: false });
+            }
+        },
+        chunk(percent) {
+            progress(Math.round(percent / 2));
+        }
+    });
+    
+    const seenKeys = new Set();
+    await readRows(file, job, {
+        row(values) {
+            counts.newRows++;
+            const key = normalizeJoinKey(values[compare.key]);
+            if (key === '') {
+                counts.emptyKeys++;
+                return;
+            }
+            if (seenKeys.has(key)) {
+                counts.duplicateKeys++;
+                return;
+            }
+            seenKeys.add(key);
+            
+            const old = previous.get(key);
+            if (!old) {
+                counts.added++;
+                if (compare.output === 'added') output.row(values);
+                return;
+            }
+            old.matched = true;
+            
+            const changes = {};
+            compared.forEach((column, i) => {
+                const before = old.values[column.oldIndex] || '';
+                if ((values[column.index] || '') === before) return;
+                changes[column.name] = before;
+                columnChanges[i]++;
+            });
+            const names = Object.keys(changes);
+            if (names.length === 0) {
+                counts.unchanged++;
+                return;
+            }
+            counts.changed++;
+            if (compare.output === 'changed') output.row(values.concat([names.join('; '), JSON.stringify(changes)]));
+        },
+        async chunk(percent) {
+            if (output) await output.flush();
+            progress(50 + Math.round(percent / 2));
+        }
+    });
+    
+    // Older rows the new file no longer has, in their old order
+    const FLUSH_ROWS = 10000;
+    for (const old of previous.values()) {
+        if (old.matched) continue;
+        counts.removed++;
+        if (compare.output !== 'removed') continue;
+        output.row(old.values);
+        if (counts.removed % FLUSH_ROWS === 0) await output.flush();
+    }
+    if (output) await output.finish();
+    
+    if (debugMode) {
+        console.log('Comparison:', counts);
+    }
+    
+    return Object.assign(counts, {
+        columns: compared.map((column, i) => ({ name: column.name, changed: columnChanges[i] })),
+        addedColumns: job.headers.filter((header, index) => mapping[index] === -1),
+        removedColumns: compare.headers.filter((header, index) => !mapping.includes(index))
+    });
+}
+
+// Patterns used to infer column types while profiling
+const PROFILE_TYPE_PATTERNS = {
+    integer: /^[-+]?\d+$/,
+    decimal: /^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/,
+    boolean: /^(true|false|yes|no)$/i,
+    date: /^(\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?|\d{1,2}[\/.-]\d{1,2}[\/.-]\d{2,4})$/
+};
+
+// Number of smallest hashes kept per column for the distinct-count estimate
+const DISTINCT_SKETCH_SIZE = 1024;
+
+// 32-bit string hash (FNV-1a with a murmur finalizer for better spread); seed picks an independent hash
+function hashString(text, seed) {
+    let h = seed === undefined ? 0x811C9DC5 : seed;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85EBCA6B);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xC2B2AE35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+// Keep the K smallest distinct hashes (a KMV sketch) so distinct counts use bounded memory
+function addToDistinctSketch(sketch, value) {
+    const hash = hashString(value);
+    const size = sketch.length;
+    if (size >= DISTINCT_SKETCH_SIZE && hash >= sketch[size - 1]) return;
+    
+    // Binary search for the insert position
+    let low = 0;
+    let high = size;
+    while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (sketch[mid] < hash) low = mid + 1;
+        else high = mid;
+    }
+    if (sketch[low] === hash) return;
+    
+    sketch.splice(low, 0, hash);
+    if (sketch.length > DISTINCT_SKETCH_SIZE) sketch.pop();
+}
+
+// Distinct count from a sketch - exact until the sketch fills up
+function estimateDistinct(sketch) {
+    if (sketch.length < DISTINCT_SKETCH_SIZE) {
+        return { count: sketch.length, exact: true };
+    }
+    const kth = sketch[sketch.length - 1] / 0x100000000;
+    return { count: Math.round((DISTINCT_SKETCH_SIZE - 1) / kth), exact: false };
+}
+
+// Create the running statistics for one column
+function createColumnProfile(name) {
+    return {
+        name,
+        empty: 0,
+        nonEmpty: 0,
+        types: { integer: 0, decimal: 0, boolean: 0, date: 0, text: 0 },
+        sketch: [],
+        numberMin: null,
+        numberMax: null,
+        dateMin: null,
+        dateMax: null,
+        textMin: null,
+        textMax: null,
+        longest: '',
+        samples: []
+    };
+}
+
+// Add one value to a column profile
+function updateColumnProfile(profile, value) {
+    const trimmed = value.trim();
+    if (trimmed === '') {
+        profile.empty++;
+        return;
+    }
+    profile.nonEmpty++;
+    
+    if (PROFILE_TYPE_PATTERNS.integer.test(trimmed)) {
+        profile.types.integer++;
+    } else if (PROFILE_TYPE_PATTERNS.decimal.test(trimmed)) {
+        profile.types.decimal++;
+    } else if (PROFILE_TYPE_PATTERNS.boolean.test(trimmed)) {
+        profile.types.boolean++;
+    } else if (PROFILE_TYPE_PATTERNS.date.test(trimmed) && !isNaN(Date.parse(trimmed))) {
+        profile.types.date++;
+        const time = Date.parse(trimmed);
+        if (profile.dateMin === null || time < profile.dateMin.time) profile.dateMin = { time, value: trimmed };
+        if (profile.dateMax === null || time > profile.dateMax.time) profile.dateMax = { time, value: trimmed };
+    } else {
+        profile.types.text++;
+    }
+    
+    if (PROFILE_TYPE_PATTERNS.decimal.test(trimmed)) {
+        const number = parseFloat(trimmed);
+        if (profile.numberMin === null || number < profile.numberMin) profile.numberMin = number;
+        if (profile.numberMax === null || number > profile.numberMax) profile.numberMax = number;
+    }
+    
+    if (profile.textMin === null || trimmed < profile.textMin) profile.textMin = trimmed;
+    if (profile.textMax === null || trimmed > profile.textMax) profile.textMax = trimmed;
+    if (value.length > profile.longest.length) profile.longest = value;
+    
+    if (profile.samples.length < 5 && !profile.samples.includes(trimmed)) {
+        profile.samples.push(trimmed);
+    }
+    
+    addToDistinctSketch(profile.sketch, trimmed);
+}
+
+// Turn running statistics into the report entry for a column
+function summarizeColumnProfile(profile) {
+    const types = profile.types;
+    let type;
+    if (profile.nonEmpty === 0) {
+        type = 'empty';
+    } else if (types.integer === profile.nonEmpty) {
+        type = 'integer';
+    } else if (types.integer + types.decimal === profile.nonEmpty) {
+        type = 'decimal';
+    } else if (types.boolean === profile.nonEmpty) {
+        type = 'boolean';
+    } else if (types.date === profile.nonEmpty) {
+        type = 'date';
+    } else {
+        type = 'text';
+    }
+    
+    let min = profile.textMin;
+    let max = profile.textMax;
+    if (type === 'integer' || type === 'decimal') {
+        min = profile.numberMin;
+        max = profile.numberMax;
+    } else if (type === 'date') {
+        min = profile.dateMin.value;
+        max = profile.dateMax.value;
+    }
+    
+    const distinct = estimateDistinct(profile.sketch);
+    const truncate = text => text.length > 200 ? text.substring(0, 200) + '...' : text;
+    
+    return {
+        name: profile.name,
+        type,
+        empty: profile.empty,
+        nonEmpty: profile.nonEmpty,
+        distinct: distinct.count,
+        distinctExact: distinct.exact,
+        min: typeof min === 'string' ? truncate(min) : min,
+        max: typeof max === 'string' ? truncate(max) : max,
+        longestLength: profile.longest.length,
+        longestValue: truncate(profile.longest),
+        samples: profile.samples.map(truncate)
+    };
+}
+
+// Profile every column over the whole file.
+// job: { headers, delimiter, dialect, encoding, fileName }; progress(info) is called after each chunk
+async function profileFile(file, job, progress) {
+    const MAX_RAGGED_EXAMPLES = 1000;
+    const columns = job.headers.map((header, index) => createColumnProfile(header || `(Column ${index + 1})`));
+    const ragged = { count: 0, examples: [] };
+    let rows = 0;
+    
+    await readRows(file, job, {
+        row(values, fieldCount) {
+            rows++;
+            for (let i = 0; i < columns.length; i++) {
+                updateColumnProfile(columns[i], values[i]);
+            }
+            if (fieldCount !== job.headers.length) {
+                ragged.count++;
+                if (ragged.examples.length < MAX_RAGGED_EXAMPLES) {
+                    ragged.examples.push({ row: rows, fields: fieldCount });
+                }
+            }
+        },
+        chunk(percent) {
+            progress({ percent, rows });
+        }
+    });
+    
+    return {
+        fileName: job.fileName || file.name,
+        fileSize: file.size,
+        generatedAt: new Date().toISOString(),
+        rows,
+        expectedFields: job.headers.length,
+        columns: columns.map(summarizeColumnProfile),
+        raggedRows: ragged
+    };
+}
+
+// Run a pipeline task as described by a worker message ({ type, file, job }).
+// handlers: { write(data), progress(info) }
+function runTask(message, handlers) {
+    switch (message.type) {
+        case 'export':
+            return runExport(message.file, message.job, handlers);
+        case 'summary':
+            return runSummary(message.file, message.job, handlers);
+        case 'compare':
+            return runCompare(message.file, message.job, handlers);
+        case 'profile':
+            return profileFile(message.file, message.job, handlers.progress);
+        case 'index':
+            return buildRowIndex(message.file, message.job, handlers.progress);
+        case 'search':
+            return searchFile(message.file, message.job, handlers.progress);
+        default:
+            throw new Error(`Unknown task: ${message.type}`);
+    }
+}
+
+// Format CSV line for export
+function formatCSVLine(values) {
+    return values.map(value => {
+        if (value == null || value === undefined) return '';
+        
+        // Convert to string
+        value = String(value);
+        
+        // Check if the value needs to be quoted
+        const needsQuotes = value.includes(',') || 
+                          value.includes('"') || 
+                          value.includes('\n') || 
+                          value.includes('\r') ||
+                          value.startsWith(' ') ||
+                          value.endsWith(' ');
+        
+        if (needsQuotes) {
+            // Escape quotes by doubling them
+            const escaped = value.replace(/"/g, '""');
+            return `"${escaped}"`;
+        }
+        
+        return value;
+    }).join(',');
+}
+
+// Escape text for XML element content, dropping characters XML 1.0 can't represent
+function escapeXML(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Turn a column name into a valid XML element name for the product feed
+function toXMLElementName(name) {
+    let element = String(name).trim().toLowerCase().replace(/^g:/, '')
+        .replace(/\s+/g, '_')
+        .replace(/[^a-z0-9_.-]/g, '');
+    if (!/^[a-z_]/.test(element)) {
+        element = '_' + element;
+    }
+    return 'g:' + element;
+}
+
+// Encoding names for the XML declaration, by output encoding
+const XML_ENCODING_NAMES = {
+    'utf-8': 'UTF-8',
+    'utf-8-bom': 'UTF-8',
+    'utf-16le': 'UTF-16',
+    'windows-1252': 'windows-1252'
+};
+
+// Build an object keyed by column name for the JSON formats
+function toRowObject(columnNames, values) {
+    const row = {};
+    columnNames.forEach((name, i) => {
+        row[name] = values[i] == null ? '' : String(values[i]);
+    });
+    return row;
+}
+
+// CRC-32 lookup table for ZIP entries
+const CRC32_TABLE = (function() {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// Update a running CRC-32 with more bytes (start with crc = 0)
+function crc32(bytes, crc) {
+    let c = (crc ^ 0xFFFFFFFF) >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+        c = CRC32_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Concatenate byte arrays
+function concatBytes(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(total);
+    let position = 0;
+    parts.forEach(part => {
+        result.set(part, position);
+        position += part.length;
+    });
+    return result;
+}
+
+// Largest size or offset, and most entries, a ZIP without the ZIP64 extension can record
+const ZIP_MAX_SIZE = 0xFFFFFFFF;
+const ZIP_MAX_ENTRIES = 0xFFFF;
+
+// Minimal streaming ZIP writer (stored entries, no compression). Every method returns the
+// bytes to append to the output, so entries can be written straight to a stream.
+// There is no ZIP64 support: passing 4 GB in an entry or the whole archive, or 65535 entries,
+// throws instead of writing a corrupt file.
+function createZipWriter() {
+    const encoder = new TextEncoder();
+    const entries = [];
+    let offset = 0;
+    let current = null;
+    
+    // DOS date/time for the entry headers
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    
+    function localHeader(entry) {
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, entry.flags, true);
+        header.setUint16(8, 0, true);
+        header.setUint16(10, dosTime, true);
+        header.setUint16(12, dosDate, true);
+        header.setUint32(14, entry.crc, true);
+        header.setUint32(18, entry.size, true);
+        header.setUint32(22, entry.size, true);
+        header.setUint16(26, entry.nameBytes.length, true);
+        header.setUint16(28, 0, true);
+        return concatBytes([new Uint8Array(header.buffer), entry.nameBytes]);
+    }
+    
+    function checkSize(size) {
+        if (size > ZIP_MAX_SIZE) {
+            throw new Error('The ZIP output would pass 4 GB, the most a ZIP file here can hold - use smaller or fewer parts');
+        }
+    }
+    
+    function addEntry(entry, bytes) {
+        if (entries.length >= ZIP_MAX_ENTRIES) {
+            throw new Error(`The ZIP output would have more than ${ZIP_MAX_ENTRIES.toLocaleString()} files, the most a ZIP file here can hold`);
+        }
+        checkSize(offset + bytes.length);
+        entry.offset = offset;
+        entries.push(entry);
+        offset += bytes.length;
+        return bytes;
+    }
+    
+    return {
+        // Add a complete file
+        file(name, data) {
+            const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+            const entry = { nameBytes: encoder.encode(name), flags: 0x0800, crc: crc32(bytes, 0), size: bytes.length };
+            return addEntry(entry, concatBytes([localHeader(entry), bytes]));
+        },
+        
+        // Start a file whose size isn't known yet; sizes follow in a data descriptor
+        begin(name) {
+            current = { nameBytes: encoder.encode(name), flags: 0x0808, crc: 0, size: 0 };
+            return addEntry(current, localHeader(current));
+        },
+        
+        // Append data to the file started with begin()
+        write(data) {
+            const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+            checkSize(offset + bytes.length);
+            current.crc = crc32(bytes, current.crc);
+            current.size += bytes.length;
+            offset += bytes.length;
+            return bytes;
+        },
+        
+        // Close the file started with begin()
+        end() {
+            const descriptor = new DataView(new ArrayBuffer(16));
+            descriptor.setUint32(0, 0x08074B50, true);
+            descriptor.setUint32(4, current.crc, true);
+            descriptor.setUint32(8, current.size, true);
+            descriptor.setUint32(12, current.size, true);
+            current = null;
+            offset += 16;
+            return new Uint8Array(descriptor.buffer);
+        },
+        
+        // Write the central directory
+        finish() {
+            const parts = entries.map(entry => {
+                const header = new DataView(new ArrayBuffer(46));
+                header.setUint32(0, 0x02014B50, true);
+                header.setUint16(4, 20, true);
+                header.setUint16(6, 20, true);
+                header.setUint16(8, entry.flags, true);
+                header.setUint16(10, 0, true);
+                header.setUint16(12, dosTime, true);
+                header.setUint16(14, dosDate, true);
+                header.setUint32(16, entry.crc, true);
+                header.setUint32(20, entry.size, true);
+                header.setUint32(24, entry.size, true);
+                header.setUint16(28, entry.nameBytes.length, true);
+                header.setUint32(42, entry.offset, true);
+                return concatBytes([new Uint8Array(header.buffer), entry.nameBytes]);
+            });
+            const directory = concatBytes(parts);
+            checkSize(offset + directory.length);
+            
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054B50, true);
+            end.setUint16(8, entries.length, true);
+            end.setUint16(10, entries.length, true);
+            end.setUint32(12, directory.length, true);
+            end.setUint32(16, offset, true);
+            return concatBytes([directory, new Uint8Array(end.buffer)]);
+        }
+    };
+}
+
+// Maximum rows in an Excel worksheet (including the header row)
+const XLSX_MAX_ROWS = 1048576;
+
+// Fixed parts of a single-sheet XLSX workbook
+const XLSX_PARTS = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheets><sheet name="Sheet1" sheetId="1" r:id="rId1"/></sheets>' +
+        '</workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>'
+};
+
+// Format a worksheet row; plain numbers become numeric cells, everything else inline text
+function formatXLSXRow(values) {
+    const cells = values.map(value => {
+        const text = value == null ? '' : String(value);
+        if (/^-?(0|[1-9]\d{0,14})(\.\d+)?$/.test(text)) {
+            return `<c><v>${text}</v></c>`;
+        }
+        // Excel cells hold at most 32767 characters
+        return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXML(text.slice(0, 32767))}</t></is></c>`;
+    });
+    return `<row>${cells.join('')}</row>`;
+}
+
+// Output formats for the export. create() returns a serializer with start(), row(values)
+// and end() producing text, and encode(text, isLast) turning flushed text into output data.
+const EXPORT_FORMATS = {
+    csv: {
+        label: 'CSV',
+        extension: '.csv',
+        mimeType: 'text/csv',
+        create: columnNames => ({
+            start: () => formatCSVLine(columnNames) + '\n',
+            row: values => formatCSVLine(values) + '\n',
+            end: () => '',
+            encode: text => text
+        })
+    },
+    tsv: {
+        label: 'TSV',
+        extension: '.tsv',
+        mimeType: 'text/tab-separated-values',
+        create: columnNames => ({
+            start: () => formatTSVLine(columnNames) + '\n',
+            row: values => formatTSVLine(values) + '\n',
+            end: () => '',
+            encode: text => text
+        })
+    },
+    json: {
+        label: 'JSON',
+        extension: '.json',
+        mimeType: 'application/json',
+        create: columnNames => {
+            let first = true;
+            return {
+                start: () => '[',
+                row: values => {
+                    const separator = first ? '\n' : ',\n';
+                    first = false;
+                    return separator + JSON.stringify(toRowObject(columnNames, values));
+                },
+                end: () => '\n]\n',
+                encode: text => text
+            };
+        }
+    },
+    ndjson: {
+        label: 'NDJSON',
+        extension: '.ndjson',
+        mimeType: 'application/x-ndjson',
+        create: columnNames => ({
+            start: () => '',
+            row: values => JSON.stringify(toRowObject(columnNames, values)) + '\n',
+            end: () => '',
+            encode: text => text
+        })
+    },
+    xml: {
+        label: 'XML Product Feed',
+        extension: '.xml',
+        mimeType: 'application/xml',
+        create: (columnNames, job) => {
+            const elements = columnNames.map(toXMLElementName);
+            return {
+                start: () => `<?xml version="1.0" encoding="${XML_ENCODING_NAMES[job.outputEncoding] || 'UTF-8'}"?>\n` +
+                    '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">\n' +
+                    `<channel>\n<title>${escapeXML(job.title || 'Product feed')}</title>\n`,
+                row: values => {
+                    const fields = values.map((value, i) => value == null || value === ''
+                        ? ''
+                        : `  <${elements[i]}>${escapeXML(value)}</${elements[i]}>\n`);
+                    return `<item>\n${fields.join('')}</item>\n`;
+                },
+                end: () => '</channel>\n</rss>\n',
+                encode: text => text
+            };
+        }
+    },
+    xlsx: {
+        label: 'XLSX',
+        extension: '.xlsx',
+        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        create: columnNames => {
+            const zip = createZipWriter();
+            let rowCount = 0;
+            let started = false;
+            return {
+                start: () => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+                    formatXLSXRow(columnNames),
+                row: values => {
+                    if (++rowCount >= XLSX_MAX_ROWS) {
+                        throw new Error(`XLSX worksheets are limited to ${XLSX_MAX_ROWS - 1} data rows`);
+                    }
+                    return formatXLSXRow(values);
+                },
+                end: () => '</sheetData></worksheet>',
+                // The worksheet streams through the ZIP as one entry; fixed parts surround it
+                encode: (text, isLast) => {
+                    const parts = [];
+                    if (!started) {
+                        Object.keys(XLSX_PARTS).forEach(name => parts.push(zip.file(name, XLSX_PARTS[name])));
+                        parts.push(zip.begin('xl/worksheets/sheet1.xml'));
+                        started = true;
+                    }
+                    parts.push(zip.write(text));
+                    if (isLast) {
+                        parts.push(zip.end(), zip.finish());
+                    }
+                    return concatBytes(parts);
+                }
+            };
+        }
+    }
+};
+
+// Create the serializer for an export format
+function createSerializer(format, columnNames, job) {
+    const definition = EXPORT_FORMATS[format];
+    if (!definition) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+    return definition.create(columnNames, job || {});
+}
+
+// Format TSV line for export (tabs and line breaks inside values become spaces)
+function formatTSVLine(values) {
+    return values.map(value => value == null ? '' : String(value).replace(/[\t\r\n]+/g, ' ')).join('\t');
+}
+
+// Loaded with require() from Node (the command line); the page and worker load this file as a
+// classic script and use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        INPUT_ENCODINGS,
+        OUTPUT_ENCODINGS,
+        detectEncoding,
+        createTextDecoder,
+        createOutputEncoder,
+        encodedLength,
+        DEFAULT_DIALECT,
+        normalizeDialect,
+        createParser,
+        parseText,
+        detectDelimiter,
+        sniffDelimiter,
+        detectInputReader,
+        sniffFile,
+        createSourceJob,
+        readRows,
+        INPUT_READERS,
+        guessFixedWidths,
+        parseFixedWidths,
+        flattenJSONRecord,
+        excelSerialToISO,
+        PRESET_VERSION,
+        migratePreset,
+        findHeaderIndex,
+        resolvePreset,
+        createPreset,
+        fileNamePattern,
+        matchesFilePattern,
+        scorePreset,
+        suggestPreset,
+        parsePresetFile,
+        serializePresets,
+        compileRowFilter,
+        compileTemplate,
+        VALUE_TRANSFORMS,
+        compileTransformChain,
+        compileColumnProjection,
+        compileDedupeKey,
+        SORT_TYPES,
+        compileSortKeys,
+        createExternalSorter,
+        VALIDATION_TYPES,
+        VALIDATION_CHECKSUMS,
+        VALIDATION_RULES,
+        VALIDATION_SCHEMAS,
+        compileValidator,
+        matchAppendHeaders,
+        getJobHeaders,
+        loadLookup,
+        readJobRows,
+        ROW_INDEX_INTERVAL,
+        buildRowIndex,
+        readRowWindow,
+        searchFile,
+        runExport,
+        SUMMARY_AGGREGATES,
+        runSummary,
+        COMPARE_CATEGORIES,
+        runCompare,
+        profileFile,
+        runTask,
+        EXPORT_FORMATS,
+        createSerializer,
+        createZipWriter,
+        checkSplitSettings,
+        formatCSVLine,
+        formatTSVLine
+    };
+}
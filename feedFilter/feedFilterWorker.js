@@ -0,0 +1,41 @@
+// Conversion worker - runs the chunked pipeline tasks (export, summary, compare, profile, index, search) off
+// the main thread so the page stays responsive
+importScripts('feedFilterCore.js');
+
+// Resolves once the page has written the last chunk we sent
+let pendingAck = null;
+
+// Send a chunk of output to the page and wait until it has been written
+function sendData(data) {
+    return new Promise(resolve => {
+        pendingAck = resolve;
+        self.postMessage({ type: 'data', data });
+    });
+}
+
+self.onmessage = async function(e) {
+    const message = e.data;
+    
+    if (message.type === 'ack') {
+        const resolve = pendingAck;
+        pendingAck = null;
+        if (resolve) resolve();
+        return;
+    }
+    
+    debugMode = !!message.debug;
+    
+    try {
+        const result = await runTask(message, {
+            write: sendData,
+            progress(info) {
+                self.postMessage({ type: 'progress', ...info });
+            }
+        });
+        
+        self.postMessage({ type: 'done', result });
+    } catch (error) {
+        console.error('Worker task error:', error);
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,96 @@
+// Command line tests: the same engine driven through feedFilterCli.js and the file system
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { engine } = require('./helpers.js');
+const { main, parseArguments } = require('../feedFilterCli.js');
+
+// A fresh folder for one test's input, presets and output
+function createWorkFolder() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'feedfilter-'));
+}
+
+test('parseArguments', () => {
+    assert.deepStrictEqual(parseArguments(['in.tsv', '--preset', 'p.json', '--quiet']), {
+        input: 'in.tsv',
+        options: { preset: 'p.json', quiet: true }
+    });
+    assert.throws(() => parseArguments(['in.tsv', '--out']), /--out needs a value/);
+    assert.throws(() => parseArguments(['in.tsv', '--nope']), /Unknown option/);
+    assert.throws(() => parseArguments([]), /exactly one input file/);
+});
+
+test('converts a file with a preset', async () => {
+    const folder = createWorkFolder();
+    const input = path.join(folder, 'feed.tsv');
+    fs.copyFileSync(path.join(__dirname, 'fixtures', 'literal-quotes.tsv'), input);
+    
+    // Keep "size" renamed and upper-cased "name", dropping the row without a quote in its size
+    const preset = engine.createPreset('Sizes', {
+        columns: [
+            { name: 'Size', source: 1 },
+            { name: 'name', source: 0, transforms: [{ type: 'upper' }] }
+        ],
+        filterGroups: [{ mode: 'all', rules: [{ column: 1, operator: 'contains', value: '"' }] }],
+        filterMatchMode: 'all',
+        format: 'csv'
+    }, ['name', 'size']);
+    const presetFile = path.join(folder, 'presets.json');
+    fs.writeFileSync(presetFile, engine.serializePresets([preset]));
+    
+    const output = path.join(folder, 'out.csv');
+    await main([input, '--preset', presetFile, '--out', output, '--quiet']);
+    assert.strictEqual(fs.readFileSync(output, 'utf8'), 'Size,name\n"12""","""BIG"" BOX"\n');
+    fs.rmSync(folder, { recursive: true });
+});
+
+test('exports every column without a preset and reports missing preset columns', async () => {
+    const folder = createWorkFolder();
+    const input = path.join(folder, 'crlf.csv');
+    fs.copyFileSync(path.join(__dirname, 'fixtures', 'crlf.csv'), input);
+    
+    await main([input, '--format', 'json', '--quiet']);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(folder, 'crlf_converted.json'), 'utf8')), [
+        { a: '1', b: '2', c: '3' },
+        { a: '4', b: '5', c: '6' }
+    ]);
+    
+    const presetFile = path.join(folder, 'presets.json');
+    fs.writeFileSync(presetFile, JSON.stringify({ name: 'Old', headers: ['a', 'gtin'] }));
+    await assert.rejects(main([input, '--preset', presetFile, '--quiet']), /missing preset columns: gtin/);
+    fs.rmSync(folder, { recursive: true });
+});
+
+test('validates against a built-in rule set and writes the rejected rows', async () => {
+    const folder = createWorkFolder();
+    const input = path.join(folder, 'feed.csv');
+    const header = 'id,title,description,link,image_link,availability,price,gtin';
+    const item = 'Lamp,Desk lamp,https://example.org/lamp,https://example.org/lamp.jpg,in stock,9.99 USD';
+    fs.writeFileSync(input, `${header}\n1,${item},96385074\n2,${item},96385075\n`);
+    const output = path.join(folder, 'out.csv');
+    const rejected = path.join(folder, 'rejected.csv');
+    
+    await main([input, '--schema', 'googleMerchant', '--rejected', rejected, '--out', output, '--quiet']);
+    assert.strictEqual(fs.readFileSync(output, 'utf8'), `${header}\n1,${item},96385074\n`);
+    assert.strictEqual(fs.readFileSync(rejected, 'utf8'), `${header},Rejected reason\n2,${item},96385075,gtin: is not a valid GTIN\n`);
+    await assert.rejects(main([input, '--rejected', rejected, '--quiet']), /needs validation rules/);
+    
+    // Rules that require a column the output doesn't have stop the conversion
+    fs.writeFileSync(input, 'id,gtin\n1,96385074\n');
+    await assert.rejects(main([input, '--schema', 'googleMerchant', '--out', output, '--quiet']), /has no title, description, link, image_link, availability, price columns/);
+    fs.rmSync(folder, { recursive: true });
+});
+
+test('parse settings flags match the page parse settings', async () => {
+    const folder = createWorkFolder();
+    const input = path.join(folder, 'feed.csv');
+    fs.writeFileSync(input, 'exported by shop\n# note\n\'a,b\',c\n1,2\n');
+    const output = path.join(folder, 'out.csv');
+    
+    await main([input, '--skip-lines', '1', '--comment', '#', '--quote', '\'', '--no-header', '--out', output, '--quiet']);
+    assert.strictEqual(fs.readFileSync(output, 'utf8'), 'Column 1,Column 2\n"a,b",c\n1,2\n');
+    await assert.rejects(main([input, '--skip-lines', 'x', '--quiet']), /--skip-lines needs a whole number/);
+    fs.rmSync(folder, { recursive: true });
+});
@@ -0,0 +1,311 @@
+// Export tests: CSV formatting, the export pipeline and records that straddle the 5MB
+// chunk boundary of readRows
+const test = require('node:test');
+const assert = require('node:assert');
+const { engine, loadFixture, sniffJob, readAllRows, runExportToBytes, copyAllJob } = require('./helpers.js');
+
+// readRows reads files in chunks of this size
+const CHUNK_SIZE = 5 * 1024 * 1024;
+
+test('formatCSVLine quotes only the values that need it', () => {
+    assert.strictEqual(engine.formatCSVLine(['a', 'b c', '']), 'a,b c,');
+    assert.strictEqual(engine.formatCSVLine(['a,b', 'say "hi"', 'two\nlines', 'cr\r']), '"a,b","say ""hi""","two\nlines","cr\r"');
+    assert.strictEqual(engine.formatCSVLine([' padded', 'trailing ']), '" padded","trailing "');
+    assert.strictEqual(engine.formatCSVLine([null, undefined, 0]), ',,0');
+});
+
+test('formatTSVLine flattens tabs and line breaks', () => {
+    assert.strictEqual(engine.formatTSVLine(['a\tb', 'c\r\nd', 'e']), 'a b\tc d\te');
+});
+
+test('exporting a fixture to CSV and reading it back gives the same rows', async () => {
+    const file = loadFixture('quoted-newlines.csv');
+    const job = await sniffJob(file);
+    const { bytes, result } = await runExportToBytes(file, copyAllJob(job));
+    
+    assert.strictEqual(result.totalProcessed, 3);
+    const records = engine.parseText(new TextDecoder().decode(bytes), ',', null, true);
+    assert.deepStrictEqual(records, [
+        ['id', 'description'],
+        ['1', 'line one\nline two'],
+        ['2', 'windows\r\nbreak'],
+        ['3', 'plain']
+    ]);
+});
+
+test('TSV input with literal quotes converts to valid CSV', async () => {
+    const file = loadFixture('literal-quotes.tsv');
+    const job = await sniffJob(file);
+    const { bytes } = await runExportToBytes(file, copyAllJob(job));
+    assert.strictEqual(new TextDecoder().decode(bytes), 'name,size\n"""Big"" Box","12"""\nquoted,x\n"5"" screen",3\n');
+});
+
+test('ragged rows export with every column', async () => {
+    const file = loadFixture('ragged.csv');
+    const { bytes } = await runExportToBytes(file, copyAllJob(await sniffJob(file)));
+    assert.strictEqual(new TextDecoder().decode(bytes), 'a,b,c\n1,2,\n3,4,5\n7,8,9\n');
+});
+
+test('output encodings', async () => {
+    const file = loadFixture('bom-utf8.csv');
+    const job = await sniffJob(file);
+    
+    const { bytes: withBOM } = await runExportToBytes(file, Object.assign(copyAllJob(job), { outputEncoding: 'utf-8-bom' }));
+    assert.deepStrictEqual(Array.from(withBOM.slice(0, 3)), [0xEF, 0xBB, 0xBF]);
+    
+    const { bytes: latin } = await runExportToBytes(file, Object.assign(copyAllJob(job), { outputEncoding: 'windows-1252' }));
+    assert.deepStrictEqual(Array.from(latin), Array.from(Buffer.from('name,city\nZo\xEB,Z\xFCrich\n', 'latin1')));
+});
+
+// A file whose bytes put the chunk boundary `offset` bytes into `row` (after a header and
+// a filler row), followed by a last row. Returns the file and the rows it holds.
+function createBoundaryFile(row, offset, encoding) {
+    const unit = encoding === 'utf-16le' ? 2 : 1;
+    const bom = encoding === 'utf-16le' ? 2 : 0;
+    const header = 'id,text\n';
+    
+    // '0,' + filler + '\n' fills everything in front of the row
+    const fillerLength = (CHUNK_SIZE - offset - bom) / unit - header.length - 3;
+    const text = header + '0,' + 'x'.repeat(fillerLength) + '\n' + row + '2,last\n';
+    const bytes = encoding === 'utf-16le'
+        ? Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(text, 'utf16le')])
+        : Buffer.from(text, 'utf8');
+    return {
+        file: new Blob([bytes]),
+        job: {
+            headers: ['id', 'text'],
+            delimiter: ',',
+            dialect: engine.normalizeDialect(),
+            encoding: encoding || 'utf-8'
+        },
+        filler: 'x'.repeat(fillerLength)
+    };
+}
+
+// Each case puts the boundary at a different awkward spot inside a record
+const BOUNDARY_CASES = [
+    { name: 'a multi-byte character', row: '1,"é"\n', offset: 4, value: 'é' },
+    { name: 'a CRLF pair', row: '1,a\r\n', offset: 4, value: 'a' },
+    { name: 'a doubled quote', row: '1,"say ""hi"""\n', offset: 8, value: 'say "hi"' },
+    { name: 'a quoted line break', row: '1,"line one\r\nline two"\n', offset: 13, value: 'line one\r\nline two' },
+    { name: 'a surrogate pair in UTF-16', row: '1,"😀"\n', offset: 8, value: '😀', encoding: 'utf-16le' }
+];
+
+BOUNDARY_CASES.forEach(({ name, row, offset, value, encoding }) => {
+    test(`a record with ${name} on the chunk boundary`, async () => {
+        const { file, job, filler } = createBoundaryFile(row, offset, encoding);
+        const rows = await readAllRows(file, job);
+        assert.deepStrictEqual(rows.map(row => row.values), [['0', filler], ['1', value], ['2', 'last']]);
+    });
+});
+
+test('an export across the chunk boundary keeps every row', async () => {
+    const { file, job, filler } = createBoundaryFile('1,"line one\r\nline two"\n', 13);
+    const { bytes, result } = await runExportToBytes(file, copyAllJob(job));
+    
+    assert.strictEqual(result.totalProcessed, 3);
+    const records = engine.parseText(new TextDecoder().decode(bytes), ',', null, true);
+    assert.deepStrictEqual(records, [['id', 'text'], ['0', filler], ['1', 'line one\r\nline two'], ['2', 'last']]);
+});
+
+test('the row index reads the same rows as readRows', async () => {
+    const lines = ['id,text'];
+    for (let i = 0; i < 2500; i++) {
+        lines.push(i % 3 === 0 ? `${i},"multi\nline ""${i}"" é"` : `${i},plain ${i}`);
+    }
+    const file = new Blob([lines.join('\r\n') + '\r\n']);
+    const job = await sniffJob(file);
+    const expected = (await readAllRows(file, job)).map(row => row.values);
+    
+    const index = await engine.buildRowIndex(file, job, () => {});
+    assert.strictEqual(index.rowCount, 2500);
+    assert.strictEqual(index.checkpoints.length, 3);
+    for (const start of [0, 999, 1000, 1001, 2499]) {
+        const rows = await engine.readRowWindow(file, job, index, start, 10);
+        assert.deepStrictEqual(rows, expected.slice(start, start + 10), `window at ${start}`);
+    }
+});
+
+test('stopping a job read skips the appended files', async () => {
+    const main = new File(['sku,title\na,Shoe\n'], 'main.csv');
+    const append = new File(['title,sku\nHat,b\n'], 'append.csv');
+    const job = Object.assign(await sniffJob(main), { appendFiles: [await sniffJob(append)] });
+    job.appendFiles[0].file = append;
+    
+    const read = async keepReading => {
+        const rows = [];
+        await engine.readJobRows(main, job, {
+            row(values) {
+                rows.push(values);
+            },
+            chunk: () => keepReading
+        });
+        return rows;
+    };
+    assert.deepStrictEqual(await read(true), [['a', 'Shoe'], ['b', 'Hat']]);
+    assert.deepStrictEqual(await read(false), [['a', 'Shoe']]);
+    assert.deepStrictEqual(await read(Promise.resolve(false)), [['a', 'Shoe']]);
+});
+
+test('a find & replace step without a pattern leaves values alone', () => {
+    assert.strictEqual(engine.compileTransformChain([{ type: 'replace', find: '', replace: '-' }])('abc'), 'abc');
+    assert.strictEqual(engine.compileTransformChain([{ type: 'replace', find: 'b', replace: '-' }])('abc'), 'a-c');
+});
+
+test('sorted export orders rows by every key, keeping file order for ties', async () => {
+    const file = new File(['sku,price,date\na,10,02/01/2024\nb,9.5,01/01/2024\nc,,03/01/2024\nd,10,01/01/2024\n'], 'sort.csv');
+    const job = Object.assign(copyAllJob(await sniffJob(file)), {
+        sort: { keys: [{ column: 1, order: 'desc', type: 'number' }, { column: 2, order: 'asc', type: 'date' }] }
+    });
+    const { bytes } = await runExportToBytes(file, job);
+    const skus = new TextDecoder().decode(bytes).trim().split('\n').slice(1).map(line => line.split(',')[0]);
+    assert.deepStrictEqual(skus, ['d', 'a', 'b', 'c']);
+});
+
+test('the external sorter merges spilled runs stably', async () => {
+    const sorter = engine.createExternalSorter((a, b) => a[0] - b[0], 50);
+    for (let i = 0; i < 500; i++) sorter.add([i % 7, i], 10);
+    const sorted = [];
+    await sorter.drain(item => {
+        sorted.push(item);
+    });
+    const expected = Array.from({ length: 500 }, (value, i) => [i % 7, i]).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    assert.deepStrictEqual(sorted, expected);
+});
+
+test('dedupe compares whole keys and keeps the first or last occurrence', async () => {
+    const key = engine.compileDedupeKey([0, 1]);
+    assert.notStrictEqual(key(['a\0', 'b']), key(['a', '\0b']));
+    assert.strictEqual(key([' a ', 'b']), key(['a', 'b']));
+    assert.strictEqual(key(['', ' ']), null);
+    
+    const file = new File(['sku,size,n\na,1,1\nb,,2\na,1,3\n,,4\na,11,5\n,,6\nb,,7\n'], 'dedupe.csv');
+    const kept = async keep => {
+        const job = Object.assign(copyAllJob(await sniffJob(file)), { dedupe: { columns: [0, 1], keep } });
+        const { bytes, result } = await runExportToBytes(file, job);
+        assert.strictEqual(result.duplicatesRemoved, 2);
+        return new TextDecoder().decode(bytes).trim().split('\n').slice(1).map(line => line.split(',')[2]);
+    };
+    assert.deepStrictEqual(await kept('first'), ['1', '2', '4', '5', '6']);
+    assert.deepStrictEqual(await kept('last'), ['3', '4', '5', '6', '7']);
+});
+
+test('summary export aggregates every group in one pass', async () => {
+    const file = new File(['brand,price,stock,sku\nAcme,"1,000.50",3,a\nZed,5,,b\nAcme,2,x,c\nZed,7,4,b\nAcme,,1,d\n'], 'summary.csv');
+    const job = Object.assign(await sniffJob(file), {
+        format: 'csv',
+        summary: {
+            groupBy: [0],
+            aggregates: [
+                { type: 'count', column: 0 },
+                { type: 'sum', column: 2 },
+                { type: 'min', column: 1 },
+                { type: 'max', column: 1 },
+                { type: 'avg', column: 1 },
+                { type: 'distinct', column: 3 }
+            ]
+        }
+    });
+    const { bytes, result } = await runExportToBytes(file, job, 'summary');
+    assert.strictEqual(new TextDecoder().decode(bytes), [
+        'brand,count,sum(stock),min(price),max(price),avg(price),distinct(sku)',
+        'Acme,3,4,2,1000.5,501.25,3',
+        'Zed,2,4,5,7,6,1',
+        ''
+    ].join('\n'));
+    assert.strictEqual(result.groups, 2);
+    assert.strictEqual(result.totalProcessed, 5);
+});
+
+test('summary groups apart values that only differ in where a control character falls', async () => {
+    const file = new File(['a,b\n"x\u0000",y\nx,"\u0000y"\n'], 'groups.csv');
+    const job = Object.assign(await sniffJob(file), { format: 'csv', summary: { groupBy: [0, 1], aggregates: [{ type: 'count' }] } });
+    const { result } = await runExportToBytes(file, job, 'summary');
+    assert.strictEqual(result.groups, 2);
+});
+
+test('comparing two versions counts and exports added, removed and changed rows', async () => {
+    const before = new File(['sku,price,stock,color\nA,1,5,red\nB,2,5,blue\nC,3,5,green\nC,9,9,dup\n'], 'before.csv');
+    const after = new File(['sku,stock,price,size\nb,5,2.5,M\nA,5,1,S\nD,1,4,L\n,1,1,\n'], 'after.csv');
+    const job = await sniffJob(after);
+    const old = await sniffJob(before);
+    const compareJob = output => Object.assign({}, job, {
+        format: 'csv',
+        compare: Object.assign({}, old, { file: before, key: 0, oldKey: 0, output })
+    });
+    
+    const { result } = await runExportToBytes(after, compareJob(null), 'compare');
+    assert.deepStrictEqual(
+        [result.added, result.removed, result.changed, result.unchanged, result.emptyKeys, result.duplicateKeys],
+        [1, 1, 1, 1, 1, 1]
+    );
+    assert.deepStrictEqual(result.columns, [
+        { name: 'sku', changed: 1 },
+        { name: 'stock', changed: 0 },
+        { name: 'price', changed: 1 }
+    ]);
+    assert.deepStrictEqual(result.addedColumns, ['size']);
+    assert.deepStrictEqual(result.removedColumns, ['color']);
+    
+    const exported = async output => new TextDecoder().decode((await runExportToBytes(after, compareJob(output), 'compare')).bytes);
+    assert.strictEqual(await exported('added'), 'sku,stock,price,size\nD,1,4,L\n');
+    assert.strictEqual(await exported('removed'), 'sku,price,stock,color\nC,3,5,green\n');
+    assert.strictEqual(await exported('changed'), 'sku,stock,price,size,Changed columns,Previous values\nb,5,2.5,M,sku; price,"{""sku"":""B"",""price"":""2""}"\n');
+});
+
+test('validation leaves failing rows out and collects them with the reasons', async () => {
+    const file = new File(['id,title,gtin,price\n1,Lamp,4006381333931,9.99 USD\n2,,4006381333932,9.99\n3,A very long title,,"12,5"\n'], 'feed.csv');
+    const job = Object.assign(copyAllJob(await sniffJob(file)), {
+        validation: {
+            schema: null,
+            rules: [
+                { column: 'title', rule: 'required' },
+                { column: 'price', rule: 'type', value: 'price' },
+                { column: 'gtin', rule: 'checksum', value: 'gtin' },
+                { column: 'Title', rule: 'length', value: '10' }
+            ],
+            rejectedFile: true
+        }
+    });
+    const { bytes, result } = await runExportToBytes(file, job);
+    
+    assert.strictEqual(new TextDecoder().decode(bytes), 'id,title,gtin,price\n1,Lamp,4006381333931,9.99 USD\n');
+    assert.strictEqual(result.totalProcessed, 1);
+    assert.strictEqual(result.validation.checked, 3);
+    assert.strictEqual(result.validation.rejected, 2);
+    assert.strictEqual(await result.validation.rejectedRows.text(), [
+        'id,title,gtin,price,Rejected reason',
+        '2,,4006381333932,9.99,title: is required; gtin: is not a valid GTIN',
+        '3,A very long title,,"12,5","price: is not a valid price (""12.99"" or ""12.99 USD""); title: is longer than 10 characters (17)"',
+        ''
+    ].join('\n'));
+    
+    // A required column the export doesn't have would fail every row, so the export can't start
+    assert.throws(() => engine.compileValidator({ schema: 'googleMerchant', rules: [] }, ['id', 'title', 'gtin', 'price']),
+        /has no description, link, image_link, availability columns/);
+    assert.throws(() => engine.compileValidator({ rules: [{ column: 'title', rule: 'length', value: 'long' }] }, ['title']), /Length for title/);
+    assert.throws(() => engine.compileValidator({ rules: [{ column: 'sku', rule: 'regex', value: '(' }] }, ['sku']), /Invalid pattern for sku/);
+});
+
+test('date validation accepts day-first dates and rejects impossible ones', () => {
+    const validator = engine.compileValidator({ rules: [{ column: 'date', rule: 'type', value: 'date' }] }, ['date']);
+    assert.deepStrictEqual(['31/12/2024', '12/31/2024', '2024-12-31', '5 Jan 2024'].map(value => validator.validate([value])), [[], [], [], []]);
+    assert.deepStrictEqual(['2024-02-30', '31/31/2024', 'soon'].map(value => validator.validate([value]).length), [1, 1, 1]);
+});
+
+test('the ZIP writer refuses more entries than a ZIP without ZIP64 can hold', () => {
+    const zip = engine.createZipWriter();
+    for (let i = 0; i < 0xFFFF; i++) zip.file(`${i}.csv`, '');
+    assert.throws(() => zip.file('one-too-many.csv', ''), /more than 65,535 files/);
+});
+
+test('size splits below the smallest part size are refused, larger ones fill each part', async () => {
+    const lines = ['sku,text'];
+    for (let i = 0; i < 3000; i++) lines.push(`${i},${'x'.repeat(60)}`);
+    const file = new File([lines.join('\n') + '\n'], 'split.csv');
+    const job = copyAllJob(await sniffJob(file));
+    
+    await assert.rejects(runExportToBytes(file, Object.assign({}, job, { split: { mode: 'bytes', maxBytes: 16 * 1024 } })), /at least 64 KB/);
+    const { result } = await runExportToBytes(file, Object.assign({}, job, { split: { mode: 'bytes', maxBytes: 64 * 1024 } }));
+    assert.strictEqual(result.parts, Math.ceil(file.size / (64 * 1024 - 16 * 1024)));
+});
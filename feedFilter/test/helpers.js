@@ -0,0 +1,78 @@
+// Shared helpers for the feedFilter tests. Run the suite with npm test in feedFilter/, or
+// from the repository root with:
+//
+//   node --test feedFilter/test/
+//
+// The tests load feedFilterCore.js through its module.exports, the same engine the page,
+// the worker and the command line use.
+
+const fs = require('fs');
+const path = require('path');
+const engine = require('../feedFilterCore.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// A fixture file as a File, the way the page and worker see files
+function loadFixture(name) {
+    return new File([fs.readFileSync(path.join(FIXTURES, name))], name);
+}
+
+// Type, encoding, delimiter and headers of a file, plus the job fields readRows needs
+async function sniffJob(file, known) {
+    const dialect = engine.normalizeDialect();
+    const info = await engine.sniffFile(file, dialect, known);
+    return engine.createSourceJob(info, dialect);
+}
+
+// Every data row readRows gives for a file, with the number of fields each one really had
+async function readAllRows(file, job) {
+    const rows = [];
+    await engine.readRows(file, job, {
+        row(values, fieldCount) {
+            rows.push({ values, fieldCount });
+        },
+        chunk() {}
+    });
+    return rows;
+}
+
+// Run an export (or another task that writes output, like 'summary') and return its output
+// as one Uint8Array, with the task's result
+async function runExportToBytes(file, job, type) {
+    const chunks = [];
+    const result = await engine.runTask({ type: type || 'export', file, job }, {
+        write(data) {
+            chunks.push(typeof data === 'string' ? new TextEncoder().encode(data) : data);
+        },
+        progress() {}
+    });
+    const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return { bytes, result };
+}
+
+// Export job that copies every column of a file unchanged
+function copyAllJob(job, format) {
+    return Object.assign({}, job, {
+        columns: job.headers.map((name, source) => ({ name, source })),
+        format: format || 'csv',
+        outputEncoding: 'utf-8',
+        title: 'test'
+    });
+}
+
+// Small seeded random number generator (mulberry32) so property tests repeat exactly
+function createRandom(seed) {
+    return function() {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+module.exports = { engine, loadFixture, sniffJob, readAllRows, runExportToBytes, copyAllJob, createRandom };
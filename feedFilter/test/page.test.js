@@ -0,0 +1,130 @@
+// Page smoke test: loads feedFilter.html and feedFilter.js into jsdom and drives a file from
+// loading through a preset to the export download, on the main-thread fallback (jsdom has no Worker)
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { engine } = require('./helpers.js');
+
+const PAGE_DIR = path.join(__dirname, '..');
+
+// Copy a value out of the page's realm so deepStrictEqual compares it with local arrays and objects
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// The page in jsdom with both scripts run as classic scripts, the load handler done and
+// downloads captured. Node's File, Blob and streams stand in for the browser's, which jsdom
+// doesn't fully have.
+async function loadPage(presets) {
+    const html = fs.readFileSync(path.join(PAGE_DIR, 'feedFilter.html'), 'utf8');
+    // Console output of the page is collected, so tests can check a file loads without noise
+    const logs = [];
+    const virtualConsole = new VirtualConsole();
+    ['log', 'info', 'warn', 'error', 'table'].forEach(method => {
+        virtualConsole.on(method, (...args) => logs.push(`${method}: ${args.join(' ')}`));
+    });
+    const dom = new JSDOM(html, { url: 'https://example.org/feedFilter.html', runScripts: 'outside-only', virtualConsole });
+    const window = dom.window;
+    ['File', 'Blob', 'TextDecoder', 'TextEncoder', 'ReadableStream', 'DecompressionStream', 'CompressionStream'].forEach(name => {
+        window[name] = globalThis[name];
+    });
+    
+    const downloads = [];
+    window.URL.createObjectURL = blob => {
+        downloads.push(blob);
+        return 'blob:' + downloads.length;
+    };
+    window.URL.revokeObjectURL = () => {};
+    window.HTMLAnchorElement.prototype.click = function() {
+        downloads[downloads.length - 1].fileName = this.download;
+    };
+    
+    if (presets) window.localStorage.setItem('csvConverterPresets', JSON.stringify(presets));
+    const context = dom.getInternalVMContext();
+    ['feedFilterCore.js', 'feedFilter.js'].forEach(name => {
+        new vm.Script(fs.readFileSync(path.join(PAGE_DIR, name), 'utf8'), { filename: name }).runInContext(context);
+    });
+    await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+    
+    // Page globals declared with let/const aren't window properties; read them through the context
+    const page = name => vm.runInContext(name, context);
+    return { window, page, downloads, logs };
+}
+
+test('the page loads a file, applies a preset and exports', async () => {
+    const preset = engine.createPreset('Ids', {
+        columns: [{ name: 'id', source: 0 }, { name: 'Price', source: 2 }],
+        filterGroups: [],
+        format: 'csv'
+    }, ['sku', 'title', 'price']);
+    const { window, page, downloads, logs } = await loadPage([preset]);
+    
+    // Every top-level function of the page is a global the inline handlers can reach
+    ['handleFile', 'getOutputColumns', 'createSourceColumnItem', 'addComputedColumn', 'renderPreviewTable', 'openTransformModal', 'exportFile']
+        .forEach(name => assert.strictEqual(typeof page(name), 'function', name));
+    
+    await window.handleFile(new File(['sku,title,price\nA1,Lamp,9.99\nB2,Chair,25\n'], 'feed.csv'));
+    assert.strictEqual(window.document.getElementById('errorMessage').style.display || 'none', 'none');
+    assert.deepStrictEqual(plain(window.getOutputColumns().map(column => column.name)), ['sku', 'title', 'price']);
+    assert.strictEqual(window.document.querySelectorAll('#previewTable tr').length > 1, true);
+    assert.deepStrictEqual(logs, []);
+    
+    window.applyPreset(0);
+    assert.deepStrictEqual(plain(window.getOutputColumns().map(column => ({ name: column.name, source: column.source }))), [
+        { name: 'id', source: 0 },
+        { name: 'Price', source: 2 }
+    ]);
+    
+    await window.exportFile();
+    assert.strictEqual(downloads.length, 1);
+    assert.strictEqual(downloads[0].fileName, 'feed_converted.csv');
+    assert.strictEqual(await downloads[0].text(), 'id,Price\nA1,9.99\nB2,25\n');
+});
+
+test('the older file of a comparison is read with the parse settings of the loaded one', async () => {
+    const { window, page } = await loadPage();
+    await window.handleFile(new File(['exported by shop\nsku,price\nA,1\nC,5\n'], 'today.csv'));
+    window.document.getElementById('skipLinesInput').value = '1';
+    await window.handleFile(page('currentFile'), true);
+    
+    await window.setCompareFile(new File(['exported by shop\nsku,price\nA,2\nB,3\n'], 'yesterday.csv'));
+    assert.deepStrictEqual(plain(page('compareConfig.headers')), ['sku', 'price']);
+    await window.compareFiles();
+    const report = plain(page('compareReport'));
+    assert.deepStrictEqual([report.added, report.removed, report.changed, report.unchanged], [1, 1, 1, 0]);
+});
+
+test('changing a parse setting keeps the column setup', async () => {
+    const { window, page } = await loadPage();
+    await window.handleFile(new File(['sku;title;price\nA1;Lamp;9.99\n'], 'feed.csv'));
+    const items = window.document.querySelectorAll('#columnsGrid .column-item');
+    items[0].querySelector('input[type="checkbox"]').checked = false;
+    items[1].querySelector('.column-rename').value = 'Name';
+    window.addSortKey();
+    
+    window.document.getElementById('delimiterSelect').value = ';';
+    await window.handleFile(page('currentFile'), true);
+    assert.deepStrictEqual(plain(window.getOutputColumns().map(column => column.name)), ['Name', 'price']);
+    assert.deepStrictEqual(plain(page('sortKeys')), [{ column: 0, order: 'asc', type: 'string' }]);
+    
+    // Without the header row none of the columns can be matched, so all of them are selected again
+    window.document.getElementById('hasHeaderInput').checked = false;
+    await window.handleFile(page('currentFile'), true);
+    assert.deepStrictEqual(plain(window.getOutputColumns().map(column => column.name)), ['Column 1', 'Column 2', 'Column 3']);
+});
+
+test('a file over the size limit leaves the loaded file in place', async () => {
+    const { window, page } = await loadPage();
+    const loaded = new File(['sku,price\nA,1\n'], 'feed.csv');
+    await window.handleFile(loaded);
+    
+    // jsdom can't save files straight to disk, so the in-memory size limit applies
+    const tooLarge = { name: 'huge.csv', size: page('MAX_BUFFERED_FILE_SIZE') + 1 };
+    await window.handleFile(tooLarge);
+    assert.strictEqual(window.document.getElementById('errorMessage').style.display, 'block');
+    assert.strictEqual(page('currentFile'), loaded);
+    assert.strictEqual(window.document.getElementById('fileName').textContent, 'feed.csv');
+});
@@ -0,0 +1,134 @@
+// Parser tests: delimiter detection, the fixture files and parsing text split into pieces
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { engine, loadFixture, sniffJob, readAllRows } = require('./helpers.js');
+
+test('detectDelimiter picks tabs, commas, semicolons and pipes', () => {
+    assert.strictEqual(engine.detectDelimiter('a\tb\tc\n1\t2\t3'), '\t');
+    assert.strictEqual(engine.detectDelimiter('a,b,c\n1,2,3'), ',');
+    assert.strictEqual(engine.detectDelimiter('a;b;c\n1;2;3'), ';');
+    assert.strictEqual(engine.detectDelimiter('a|b|c\n1|2|3'), '|');
+    assert.strictEqual(engine.detectDelimiter(''), ',');
+});
+
+test('sniffDelimiter ignores preamble and comment lines', () => {
+    const dialect = engine.normalizeDialect({ skipLines: 1, commentPrefixes: ['#'] });
+    assert.strictEqual(engine.sniffDelimiter('Export, generated today\n# a, b, c\nid\tname\n1\tx\n', dialect), '\t');
+});
+
+// Fixture files with the headers and rows readRows should give for them
+const FIXTURES = {
+    'quoted-newlines.csv': {
+        headers: ['id', 'description'],
+        rows: [['1', 'line one\nline two'], ['2', 'windows\r\nbreak'], ['3', 'plain']]
+    },
+    'escaped-quotes.csv': {
+        headers: ['id', 'text'],
+        rows: [['1', 'He said "hi"'], ['2', '"quoted"'], ['3', 'a,b'], ['4', '']]
+    },
+    'bom-utf8.csv': {
+        encoding: 'utf-8',
+        headers: ['name', 'city'],
+        rows: [['Zoë', 'Zürich']]
+    },
+    'bom-utf16le.tsv': {
+        encoding: 'utf-16le',
+        headers: ['name', 'city'],
+        rows: [['Zoë', 'Zürich']]
+    },
+    'crlf.csv': {
+        headers: ['a', 'b', 'c'],
+        rows: [['1', '2', '3'], ['4', '5', '6']]
+    },
+    'literal-quotes.tsv': {
+        headers: ['name', 'size'],
+        rows: [['"Big" Box', '12"'], ['quoted', 'x'], ['5" screen', '3']]
+    },
+    'windows-1252.csv': {
+        encoding: 'windows-1252',
+        headers: ['name', 'price'],
+        rows: [['café', '€5']]
+    }
+};
+
+Object.keys(FIXTURES).forEach(name => {
+    test(`reads ${name}`, async () => {
+        const expected = FIXTURES[name];
+        const file = loadFixture(name);
+        const job = await sniffJob(file);
+        
+        if (expected.encoding) assert.strictEqual(job.encoding, expected.encoding);
+        assert.deepStrictEqual(job.headers, expected.headers);
+        const rows = await readAllRows(file, job);
+        assert.deepStrictEqual(rows.map(row => row.values), expected.rows);
+    });
+});
+
+test('ragged rows are padded or cut to the header length', async () => {
+    const file = loadFixture('ragged.csv');
+    const rows = await readAllRows(file, await sniffJob(file));
+    assert.deepStrictEqual(rows, [
+        { values: ['1', '2', ''], fieldCount: 2 },
+        { values: ['3', '4', '5'], fieldCount: 4 },
+        { values: ['7', '8', '9'], fieldCount: 3 }
+    ]);
+});
+
+test('text pushed in pieces parses the same as in one go', () => {
+    const names = ['quoted-newlines.csv', 'escaped-quotes.csv', 'crlf.csv', 'literal-quotes.tsv'];
+    names.forEach(name => {
+        const text = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+        const delimiter = name.endsWith('.tsv') ? '\t' : ',';
+        const whole = engine.parseText(text, delimiter, null, true);
+        
+        // Every split point, so quotes, doubled quotes and CRLF pairs land on a boundary
+        for (let split = 1; split < text.length; split++) {
+            const records = [];
+            const parser = engine.createParser(delimiter, null, values => records.push(values));
+            parser.push(text.slice(0, split));
+            parser.push(text.slice(split));
+            parser.end();
+            assert.deepStrictEqual(records, whole, `${name} split at ${split}`);
+        }
+    });
+});
+
+test('multi-character delimiters and comment prefixes survive a split', () => {
+    const text = '# note\nid||name\n## another\n1||a||b\n';
+    const dialect = engine.normalizeDialect({ commentPrefixes: ['##', '#'] });
+    const whole = engine.parseText(text, '||', dialect, true);
+    assert.deepStrictEqual(whole, [['id', 'name'], ['1', 'a', 'b']]);
+    
+    for (let split = 1; split < text.length; split++) {
+        const records = [];
+        const parser = engine.createParser('||', dialect, values => records.push(values));
+        parser.push(text.slice(0, split));
+        parser.push(text.slice(split));
+        parser.end();
+        assert.deepStrictEqual(records, whole, `split at ${split}`);
+    }
+});
+
+test('custom quote and escape characters', () => {
+    const dialect = engine.normalizeDialect({ quote: "'", escape: '\\' });
+    assert.deepStrictEqual(
+        engine.parseText("a,b\n'it\\'s',x\n", ',', dialect, true),
+        [['a', 'b'], ["it's", 'x']]
+    );
+});
+
+test('blank lines and preamble lines are skipped', () => {
+    const dialect = engine.normalizeDialect({ skipLines: 2 });
+    assert.deepStrictEqual(
+        engine.parseText('Report\nGenerated today\na,b\n\n1,2\r\n\r\n3,4', ',', dialect, true),
+        [['a', 'b'], ['1', '2'], ['3', '4']]
+    );
+});
+
+test('a cut-off last record is left out unless the text is complete', () => {
+    const text = 'a,b\n1,"unfinished';
+    assert.deepStrictEqual(engine.parseText(text, ',', null, false), [['a', 'b']]);
+    assert.deepStrictEqual(engine.parseText(text, ',', null, true), [['a', 'b'], ['1', 'unfinished']]);
+});
@@ -0,0 +1,109 @@
+// Tests for the XLSX, JSON / NDJSON and fixed-width input readers
+const test = require('node:test');
+const assert = require('node:assert');
+const { engine, loadFixture, sniffJob, readAllRows, runExportToBytes, copyAllJob } = require('./helpers.js');
+
+// Values of every row readRows gives for a file
+async function readValues(file, known) {
+    const job = await sniffJob(file, known);
+    return { job, rows: (await readAllRows(file, job)).map(row => row.values) };
+}
+
+test('JSON: array records are flattened to dotted columns', async () => {
+    const file = new File(['[{"id": 1, "price": {"value": 9.5, "currency": "EUR"}, "tags": ["a", "b"]},\n',
+        ' {"id": 2, "title": "Shoe \\"x\\", [1]", "price": null}]'], 'feed.json');
+    const { job, rows } = await readValues(file);
+    
+    assert.strictEqual(job.reader, 'json');
+    assert.deepStrictEqual(job.headers, ['id', 'price.value', 'price.currency', 'tags.0', 'tags.1', 'title', 'price']);
+    assert.deepStrictEqual(rows, [
+        ['1', '9.5', 'EUR', 'a', 'b', '', ''],
+        ['2', '', '', '', '', 'Shoe "x", [1]', '']
+    ]);
+});
+
+test('JSON: records come from the array of objects a top-level object wraps them in', async () => {
+    const file = new File(['{"meta": {"ids": [9]}, "data": ["x"], "count": 2, "products": [{"id": "p1"}, {"id": "p2"}], "other": [{"id": "x"}]}'], 'feed.json');
+    const { job, rows } = await readValues(file);
+    assert.strictEqual(job.recordsKey, 'products');
+    assert.deepStrictEqual(rows, [['p1'], ['p2']]);
+    
+    // Other arrays are values of a single record
+    const record = await readValues(new File(['{"sku": "1", "tags": ["a", "b"], "variants": [{"size": "M"}]}'], 'feed.json'));
+    assert.deepStrictEqual(record.job.headers, ['sku', 'tags.0', 'tags.1', 'variants.0.size']);
+    assert.deepStrictEqual(record.rows, [['1', 'a', 'b', 'M']]);
+    
+    // ... unless their key is given
+    const picked = await readValues(new File(['{"feed": "x", "variants": [{"size": "M"}, {"size": "L"}]}'], 'feed.json'), { recordsKey: 'variants' });
+    assert.deepStrictEqual(picked.rows, [['M'], ['L']]);
+    await assert.rejects(readValues(new File(['{"sku": "1"}'], 'feed.json'), { recordsKey: 'items' }), /no "items" array/);
+});
+
+test('JSON: NDJSON is read line by line, and broken records are reported', async () => {
+    const { job, rows } = await readValues(new File(['{"id": 1}\r\n\r\n{"id": 2, "on": true}\n'], 'feed.ndjson'));
+    assert.deepStrictEqual(job.headers, ['id', 'on']);
+    assert.deepStrictEqual(rows, [['1', ''], ['2', 'true']]);
+    
+    await assert.rejects(readValues(new File(['[{"id": 1}, {"id": }]'], 'feed.json')), /Invalid JSON in record 2/);
+});
+
+test('JSON: records split across chunks are read whole', async () => {
+    const records = [];
+    for (let i = 0; i < 120000; i++) records.push({ id: i, text: `"]},{[${'x'.repeat(40)}` });
+    const file = new File([JSON.stringify({ items: records })], 'feed.json');
+    
+    const job = await sniffJob(file);
+    let count = 0;
+    await engine.readRows(file, job, {
+        row(values) {
+            assert.deepStrictEqual(values, [String(count), records[count].text]);
+            count++;
+        },
+        chunk() {}
+    });
+    assert.ok(file.size > 5 * 1024 * 1024);
+    assert.strictEqual(count, records.length);
+});
+
+test('Fixed width: widths are guessed from the blank columns, or given', async () => {
+    const text = 'SKU   NAME        PRICE\r\nA1    Red shoe     9.99\r\n\r\nB22   Blue hat    12.00\r\nC3    Scarf\r\n';
+    const guessed = await readValues(new File([text], 'feed.fwf'));
+    assert.deepStrictEqual(guessed.job.widths, [6, 12, 5]);
+    assert.deepStrictEqual(guessed.job.headers, ['SKU', 'NAME', 'PRICE']);
+    assert.deepStrictEqual(guessed.rows, [['A1', 'Red shoe', '9.99'], ['B22', 'Blue hat', '12.00'], ['C3', 'Scarf', '']]);
+    
+    const given = await readValues(new File([text], 'feed.txt'), { reader: 'fixedWidth', widths: engine.parseFixedWidths('3, 3 12') });
+    assert.deepStrictEqual(given.job.headers, ['SKU', '', 'NAME']);
+    assert.deepStrictEqual(given.rows[1], ['B22', '', 'Blue hat']);
+    assert.throws(() => engine.parseFixedWidths('10 x'), /whole numbers/);
+});
+
+test('XLSX: a workbook written by the export reads back unchanged', async () => {
+    const rows = [['sku', 'title', 'price'], ['A-1', 'Shoe <red> & "lace"', '9.5'], ['B-2', 'line\nbreak', '-12']];
+    for (let i = 0; i < 3000; i++) rows.push([`C-${i}`, 'é€😀 '.repeat(i % 5), String(i)]);
+    const source = new File([rows.map(engine.formatCSVLine).join('\n')], 'feed.csv');
+    const { bytes } = await runExportToBytes(source, copyAllJob(await sniffJob(source), 'xlsx'));
+    
+    const { job, rows: read } = await readValues(new File([bytes], 'feed.xlsx'));
+    assert.strictEqual(job.reader, 'xlsx');
+    assert.strictEqual(job.sheet, 'Sheet1');
+    assert.deepStrictEqual(job.headers, rows[0]);
+    assert.deepStrictEqual(read, rows.slice(1));
+});
+
+test('XLSX: a workbook saved by Excel, with deflated parts and shared strings, reads as shown', async () => {
+    const { job, rows } = await readValues(loadFixture('excel-deflated.xlsx'));
+    assert.strictEqual(job.sheet, 'Products');
+    assert.deepStrictEqual(job.headers, ['sku', 'title', 'price', 'available', 'in stock']);
+    assert.deepStrictEqual(rows, [
+        ['A-1', 'Red shoe & "lace" ', '9.99', '2024-01-01', 'TRUE'],
+        ['B-2x', '', '19.98', '', 'FALSE']
+    ]);
+});
+
+test('XLSX: Excel serial dates become ISO 8601', () => {
+    assert.strictEqual(engine.excelSerialToISO(45292), '2024-01-01');
+    assert.strictEqual(engine.excelSerialToISO(45292.75), '2024-01-01T18:00:00');
+    assert.strictEqual(engine.excelSerialToISO(0.5), '12:00:00');
+    assert.strictEqual(engine.excelSerialToISO(43830, true), '2024-01-01');
+});